@@ -13,7 +13,7 @@ async function checkLicenseKeys() {
     
     const { data, error } = await supabase
       .from('license_keys')
-      .select('key, plan_id, expires_at, redeemed_at')
+      .select('id, key_prefix, plan_id, expires_at, redeemed_at, revoked_at, max_activations')
       .limit(10);
     
     if (error) {
@@ -23,10 +23,13 @@ async function checkLicenseKeys() {
     
     console.log('📋 License keys found:');
     data.forEach((key, index) => {
-      console.log(`${index + 1}. Key: ${key.key}`);
+      // Keys are stored as digests; the prefix tells them apart
+      console.log(`${index + 1}. Key: ${key.key_prefix || '(not hashed yet)'} (${key.id})`);
       console.log(`   Plan: ${key.plan_id}`);
       console.log(`   Expires: ${key.expires_at || 'Never'}`);
       console.log(`   Redeemed: ${key.redeemed_at || 'No'}`);
+      console.log(`   Revoked: ${key.revoked_at || 'No'}`);
+      console.log(`   Seats: ${key.max_activations || 1}`);
       console.log('---');
     });
     
@@ -1,13 +1,21 @@
 const Stripe = require('stripe');
 const { logger } = require('../utils/logger');
 
+// Point the client at a local Stripe stand-in (e.g. stripe-mock) when configured
+const localApiOptions = process.env.STRIPE_API_HOST ? {
+  host: process.env.STRIPE_API_HOST,
+  port: parseInt(process.env.STRIPE_API_PORT) || 12111,
+  protocol: process.env.STRIPE_API_PROTOCOL || 'http'
+} : {};
+
 // Initialize Stripe
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
   apiVersion: '2023-10-16',
   appInfo: {
     name: 'UTM Subscription System',
     version: '1.0.0'
-  }
+  },
+  ...localApiOptions
 });
 
 // Create customer
@@ -41,6 +49,17 @@ const getCustomer = async (customerId) => {
   }
 };
 
+// Get charge
+const getCharge = async (chargeId) => {
+  try {
+    const charge = await stripe.charges.retrieve(chargeId);
+    return charge;
+  } catch (error) {
+    logger.error('❌ Failed to get Stripe charge:', error);
+    throw error;
+  }
+};
+
 // Create subscription
 const createSubscription = async (customerId, priceId, metadata = {}) => {
   try {
@@ -89,6 +108,40 @@ const cancelSubscription = async (subscriptionId, immediately = false) => {
   }
 };
 
+// Pause payment collection on a subscription, optionally until a given date
+const pauseSubscription = async (subscriptionId, resumesAt = null) => {
+  try {
+    const subscription = await stripe.subscriptions.update(subscriptionId, {
+      pause_collection: {
+        behavior: 'void',
+        ...(resumesAt && { resumes_at: Math.floor(new Date(resumesAt).getTime() / 1000) })
+      }
+    });
+
+    logger.info(`✅ Paused Stripe subscription: ${subscriptionId}`);
+    return subscription;
+  } catch (error) {
+    logger.error('❌ Failed to pause Stripe subscription:', error);
+    throw error;
+  }
+};
+
+// Resume a paused subscription or one that was scheduled to cancel at period end
+const resumeSubscription = async (subscriptionId) => {
+  try {
+    const subscription = await stripe.subscriptions.update(subscriptionId, {
+      cancel_at_period_end: false,
+      pause_collection: ''
+    });
+
+    logger.info(`✅ Resumed Stripe subscription: ${subscriptionId}`);
+    return subscription;
+  } catch (error) {
+    logger.error('❌ Failed to resume Stripe subscription:', error);
+    throw error;
+  }
+};
+
 // Create payment intent
 const createPaymentIntent = async (amount, currency, customerId, metadata = {}) => {
   try {
@@ -166,6 +219,25 @@ const createPrice = async (amount, currency, productId, metadata = {}) => {
   }
 };
 
+// Create a Customer Portal session for self-service billing
+const createBillingPortalSession = async (customerId, returnUrl) => {
+  try {
+    const session = await stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: returnUrl,
+      ...(process.env.STRIPE_PORTAL_CONFIGURATION_ID && {
+        configuration: process.env.STRIPE_PORTAL_CONFIGURATION_ID
+      })
+    });
+
+    logger.info(`✅ Created Stripe billing portal session: ${session.id}`);
+    return session;
+  } catch (error) {
+    logger.error('❌ Failed to create Stripe billing portal session:', error);
+    throw error;
+  }
+};
+
 // Verify webhook signature
 const verifyWebhookSignature = (payload, signature) => {
   try {
@@ -185,12 +257,16 @@ module.exports = {
   stripe,
   createCustomer,
   getCustomer,
+  getCharge,
   createSubscription,
   getSubscription,
   cancelSubscription,
+  pauseSubscription,
+  resumeSubscription,
   createPaymentIntent,
   createSetupIntent,
   getPaymentMethods,
   createPrice,
+  createBillingPortalSession,
   verifyWebhookSignature
 };
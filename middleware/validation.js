@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { logger } = require('../utils/logger');
+const { parseLicenseKey, isValidLicenseKey } = require('../utils/licenseKeyFormat');
 
 // Validation schemas
 const schemas = {
@@ -13,7 +14,10 @@ const schemas = {
   }),
 
   licenseKeyRequest: Joi.object({
-    licenseKey: Joi.string().pattern(/^UTM-[A-Z0-9]{8}-[A-Z0-9]{8}-[A-Z0-9]{8}$/).required()
+    licenseKey: Joi.string().required().custom((value, helpers) => {
+      const { key, error } = parseLicenseKey(value);
+      return error ? helpers.message(error) : key;
+    })
   }),
 
   paymentIntentRequest: Joi.object({
@@ -53,6 +57,23 @@ const validateLicenseKeyRequest = validateRequest(schemas.licenseKeyRequest);
 const validatePaymentIntentRequest = validateRequest(schemas.paymentIntentRequest);
 const validateUserUpdateRequest = validateRequest(schemas.userUpdateRequest);
 
+// Check the format and check symbol of req.body.key and store it in its canonical form.
+// Runs before rate limiting and database lookups, so a mistyped key is reported right away.
+const validateLicenseKeyFormat = (req, res, next) => {
+  if (!req.body || typeof req.body.key !== 'string') return next();
+
+  const { key, error } = parseLicenseKey(req.body.key);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  req.body.key = key;
+  next();
+};
+
 // Custom validation functions
 const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -66,8 +87,7 @@ const validatePassword = (password) => {
 };
 
 const validateLicenseKey = (licenseKey) => {
-  const licenseRegex = /^UTM-[A-Z0-9]{8}-[A-Z0-9]{8}-[A-Z0-9]{8}$/;
-  return licenseRegex.test(licenseKey);
+  return isValidLicenseKey(licenseKey);
 };
 
 // Sanitization functions
@@ -88,6 +108,7 @@ module.exports = {
   validateLicenseKeyRequest,
   validatePaymentIntentRequest,
   validateUserUpdateRequest,
+  validateLicenseKeyFormat,
   validateEmail,
   validatePassword,
   validateLicenseKey,
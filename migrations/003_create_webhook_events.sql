@@ -0,0 +1,28 @@
+-- Ledger of Stripe webhook events so retries and double deliveries are processed once
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    stripe_event_id TEXT UNIQUE NOT NULL,
+    type TEXT NOT NULL,
+    object_id TEXT NULL,
+    payload_hash TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'processed', 'ignored', 'failed')),
+    error TEXT NULL,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    livemode BOOLEAN DEFAULT false,
+    stripe_created_at TIMESTAMP NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for ledger lookups
+CREATE INDEX IF NOT EXISTS idx_webhook_events_type ON webhook_events(type);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_object_id ON webhook_events(object_id);
+
+-- Create trigger for updated_at
+DROP TRIGGER IF EXISTS update_webhook_events_updated_at ON webhook_events;
+CREATE TRIGGER update_webhook_events_updated_at
+    BEFORE UPDATE ON webhook_events
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
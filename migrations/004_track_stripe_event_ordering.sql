@@ -0,0 +1,9 @@
+-- Track the last Stripe event applied to each subscription so late deliveries can be ignored
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS last_stripe_event_created BIGINT NULL;
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS last_stripe_event_id TEXT NULL;
+
+-- Record rejected out-of-order events in the webhook ledger
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS skip_reason TEXT NULL;
+ALTER TABLE webhook_events DROP CONSTRAINT IF EXISTS webhook_events_status_check;
+ALTER TABLE webhook_events ADD CONSTRAINT webhook_events_status_check
+    CHECK (status IN ('processing', 'processed', 'ignored', 'stale', 'failed'));
@@ -0,0 +1,29 @@
+-- Dead-letter store for Stripe webhook events whose handler threw
+CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    webhook_event_id UUID NULL REFERENCES webhook_events(id) ON DELETE SET NULL,
+    stripe_event_id TEXT UNIQUE NOT NULL,
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    error_message TEXT NULL,
+    error_stack TEXT NULL,
+    failure_count INTEGER NOT NULL DEFAULT 1,
+    replay_count INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved')),
+    first_failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_failed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_replayed_at TIMESTAMP NULL,
+    resolved_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for dead-letter lookups
+CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_status ON webhook_dead_letters(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_type ON webhook_dead_letters(type);
+
+-- Create trigger for updated_at
+DROP TRIGGER IF EXISTS update_webhook_dead_letters_updated_at ON webhook_dead_letters;
+CREATE TRIGGER update_webhook_dead_letters_updated_at
+    BEFORE UPDATE ON webhook_dead_letters
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
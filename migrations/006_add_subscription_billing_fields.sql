@@ -0,0 +1,4 @@
+-- Store the Stripe price and billing period on each subscription so they can be reconciled
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS stripe_price_id TEXT NULL;
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS current_period_start TIMESTAMP NULL;
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS current_period_end TIMESTAMP NULL;
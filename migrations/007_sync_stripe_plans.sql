@@ -0,0 +1,15 @@
+-- Track where each plan came from in Stripe so plans can be synced instead of seeded
+ALTER TABLE stripe_plans ADD COLUMN IF NOT EXISTS stripe_product_id TEXT NULL;
+ALTER TABLE stripe_plans ADD COLUMN IF NOT EXISTS product_name TEXT NULL;
+ALTER TABLE stripe_plans ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE stripe_plans ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE stripe_plans ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Create index for active plan lookups
+CREATE INDEX IF NOT EXISTS idx_stripe_plans_active ON stripe_plans(active);
+
+-- Create trigger for updated_at
+DROP TRIGGER IF EXISTS update_stripe_plans_updated_at ON stripe_plans;
+CREATE TRIGGER update_stripe_plans_updated_at
+    BEFORE UPDATE ON stripe_plans
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,7 @@
+-- Record one-time lifetime purchases made through Checkout in payment mode
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS is_lifetime BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS stripe_payment_intent_id TEXT NULL;
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS lifetime_granted_at TIMESTAMP NULL;
+
+-- Create index for payment lookups (refunds, disputes)
+CREATE INDEX IF NOT EXISTS idx_user_subscriptions_stripe_payment_intent_id ON user_subscriptions(stripe_payment_intent_id);
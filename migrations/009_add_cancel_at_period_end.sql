@@ -0,0 +1,3 @@
+-- Track scheduled cancellations so the paywall can report "active until X, will not renew"
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS canceled_at TIMESTAMP NULL;
@@ -0,0 +1,7 @@
+-- Allow subscriptions to be paused (Stripe pause_collection) and record when they resume
+ALTER TABLE user_subscriptions DROP CONSTRAINT IF EXISTS user_subscriptions_status_check;
+ALTER TABLE user_subscriptions ADD CONSTRAINT user_subscriptions_status_check
+    CHECK (status IN ('trial', 'active', 'past_due', 'paused', 'canceled', 'expired'));
+
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS paused_at TIMESTAMP NULL;
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS pause_resumes_at TIMESTAMP NULL;
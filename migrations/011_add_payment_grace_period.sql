@@ -0,0 +1,4 @@
+-- Track failed renewal payments so past_due subscriptions keep access during a grace period
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS past_due_since TIMESTAMP NULL;
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS payment_failed_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS next_payment_attempt_at TIMESTAMP NULL;
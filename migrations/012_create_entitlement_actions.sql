@@ -0,0 +1,25 @@
+-- Allow entitlements to be revoked after a refund or lost dispute
+ALTER TABLE user_subscriptions DROP CONSTRAINT IF EXISTS user_subscriptions_status_check;
+ALTER TABLE user_subscriptions ADD CONSTRAINT user_subscriptions_status_check
+    CHECK (status IN ('trial', 'active', 'past_due', 'paused', 'canceled', 'expired', 'revoked'));
+
+ALTER TABLE user_subscriptions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP NULL;
+
+-- Audit trail of entitlements revoked or restored because of refunds and disputes
+CREATE TABLE IF NOT EXISTS entitlement_actions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subscription_id UUID NOT NULL REFERENCES user_subscriptions(id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN ('revoked', 'restored')),
+    reason TEXT NOT NULL CHECK (reason IN ('refund', 'dispute_opened', 'dispute_lost', 'dispute_won')),
+    previous_status TEXT NULL,
+    stripe_charge_id TEXT NOT NULL,
+    stripe_dispute_id TEXT NULL,
+    stripe_event_id TEXT NULL,
+    amount INTEGER NULL,
+    currency TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for entitlement action lookups
+CREATE INDEX IF NOT EXISTS idx_entitlement_actions_subscription_id ON entitlement_actions(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_entitlement_actions_stripe_charge_id ON entitlement_actions(stripe_charge_id);
@@ -0,0 +1,2 @@
+-- Per-plan toggle for letting customers enter promotion codes at checkout
+ALTER TABLE stripe_plans ADD COLUMN IF NOT EXISTS allow_promotion_codes BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,10 @@
+-- Keep every price a plan has had so existing subscribers stay on the price they signed up for.
+-- Each new Stripe price for a plan_key and currency becomes the next version; older ones are archived.
+ALTER TABLE stripe_plans ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE stripe_plans ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP NULL;
+
+-- Plans deactivated before versioning were archived at their last update
+UPDATE stripe_plans SET archived_at = updated_at WHERE active = FALSE AND archived_at IS NULL;
+
+-- Create index for version lookups
+CREATE INDEX IF NOT EXISTS idx_stripe_plans_plan_key_currency ON stripe_plans(plan_key, currency, version);
@@ -0,0 +1,37 @@
+-- Features each plan unlocks, so the app can gate features from the server.
+-- plan_key matches stripe_plans.plan_key (all versions and currencies), 'trial', 'free',
+-- or a license plan ('license_<plan_key>') that overrides its plan's features.
+CREATE TABLE IF NOT EXISTS plan_features (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    plan_key TEXT NOT NULL,
+    feature_key TEXT NOT NULL,
+    value JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (plan_key, feature_key)
+);
+
+-- Create index for plan lookups
+CREATE INDEX IF NOT EXISTS idx_plan_features_plan_key ON plan_features(plan_key);
+
+-- Create trigger for updated_at
+DROP TRIGGER IF EXISTS update_plan_features_updated_at ON plan_features;
+CREATE TRIGGER update_plan_features_updated_at
+    BEFORE UPDATE ON plan_features
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Pro plans and trials unlock everything; features not listed keep the free defaults
+INSERT INTO plan_features (plan_key, feature_key, value) VALUES
+('pro_monthly', 'max_vms', '100'),
+('pro_monthly', 'snapshots', 'true'),
+('pro_monthly', 'usb_passthrough', 'true'),
+('pro_yearly', 'max_vms', '100'),
+('pro_yearly', 'snapshots', 'true'),
+('pro_yearly', 'usb_passthrough', 'true'),
+('pro_lifetime', 'max_vms', '100'),
+('pro_lifetime', 'snapshots', 'true'),
+('pro_lifetime', 'usb_passthrough', 'true'),
+('trial', 'max_vms', '100'),
+('trial', 'snapshots', 'true'),
+('trial', 'usb_passthrough', 'true')
+ON CONFLICT (plan_key, feature_key) DO NOTHING;
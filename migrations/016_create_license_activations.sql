@@ -0,0 +1,42 @@
+-- Let one license key cover several users or devices, up to max_activations seats.
+-- single_use now mirrors max_activations = 1; revoked_at marks keys an admin has revoked.
+ALTER TABLE license_keys ADD COLUMN IF NOT EXISTS max_activations INTEGER NOT NULL DEFAULT 1 CHECK (max_activations >= 1);
+ALTER TABLE license_keys ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP NULL;
+
+-- One row per user or device a license key is activated on; deactivated rows are kept as history
+CREATE TABLE IF NOT EXISTS license_activations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    license_key_id UUID NOT NULL REFERENCES license_keys(id) ON DELETE CASCADE,
+    uid TEXT NULL,
+    device_id TEXT NULL,
+    activated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deactivated_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((uid IS NULL) <> (device_id IS NULL))
+);
+
+-- Create indexes for activation lookups; a user or device holds at most one active seat per key
+CREATE INDEX IF NOT EXISTS idx_license_activations_license_key_id ON license_activations(license_key_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_license_activations_active_uid
+    ON license_activations(license_key_id, uid) WHERE deactivated_at IS NULL AND uid IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_license_activations_active_device_id
+    ON license_activations(license_key_id, device_id) WHERE deactivated_at IS NULL AND device_id IS NOT NULL;
+
+-- Create trigger for updated_at
+DROP TRIGGER IF EXISTS update_license_activations_updated_at ON license_activations;
+CREATE TRIGGER update_license_activations_updated_at
+    BEFORE UPDATE ON license_activations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Keys redeemed before activations were tracked hold one seat for their bound user or device
+INSERT INTO license_activations (license_key_id, uid, device_id, activated_at)
+SELECT id, bound_uid, CASE WHEN bound_uid IS NULL THEN bound_device_id END, redeemed_at
+FROM license_keys
+WHERE redeemed_at IS NOT NULL
+  AND (bound_uid IS NOT NULL OR bound_device_id IS NOT NULL)
+  AND NOT EXISTS (SELECT 1 FROM license_activations WHERE license_activations.license_key_id = license_keys.id);
+
+-- Redeemed keys without a binding were revoked (LicenseKey.revoke() cleared it)
+UPDATE license_keys SET revoked_at = redeemed_at
+WHERE redeemed_at IS NOT NULL AND bound_uid IS NULL AND bound_device_id IS NULL AND revoked_at IS NULL;
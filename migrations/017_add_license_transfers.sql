@@ -0,0 +1,15 @@
+-- Record who freed a license seat, so owner transfers can be limited per period.
+-- owner: the user or guest moved the license off a device; admin: freed by an admin; revoked: the key was revoked.
+ALTER TABLE license_activations ADD COLUMN IF NOT EXISTS deactivated_by TEXT NULL
+    CHECK (deactivated_by IN ('owner', 'admin', 'revoked'));
+
+-- Seats freed before this migration were freed by an admin or a revocation
+UPDATE license_activations SET deactivated_by = 'revoked'
+WHERE deactivated_at IS NOT NULL AND deactivated_by IS NULL
+  AND license_key_id IN (SELECT id FROM license_keys WHERE revoked_at IS NOT NULL);
+UPDATE license_activations SET deactivated_by = 'admin'
+WHERE deactivated_at IS NOT NULL AND deactivated_by IS NULL;
+
+-- Create indexes for activation history lookups
+CREATE INDEX IF NOT EXISTS idx_license_activations_uid ON license_activations(uid);
+CREATE INDEX IF NOT EXISTS idx_license_activations_device_id ON license_activations(device_id);
@@ -0,0 +1,13 @@
+-- Store license keys as HMAC-SHA256 digests (LICENSE_KEY_SECRET) with a short prefix for display.
+-- New keys only have key_hash/key_prefix; plaintext keys are hashed by `npm run license:hash-keys`
+-- (the secret isn't available to SQL) or on their next lookup, which also clears the plaintext.
+ALTER TABLE license_keys ADD COLUMN IF NOT EXISTS key_hash TEXT NULL;
+ALTER TABLE license_keys ADD COLUMN IF NOT EXISTS key_prefix TEXT NULL;
+ALTER TABLE license_keys ALTER COLUMN key DROP NOT NULL;
+
+ALTER TABLE license_keys DROP CONSTRAINT IF EXISTS license_keys_key_or_hash_check;
+ALTER TABLE license_keys ADD CONSTRAINT license_keys_key_or_hash_check
+    CHECK (key IS NOT NULL OR key_hash IS NOT NULL);
+
+-- Create index for digest lookups
+CREATE UNIQUE INDEX IF NOT EXISTS idx_license_keys_key_hash ON license_keys(key_hash);
@@ -0,0 +1,30 @@
+-- Enforce max_activations in the database, so concurrent activations by different users or devices
+-- can't take more seats than a license key has. Inserts lock the key's row, which queues activations
+-- of the same key, and count its active seats once they hold the lock.
+CREATE OR REPLACE FUNCTION enforce_license_activation_limit()
+RETURNS TRIGGER AS $$
+DECLARE
+    seat_limit INTEGER;
+    seats_used INTEGER;
+BEGIN
+    IF NEW.deactivated_at IS NOT NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT max_activations INTO seat_limit FROM license_keys WHERE id = NEW.license_key_id FOR UPDATE;
+
+    SELECT COUNT(*) INTO seats_used FROM license_activations
+    WHERE license_key_id = NEW.license_key_id AND deactivated_at IS NULL;
+
+    IF seats_used >= seat_limit THEN
+        RAISE EXCEPTION 'License key % has no activations left', NEW.license_key_id USING ERRCODE = 'LK001';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS enforce_license_activation_limit ON license_activations;
+CREATE TRIGGER enforce_license_activation_limit
+    BEFORE INSERT ON license_activations
+    FOR EACH ROW EXECUTE FUNCTION enforce_license_activation_limit();
@@ -0,0 +1,3 @@
+-- Look up the outcome of a dispute by its Stripe ID, so a charge.dispute.created delivered after the
+-- dispute closed doesn't revoke access again
+CREATE INDEX IF NOT EXISTS idx_entitlement_actions_stripe_dispute_id ON entitlement_actions(stripe_dispute_id);
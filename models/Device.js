@@ -89,6 +89,23 @@ class Device {
     }
   }
 
+  // Get the devices linked to a Firebase UID
+  static async getByLinkedUid(uid) {
+    try {
+      const { data, error } = await supabase
+        .from('devices')
+        .select('*')
+        .eq('linked_uid', uid);
+
+      if (error) throw error;
+
+      return data.map(item => new Device(item));
+    } catch (error) {
+      logger.error('❌ Failed to get devices by linked UID:', error);
+      throw error;
+    }
+  }
+
   // Update device
   async update(updateData) {
     try {
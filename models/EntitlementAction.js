@@ -0,0 +1,119 @@
+const { supabase } = require('../src/lib/supabase');
+const { logger } = require('../utils/logger');
+
+class EntitlementAction {
+  constructor(data) {
+    this.id = data.id;
+    this.subscriptionId = data.subscription_id;
+    this.action = data.action;
+    this.reason = data.reason;
+    this.previousStatus = data.previous_status;
+    this.stripeChargeId = data.stripe_charge_id;
+    this.stripeDisputeId = data.stripe_dispute_id;
+    this.stripeEventId = data.stripe_event_id;
+    this.amount = data.amount;
+    this.currency = data.currency;
+    this.createdAt = data.created_at;
+  }
+
+  // Record an entitlement action
+  static async create(actionData) {
+    try {
+      const { data, error } = await supabase
+        .from('entitlement_actions')
+        .insert(actionData)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      logger.info(`✅ Recorded entitlement action ${data.action} (${data.reason}) for subscription: ${data.subscription_id}`);
+      return new EntitlementAction(data);
+    } catch (error) {
+      logger.error('❌ Failed to record entitlement action:', error);
+      throw error;
+    }
+  }
+
+  // Get the actions recorded for a subscription, newest first
+  static async getBySubscriptionId(subscriptionId) {
+    try {
+      const { data, error } = await supabase
+        .from('entitlement_actions')
+        .select('*')
+        .eq('subscription_id', subscriptionId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return data.map(item => new EntitlementAction(item));
+    } catch (error) {
+      logger.error('❌ Failed to get entitlement actions:', error);
+      throw error;
+    }
+  }
+
+  // Get the revocation that took away a subscription's access for a Stripe charge.
+  // Revocations of an already revoked subscription are skipped, so the status to restore is known.
+  static async getLatestRevocation(subscriptionId, stripeChargeId) {
+    try {
+      const { data, error } = await supabase
+        .from('entitlement_actions')
+        .select('*')
+        .eq('subscription_id', subscriptionId)
+        .eq('stripe_charge_id', stripeChargeId)
+        .eq('action', 'revoked')
+        .neq('previous_status', 'revoked')
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      if (!data || data.length === 0) return null;
+
+      return new EntitlementAction(data[0]);
+    } catch (error) {
+      logger.error('❌ Failed to get entitlement revocation:', error);
+      throw error;
+    }
+  }
+
+  // Get the action recorded when a Stripe dispute closed (won or lost), or null while it is open
+  static async getDisputeOutcome(stripeDisputeId) {
+    try {
+      const { data, error } = await supabase
+        .from('entitlement_actions')
+        .select('*')
+        .eq('stripe_dispute_id', stripeDisputeId)
+        .in('reason', ['dispute_won', 'dispute_lost'])
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      if (!data || data.length === 0) return null;
+
+      return new EntitlementAction(data[0]);
+    } catch (error) {
+      logger.error('❌ Failed to get dispute outcome:', error);
+      throw error;
+    }
+  }
+
+  // Convert to admin JSON
+  toAdminJSON() {
+    return {
+      id: this.id,
+      subscription_id: this.subscriptionId,
+      action: this.action,
+      reason: this.reason,
+      previous_status: this.previousStatus,
+      stripe_charge_id: this.stripeChargeId,
+      stripe_dispute_id: this.stripeDisputeId,
+      stripe_event_id: this.stripeEventId,
+      amount: this.amount,
+      currency: this.currency,
+      created_at: this.createdAt
+    };
+  }
+}
+
+module.exports = EntitlementAction;
@@ -0,0 +1,281 @@
+const { supabase } = require('../src/lib/supabase');
+const { logger } = require('../utils/logger');
+
+// Raised by the license_activations insert trigger when every seat of the key is taken
+const ACTIVATION_LIMIT_ERROR_CODE = 'LK001';
+
+class LicenseActivation {
+  constructor(data) {
+    this.id = data.id;
+    this.licenseKeyId = data.license_key_id;
+    this.uid = data.uid;
+    this.deviceId = data.device_id;
+    this.activatedAt = data.activated_at;
+    this.deactivatedAt = data.deactivated_at;
+    this.deactivatedBy = data.deactivated_by;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Activate a license key for a user or device.
+  // Resolves to null if the key's seats were all taken, e.g. by a concurrent activation.
+  static async create(licenseKeyId, { uid = null, deviceId = null }) {
+    try {
+      const { data, error } = await supabase
+        .from('license_activations')
+        .insert({
+          license_key_id: licenseKeyId,
+          uid,
+          device_id: uid ? null : deviceId
+        })
+        .select()
+        .single();
+
+      if (error && error.code === ACTIVATION_LIMIT_ERROR_CODE) {
+        logger.warn(`⚠️ License key ${licenseKeyId} has no activations left`);
+        return null;
+      }
+      if (error) throw error;
+
+      logger.info(`✅ Created license activation ${data.id} for license key: ${licenseKeyId}`);
+      return new LicenseActivation(data);
+    } catch (error) {
+      logger.error('❌ Failed to create license activation:', error);
+      throw error;
+    }
+  }
+
+  // Get an activation by ID
+  static async getById(id) {
+    try {
+      const { data, error } = await supabase
+        .from('license_activations')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!data) return null;
+
+      return new LicenseActivation(data);
+    } catch (error) {
+      logger.error('❌ Failed to get license activation by ID:', error);
+      throw error;
+    }
+  }
+
+  // Get the active activation of a license key for a user or device
+  static async getActive(licenseKeyId, { uid = null, deviceId = null }) {
+    try {
+      let query = supabase
+        .from('license_activations')
+        .select('*')
+        .eq('license_key_id', licenseKeyId)
+        .is('deactivated_at', null);
+
+      query = uid ? query.eq('uid', uid) : query.eq('device_id', deviceId);
+
+      const { data, error } = await query.maybeSingle();
+
+      if (error) throw error;
+      if (!data) return null;
+
+      return new LicenseActivation(data);
+    } catch (error) {
+      logger.error('❌ Failed to get license activation:', error);
+      throw error;
+    }
+  }
+
+  // Get the activations of a license key, newest first
+  static async getByLicenseKeyId(licenseKeyId, options = {}) {
+    try {
+      let query = supabase
+        .from('license_activations')
+        .select('*')
+        .eq('license_key_id', licenseKeyId)
+        .order('activated_at', { ascending: false });
+
+      if (options.activeOnly) {
+        query = query.is('deactivated_at', null);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return data.map(item => new LicenseActivation(item));
+    } catch (error) {
+      logger.error('❌ Failed to get license activations:', error);
+      throw error;
+    }
+  }
+
+  // Get the activation history of a user and/or devices across license keys, newest first
+  static async getByOwner({ uid = null, deviceIds = [] }) {
+    try {
+      const queries = [];
+
+      if (uid) {
+        queries.push(supabase.from('license_activations').select('*').eq('uid', uid));
+      }
+      if (deviceIds.length > 0) {
+        queries.push(supabase.from('license_activations').select('*').in('device_id', deviceIds));
+      }
+
+      const results = await Promise.all(queries);
+      const rows = [];
+      results.forEach(({ data, error }) => {
+        if (error) throw error;
+        rows.push(...data);
+      });
+
+      return rows
+        .map(item => new LicenseActivation(item))
+        .sort((a, b) => new Date(b.activatedAt) - new Date(a.activatedAt));
+    } catch (error) {
+      logger.error('❌ Failed to get license activation history:', error);
+      throw error;
+    }
+  }
+
+  // Count the seats in use on a license key
+  static async countActive(licenseKeyId) {
+    try {
+      const { count, error } = await supabase
+        .from('license_activations')
+        .select('*', { count: 'exact', head: true })
+        .eq('license_key_id', licenseKeyId)
+        .is('deactivated_at', null);
+
+      if (error) throw error;
+
+      return count || 0;
+    } catch (error) {
+      logger.error('❌ Failed to count license activations:', error);
+      throw error;
+    }
+  }
+
+  // Count the seats in use on several license keys, keyed by license key ID
+  static async countActiveByLicenseKeyIds(licenseKeyIds) {
+    try {
+      const counts = Object.fromEntries(licenseKeyIds.map(id => [id, 0]));
+      if (licenseKeyIds.length === 0) return counts;
+
+      const { data, error } = await supabase
+        .from('license_activations')
+        .select('license_key_id')
+        .in('license_key_id', licenseKeyIds)
+        .is('deactivated_at', null);
+
+      if (error) throw error;
+
+      data.forEach((item) => {
+        counts[item.license_key_id] += 1;
+      });
+      return counts;
+    } catch (error) {
+      logger.error('❌ Failed to count license activations:', error);
+      throw error;
+    }
+  }
+
+  // Count the seats of a license key freed by deactivatedBy since a date
+  static async countDeactivations(licenseKeyId, { deactivatedBy, since }) {
+    try {
+      const { count, error } = await supabase
+        .from('license_activations')
+        .select('*', { count: 'exact', head: true })
+        .eq('license_key_id', licenseKeyId)
+        .eq('deactivated_by', deactivatedBy)
+        .gte('deactivated_at', since);
+
+      if (error) throw error;
+
+      return count || 0;
+    } catch (error) {
+      logger.error('❌ Failed to count license deactivations:', error);
+      throw error;
+    }
+  }
+
+  // Deactivate every active activation of a license key
+  static async deactivateAll(licenseKeyId, deactivatedBy = 'revoked') {
+    try {
+      const { data, error } = await supabase
+        .from('license_activations')
+        .update({ deactivated_at: new Date().toISOString(), deactivated_by: deactivatedBy })
+        .eq('license_key_id', licenseKeyId)
+        .is('deactivated_at', null)
+        .select();
+
+      if (error) throw error;
+
+      logger.info(`✅ Deactivated ${data.length} activations of license key: ${licenseKeyId}`);
+      return data.map(item => new LicenseActivation(item));
+    } catch (error) {
+      logger.error('❌ Failed to deactivate license activations:', error);
+      throw error;
+    }
+  }
+
+  // Free this activation's seat; deactivatedBy is 'owner', 'admin' or 'revoked'
+  async deactivate(deactivatedBy) {
+    try {
+      const { data, error } = await supabase
+        .from('license_activations')
+        .update({ deactivated_at: new Date().toISOString(), deactivated_by: deactivatedBy })
+        .eq('id', this.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      Object.assign(this, new LicenseActivation(data));
+
+      logger.info(`✅ Deactivated license activation: ${this.id}`);
+      return this;
+    } catch (error) {
+      logger.error('❌ Failed to deactivate license activation:', error);
+      throw error;
+    }
+  }
+
+  // Check if the activation still holds a seat
+  isActive() {
+    return !this.deactivatedAt;
+  }
+
+  // User or device the activation belongs to
+  getBoundInfo() {
+    return this.uid ? { uid: this.uid } : { deviceId: this.deviceId };
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      license_key_id: this.licenseKeyId,
+      uid: this.uid,
+      device_id: this.deviceId,
+      activated_at: this.activatedAt,
+      deactivated_at: this.deactivatedAt,
+      deactivated_by: this.deactivatedBy,
+      is_active: this.isActive()
+    };
+  }
+
+  // Convert to public JSON (for API responses)
+  toPublicJSON() {
+    return {
+      id: this.id,
+      bound_to: this.getBoundInfo(),
+      activated_at: this.activatedAt,
+      deactivated_at: this.deactivatedAt,
+      deactivated_by: this.deactivatedBy
+    };
+  }
+}
+
+module.exports = LicenseActivation;
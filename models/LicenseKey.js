@@ -1,50 +1,75 @@
 const { supabase } = require('../src/lib/supabase');
 const { logger } = require('../utils/logger');
 const crypto = require('crypto');
+const { generateLicenseKey } = require('../utils/licenseKeyFormat');
 
 class LicenseKey {
   constructor(data) {
     this.id = data.id;
-    this.key = data.key;
+    this.key = data.key; // Plaintext, only on rows not hashed yet
+    this.keyHash = data.key_hash;
+    this.keyPrefix = data.key_prefix;
     this.planId = data.plan_id;
     this.expiresAt = data.expires_at;
     this.singleUse = data.single_use;
+    this.maxActivations = data.max_activations || 1;
     this.boundUid = data.bound_uid;
     this.boundDeviceId = data.bound_device_id;
     this.redeemedAt = data.redeemed_at;
+    this.revokedAt = data.revoked_at;
     this.createdBy = data.created_by;
     this.createdAt = data.created_at;
   }
 
-  // Generate license key
+  // Generate license key in the current format (see utils/licenseKeyFormat)
   static generateKey() {
-    // Generate a structured key like UTM-XXXX-XXXX-XXXX
-    const segments = [];
-    for (let i = 0; i < 3; i++) {
-      segments.push(crypto.randomBytes(2).toString('hex').toUpperCase());
+    return generateLicenseKey();
+  }
+
+  // Secret license key digests are keyed with. There is no fallback: digests under a
+  // known secret could be brute-forced, and setting one later would orphan them.
+  static getKeySecret() {
+    if (!process.env.LICENSE_KEY_SECRET) {
+      throw new Error('LICENSE_KEY_SECRET must be set to hash license keys');
     }
-    return `UTM-${segments.join('-')}`;
+    return process.env.LICENSE_KEY_SECRET;
   }
 
   // Hash license key for storage
   static hashKey(key) {
-    return crypto.createHmac('sha256', process.env.LICENSE_KEY_SECRET || 'default-secret')
+    return crypto.createHmac('sha256', LicenseKey.getKeySecret())
       .update(key)
       .digest('hex');
   }
 
+  // Start of a key shown to admins and users to tell keys apart, e.g. UTM2-7K3QD
+  static getKeyPrefix(key) {
+    return key.split('-').slice(0, 2).join('-');
+  }
+
+  // Columns stored for a key: its digest and display prefix, never the plaintext
+  static getStoredKeyFields(key) {
+    return {
+      key: null,
+      key_hash: LicenseKey.hashKey(key),
+      key_prefix: LicenseKey.getKeyPrefix(key)
+    };
+  }
+
   // Create license key
   static async create(licenseData) {
     try {
       const key = LicenseKey.generateKey();
+      const maxActivations = licenseData.maxActivations || 1;
 
       const { data, error } = await supabase
         .from('license_keys')
         .insert({
-          key: key, // Store as plain text
+          ...LicenseKey.getStoredKeyFields(key),
           plan_id: licenseData.planId,
           expires_at: licenseData.expiresAt,
-          single_use: licenseData.singleUse !== false,
+          single_use: maxActivations === 1,
+          max_activations: maxActivations,
           created_by: licenseData.createdBy
         })
         .select()
@@ -65,6 +90,7 @@ class LicenseKey {
     try {
       const keys = [];
       const plaintextKeys = [];
+      const maxActivations = options.maxActivations || 1;
 
       for (let i = 0; i < count; i++) {
         const key = LicenseKey.generateKey();
@@ -72,10 +98,11 @@ class LicenseKey {
         const { data, error } = await supabase
           .from('license_keys')
           .insert({
-            key: key, // Store as plain text
+            ...LicenseKey.getStoredKeyFields(key),
             plan_id: planId,
             expires_at: options.expiresAt,
-            single_use: options.singleUse !== false,
+            single_use: maxActivations === 1,
+            max_activations: maxActivations,
             created_by: options.createdBy
           })
           .select()
@@ -95,20 +122,32 @@ class LicenseKey {
     }
   }
 
-  // Get license key by key
+  // Get license key by key, looked up by its digest.
+  // Keys still stored in plain text are found by value and hashed on the way.
   static async getByKey(key) {
     try {
-      // Look up by plain text key (not hashed)
       const { data, error } = await supabase
+        .from('license_keys')
+        .select('*')
+        .eq('key_hash', LicenseKey.hashKey(key))
+        .maybeSingle();
+
+      if (error) throw error;
+      if (data) return new LicenseKey(data);
+
+      const { data: plaintextData, error: plaintextError } = await supabase
         .from('license_keys')
         .select('*')
         .eq('key', key)
-        .single();
+        .is('key_hash', null)
+        .maybeSingle();
 
-      if (error && error.code !== 'PGRST116') throw error;
-      if (!data) return null;
+      if (plaintextError) throw plaintextError;
+      if (!plaintextData) return null;
 
-      return new LicenseKey(data);
+      const licenseKey = new LicenseKey(plaintextData);
+      await licenseKey.update(LicenseKey.getStoredKeyFields(key));
+      return licenseKey;
     } catch (error) {
       logger.error('❌ Failed to get license key by key:', error);
       throw error;
@@ -134,6 +173,51 @@ class LicenseKey {
     }
   }
 
+  // Hash license keys still stored in plain text, in batches
+  static async hashPlaintextKeys(options = {}) {
+    try {
+      const batchSize = options.batchSize || 100;
+      const report = { hashed: 0, keys: [] };
+      let batch;
+
+      do {
+        // Hashed rows drop out of the filter; a dry run pages past the rows it has seen
+        const offset = report.keys.length - report.hashed;
+        const { data, error } = await supabase
+          .from('license_keys')
+          .select('id, key')
+          .is('key_hash', null)
+          .not('key', 'is', null)
+          .order('created_at', { ascending: true })
+          .range(offset, offset + batchSize - 1);
+
+        if (error) throw error;
+        batch = data;
+
+        for (const row of batch) {
+          const fields = LicenseKey.getStoredKeyFields(row.key);
+          report.keys.push({ id: row.id, key_prefix: fields.key_prefix });
+
+          if (!options.dryRun) {
+            const { error: updateError } = await supabase
+              .from('license_keys')
+              .update(fields)
+              .eq('id', row.id);
+
+            if (updateError) throw updateError;
+            report.hashed += 1;
+          }
+        }
+      } while (batch.length === batchSize);
+
+      logger.info(`✅ Hashed ${report.hashed} of ${report.keys.length} plaintext license keys`);
+      return report;
+    } catch (error) {
+      logger.error('❌ Failed to hash plaintext license keys:', error);
+      throw error;
+    }
+  }
+
   // Get all license keys (with pagination)
   static async getAll(options = {}) {
     try {
@@ -182,8 +266,8 @@ class LicenseKey {
       if (error) throw error;
 
       // Update local instance
-      Object.assign(this, data);
-      
+      Object.assign(this, new LicenseKey(data));
+
       logger.info(`✅ Updated license key: ${this.id}`);
       return this;
     } catch (error) {
@@ -192,11 +276,12 @@ class LicenseKey {
     }
   }
 
-  // Redeem license key
+  // Record the first activation of a license key.
+  // bound_uid/bound_device_id keep the first user or device; every seat is in license_activations.
   async redeem(boundUid = null, boundDeviceId = null) {
     try {
       if (this.isRedeemed()) {
-        throw new Error('License key has already been redeemed');
+        return this;
       }
 
       if (this.isExpired()) {
@@ -217,11 +302,14 @@ class LicenseKey {
     }
   }
 
-  // Revoke license key
+  // Mark license key as revoked; revokeLicense() in services/licenseActivation also frees its seats
   async revoke() {
     try {
+      const now = new Date().toISOString();
+
       await this.update({
-        redeemed_at: new Date().toISOString(),
+        redeemed_at: this.redeemedAt || now,
+        revoked_at: now,
         bound_uid: null,
         bound_device_id: null
       });
@@ -239,6 +327,11 @@ class LicenseKey {
     return !!this.redeemedAt;
   }
 
+  // Check if license key has been revoked
+  isRevoked() {
+    return !!this.revokedAt;
+  }
+
   // Check if license key is expired
   isExpired() {
     if (!this.expiresAt) {
@@ -251,9 +344,9 @@ class LicenseKey {
     return expiresAt <= now;
   }
 
-  // Check if license key is valid for redemption
-  isValidForRedemption() {
-    return !this.isRedeemed() && !this.isExpired();
+  // Check if license key is valid for redemption, given the number of seats in use
+  isValidForRedemption(activeActivations = 0) {
+    return !this.isRevoked() && !this.isExpired() && activeActivations < this.maxActivations;
   }
 
   // Get bound information
@@ -270,18 +363,20 @@ class LicenseKey {
   toJSON() {
     return {
       id: this.id,
-      key: this.key,
+      keyPrefix: this.keyPrefix,
       planId: this.planId,
       expiresAt: this.expiresAt,
       singleUse: this.singleUse,
+      maxActivations: this.maxActivations,
       boundUid: this.boundUid,
       boundDeviceId: this.boundDeviceId,
       redeemedAt: this.redeemedAt,
+      revokedAt: this.revokedAt,
       createdBy: this.createdBy,
       createdAt: this.createdAt,
       isRedeemed: this.isRedeemed(),
+      isRevoked: this.isRevoked(),
       isExpired: this.isExpired(),
-      isValidForRedemption: this.isValidForRedemption(),
       boundInfo: this.getBoundInfo()
     };
   }
@@ -291,6 +386,7 @@ class LicenseKey {
     return {
       plan_id: this.planId,
       expires_at: this.expiresAt,
+      max_activations: this.maxActivations,
       bound_to: this.getBoundInfo()
     };
   }
@@ -0,0 +1,153 @@
+const { supabase } = require('../src/lib/supabase');
+const { logger } = require('../utils/logger');
+
+// Features of users without a plan; plans only list what they change
+const DEFAULT_FEATURES = {
+  max_vms: 2,
+  snapshots: false,
+  usb_passthrough: false
+};
+
+// Plan keys for users on a trial and users without an active plan
+const TRIAL_PLAN_KEY = 'trial';
+const FREE_PLAN_KEY = 'free';
+
+// License subscriptions are stored as license_<plan_key>
+const LICENSE_PLAN_PREFIX = 'license_';
+
+class PlanFeature {
+  constructor(data) {
+    this.id = data.id;
+    this.planKey = data.plan_key;
+    this.featureKey = data.feature_key;
+    this.value = data.value;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Create or update a plan's feature value
+  static async upsert(planKey, featureKey, value) {
+    try {
+      const { data, error } = await supabase
+        .from('plan_features')
+        .upsert({ plan_key: planKey, feature_key: featureKey, value }, { onConflict: 'plan_key,feature_key' })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      logger.info(`✅ Set plan feature ${featureKey} for plan: ${planKey}`);
+      return new PlanFeature(data);
+    } catch (error) {
+      logger.error('❌ Failed to set plan feature:', error);
+      throw error;
+    }
+  }
+
+  // Remove a feature from a plan so it falls back to the default
+  static async remove(planKey, featureKey) {
+    try {
+      const { error } = await supabase
+        .from('plan_features')
+        .delete()
+        .eq('plan_key', planKey)
+        .eq('feature_key', featureKey);
+
+      if (error) throw error;
+
+      logger.info(`✅ Removed plan feature ${featureKey} from plan: ${planKey}`);
+      return true;
+    } catch (error) {
+      logger.error('❌ Failed to remove plan feature:', error);
+      throw error;
+    }
+  }
+
+  // Get the features of the given plans
+  static async getByPlanKeys(planKeys) {
+    try {
+      const { data, error } = await supabase
+        .from('plan_features')
+        .select('*')
+        .in('plan_key', planKeys);
+
+      if (error) throw error;
+
+      return data.map(item => new PlanFeature(item));
+    } catch (error) {
+      logger.error('❌ Failed to get plan features:', error);
+      throw error;
+    }
+  }
+
+  // Get all plan features
+  static async getAll() {
+    try {
+      const { data, error } = await supabase
+        .from('plan_features')
+        .select('*')
+        .order('plan_key', { ascending: true })
+        .order('feature_key', { ascending: true });
+
+      if (error) throw error;
+
+      return data.map(item => new PlanFeature(item));
+    } catch (error) {
+      logger.error('❌ Failed to get plan features:', error);
+      throw error;
+    }
+  }
+
+  // Plan keys whose features apply to a plan, most general first.
+  // A license plan inherits its plan's features and can override them.
+  static getPlanKeyChain(planKey) {
+    if (!planKey) return [FREE_PLAN_KEY];
+
+    if (planKey.startsWith(LICENSE_PLAN_PREFIX)) {
+      return [planKey.slice(LICENSE_PLAN_PREFIX.length), planKey];
+    }
+
+    return [planKey];
+  }
+
+  // Build the feature set of a plan from plan feature rows, on top of the defaults
+  static buildFeatureSet(features, planKey) {
+    const featureSet = { ...DEFAULT_FEATURES };
+
+    PlanFeature.getPlanKeyChain(planKey).forEach(key => {
+      features
+        .filter(feature => feature.planKey === key)
+        .forEach(feature => { featureSet[feature.featureKey] = feature.value; });
+    });
+
+    return featureSet;
+  }
+
+  // Get the resolved feature set of a plan
+  static async getFeatureSet(planKey) {
+    const features = await PlanFeature.getByPlanKeys(PlanFeature.getPlanKeyChain(planKey));
+    return PlanFeature.buildFeatureSet(features, planKey);
+  }
+
+  // Plan key whose features an access level gets: the plan while active, the trial plan during a trial
+  static getPlanKeyForAccess(access, planKey) {
+    if (access === 'lifetime' || access === 'active') return planKey || FREE_PLAN_KEY;
+    if (access === 'trial') return TRIAL_PLAN_KEY;
+
+    return FREE_PLAN_KEY;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      planKey: this.planKey,
+      featureKey: this.featureKey,
+      value: this.value,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = PlanFeature;
@@ -1,6 +1,9 @@
 const { supabase } = require('../src/lib/supabase');
 const { logger } = require('../utils/logger');
 
+// Currency offered when the caller doesn't ask for one we have
+const DEFAULT_CURRENCY = 'usd';
+
 class StripePlan {
   constructor(data) {
     this.id = data.id;
@@ -10,7 +13,15 @@ class StripePlan {
     this.period = data.period;
     this.amount = data.amount;
     this.currency = data.currency;
+    this.stripeProductId = data.stripe_product_id;
+    this.productName = data.product_name;
+    this.metadata = data.metadata || {};
+    this.active = data.active !== false;
+    this.allowPromotionCodes = !!data.allow_promotion_codes;
+    this.version = data.version || 1;
+    this.archivedAt = data.archived_at;
     this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
   }
 
   // Create stripe plan
@@ -70,19 +81,19 @@ class StripePlan {
     }
   }
 
-  // Get plan by plan key
-  static async getByPlanKey(planKey) {
-    try {
-      const { data, error } = await supabase
-        .from('stripe_plans')
-        .select('*')
-        .eq('plan_key', planKey)
-        .single();
+  // Get the configured default currency
+  static getDefaultCurrency() {
+    return (process.env.DEFAULT_CURRENCY || DEFAULT_CURRENCY).toLowerCase();
+  }
 
-      if (error && error.code !== 'PGRST116') throw error;
-      if (!data) return null;
+  // Get plan by plan key, in the given currency if set
+  static async getByPlanKey(planKey, currency = null) {
+    try {
+      const plans = await StripePlan.getAll({ planKey, currency, active: true });
+      plans.sort((a, b) => b.version - a.version);
 
-      return new StripePlan(data);
+      // A plan can have a price per currency; prefer the default one
+      return plans.find(plan => plan.currency === StripePlan.getDefaultCurrency()) || plans[0] || null;
     } catch (error) {
       logger.error('❌ Failed to get stripe plan by plan key:', error);
       throw error;
@@ -97,6 +108,10 @@ class StripePlan {
         .select('*')
         .order('amount', { ascending: true });
 
+      if (options.planKey) {
+        query = query.eq('plan_key', options.planKey);
+      }
+
       if (options.period) {
         query = query.eq('period', options.period);
       }
@@ -105,6 +120,10 @@ class StripePlan {
         query = query.eq('currency', options.currency);
       }
 
+      if (options.active !== undefined) {
+        query = query.eq('active', options.active);
+      }
+
       const { data, error } = await query;
 
       if (error) throw error;
@@ -129,8 +148,8 @@ class StripePlan {
       if (error) throw error;
 
       // Update local instance
-      Object.assign(this, data);
-      
+      Object.assign(this, new StripePlan(data));
+
       logger.info(`✅ Updated stripe plan: ${this.id}`);
       return this;
     } catch (error) {
@@ -159,11 +178,14 @@ class StripePlan {
 
   // Get formatted price
   getFormattedPrice() {
-    const amount = this.amount / 100; // Convert from cents
-    return new Intl.NumberFormat('en-US', {
+    const formatter = new Intl.NumberFormat('en-US', {
       style: 'currency',
       currency: this.currency.toUpperCase()
-    }).format(amount);
+    });
+
+    // Amounts are in the currency's minor unit (none for e.g. JPY)
+    const fractionDigits = formatter.resolvedOptions().maximumFractionDigits;
+    return formatter.format(this.amount / Math.pow(10, fractionDigits));
   }
 
   // Get price per month (for yearly plans)
@@ -207,7 +229,15 @@ class StripePlan {
       period: this.period,
       amount: this.amount,
       currency: this.currency,
+      stripeProductId: this.stripeProductId,
+      productName: this.productName,
+      metadata: this.metadata,
+      active: this.active,
+      allowPromotionCodes: this.allowPromotionCodes,
+      version: this.version,
+      archivedAt: this.archivedAt,
       createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
       formattedPrice: this.getFormattedPrice(),
       pricePerMonth: this.getPricePerMonth(),
       savingsPercentage: this.getSavingsPercentage(),
@@ -229,7 +259,10 @@ class StripePlan {
       price_per_month: this.getPricePerMonth(),
       savings_percentage: this.getSavingsPercentage(),
       is_lifetime: this.isLifetime(),
-      is_recurring: this.isRecurring()
+      is_recurring: this.isRecurring(),
+      allow_promotion_codes: this.allowPromotionCodes,
+      version: this.version,
+      archived: !this.active
     };
   }
 }
@@ -84,6 +84,26 @@ class User {
     }
   }
 
+  // Get user by Stripe customer ID
+  static async getByStripeCustomerId(stripeCustomerId) {
+    try {
+      const db = getFirestore();
+      const usersRef = db.collection('users');
+      const snapshot = await usersRef.where('stripeCustomerId', '==', stripeCustomerId).limit(1).get();
+      
+      if (snapshot.empty) {
+        return null;
+      }
+
+      const userDoc = snapshot.docs[0];
+      const userData = userDoc.data();
+      return new User(userData);
+    } catch (error) {
+      logger.error('❌ Failed to get user by Stripe customer ID:', error);
+      throw error;
+    }
+  }
+
   // Update user
   async update(updateData) {
     try {
@@ -1,6 +1,15 @@
 const { supabase } = require('../src/lib/supabase');
 const { logger } = require('../utils/logger');
 
+// Days a past_due subscription keeps access while Stripe retries the payment
+const DEFAULT_GRACE_PERIOD_DAYS = 7;
+
+// Get the configured grace period in days
+function getGracePeriodDays() {
+  const days = parseInt(process.env.GRACE_PERIOD_DAYS);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_GRACE_PERIOD_DAYS : days;
+}
+
 class UserSubscription {
   constructor(data) {
     this.id = data.id;
@@ -10,9 +19,25 @@ class UserSubscription {
     this.stripeCustomerId = data.stripe_customer_id;
     this.stripeSubscriptionId = data.stripe_subscription_id;
     this.planId = data.plan_id;
+    this.stripePriceId = data.stripe_price_id;
     this.status = data.status;
     this.trialStart = data.trial_start;
     this.trialEnd = data.trial_end;
+    this.currentPeriodStart = data.current_period_start;
+    this.currentPeriodEnd = data.current_period_end;
+    this.cancelAtPeriodEnd = data.cancel_at_period_end === true;
+    this.canceledAt = data.canceled_at;
+    this.pausedAt = data.paused_at;
+    this.pauseResumesAt = data.pause_resumes_at;
+    this.pastDueSince = data.past_due_since;
+    this.paymentFailedAttempts = data.payment_failed_attempts || 0;
+    this.nextPaymentAttemptAt = data.next_payment_attempt_at;
+    this.revokedAt = data.revoked_at;
+    this.isLifetimePurchase = data.is_lifetime === true;
+    this.stripePaymentIntentId = data.stripe_payment_intent_id;
+    this.lifetimeGrantedAt = data.lifetime_granted_at;
+    this.lastStripeEventCreated = data.last_stripe_event_created;
+    this.lastStripeEventId = data.last_stripe_event_id;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
@@ -36,48 +61,55 @@ class UserSubscription {
     }
   }
 
-  // Get subscription by UID
-  static async getByUid(uid) {
+  // Get every subscription of a user, newest first, including those granted by license keys
+  static async getAllByUid(uid) {
     try {
       const { data, error } = await supabase
         .from('user_subscriptions')
         .select('*')
         .eq('uid', uid)
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .single();
+        .order('created_at', { ascending: false });
 
-      if (error && error.code !== 'PGRST116') throw error;
-      if (!data) return null;
+      if (error) throw error;
 
-      return new UserSubscription(data);
+      return (data || []).map(row => new UserSubscription(row));
     } catch (error) {
-      logger.error('❌ Failed to get subscription by UID:', error);
+      logger.error('❌ Failed to get subscriptions by UID:', error);
       throw error;
     }
   }
 
-  // Get subscription by device ID
-  static async getByDeviceId(deviceId) {
+  // Get every subscription of a device, newest first, including those granted by license keys
+  static async getAllByDeviceId(deviceId) {
     try {
       const { data, error } = await supabase
         .from('user_subscriptions')
         .select('*')
         .eq('device_id', deviceId)
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .single();
+        .order('created_at', { ascending: false });
 
-      if (error && error.code !== 'PGRST116') throw error;
-      if (!data) return null;
+      if (error) throw error;
 
-      return new UserSubscription(data);
+      return (data || []).map(row => new UserSubscription(row));
     } catch (error) {
-      logger.error('❌ Failed to get subscription by device ID:', error);
+      logger.error('❌ Failed to get subscriptions by device ID:', error);
       throw error;
     }
   }
 
+  // Get the user's own subscription (trial, Stripe or lifetime purchase).
+  // License keys grant separate subscriptions, which are left out.
+  static async getByUid(uid) {
+    const subscriptions = await UserSubscription.getAllByUid(uid);
+    return subscriptions.find(subscription => !subscription.isLicense()) || null;
+  }
+
+  // Get the device's own subscription, leaving out those granted by license keys
+  static async getByDeviceId(deviceId) {
+    const subscriptions = await UserSubscription.getAllByDeviceId(deviceId);
+    return subscriptions.find(subscription => !subscription.isLicense()) || null;
+  }
+
   // Get subscription by Stripe subscription ID
   static async getByStripeSubscriptionId(stripeSubscriptionId) {
     try {
@@ -118,6 +150,47 @@ class UserSubscription {
     }
   }
 
+  // Get subscription by the Stripe payment intent of a lifetime purchase
+  static async getByStripePaymentIntentId(stripePaymentIntentId) {
+    try {
+      const { data, error } = await supabase
+        .from('user_subscriptions')
+        .select('*')
+        .eq('stripe_payment_intent_id', stripePaymentIntentId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!data) return null;
+
+      return new UserSubscription(data);
+    } catch (error) {
+      logger.error('❌ Failed to get subscription by Stripe payment intent ID:', error);
+      throw error;
+    }
+  }
+
+  // Get subscriptions linked to a Stripe subscription (with pagination)
+  static async getAllWithStripeSubscription(options = {}) {
+    try {
+      const limit = options.limit || 1000;
+      const offset = options.offset || 0;
+
+      const { data, error } = await supabase
+        .from('user_subscriptions')
+        .select('*')
+        .not('stripe_subscription_id', 'is', null)
+        .order('created_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+
+      return data.map(item => new UserSubscription(item));
+    } catch (error) {
+      logger.error('❌ Failed to get subscriptions with Stripe subscription:', error);
+      throw error;
+    }
+  }
+
   // Update subscription
   async update(updateData) {
     try {
@@ -131,8 +204,8 @@ class UserSubscription {
       if (error) throw error;
 
       // Update local instance
-      Object.assign(this, data);
-      
+      Object.assign(this, new UserSubscription(data));
+
       logger.info(`✅ Updated user subscription: ${this.id}`);
       return this;
     } catch (error) {
@@ -142,9 +215,9 @@ class UserSubscription {
   }
 
   // Update subscription status
-  async updateStatus(status) {
+  async updateStatus(status, extraData = {}) {
     try {
-      await this.update({ status });
+      await this.update({ ...extraData, status });
       logger.info(`✅ Updated subscription status to ${status}: ${this.id}`);
       return this;
     } catch (error) {
@@ -165,9 +238,77 @@ class UserSubscription {
     }
   }
 
+  // Check if a Stripe event is older than the last one applied to this subscription
+  isStaleEvent(event) {
+    if (!this.lastStripeEventCreated || !event || !event.created) {
+      return false;
+    }
+
+    const created = Number(event.created);
+    const lastCreated = Number(this.lastStripeEventCreated);
+    if (created !== lastCreated) return created < lastCreated;
+
+    // Stripe timestamps are in whole seconds, so events of the same second can arrive in any order.
+    // Another event of the cancellation's second must not bring a canceled or expired subscription back.
+    return event.id !== this.lastStripeEventId && (this.status === 'canceled' || this.status === 'expired');
+  }
+
+  // Check if subscription is a paid-once lifetime entitlement
+  isLifetime() {
+    return this.isLifetimePurchase && this.status === 'active';
+  }
+
+  // Get when the grace period of a past_due subscription ends
+  getGracePeriodEnd() {
+    if (this.status !== 'past_due') return null;
+
+    // Subscriptions that went past_due before failures were tracked get the full grace period
+    const since = this.pastDueSince ? new Date(this.pastDueSince) : new Date(this.updatedAt || Date.now());
+    return new Date(since.getTime() + getGracePeriodDays() * 24 * 60 * 60 * 1000);
+  }
+
+  // Check if a past_due subscription still has access while payment is retried
+  isInGracePeriod() {
+    const gracePeriodEnd = this.getGracePeriodEnd();
+    return !!gracePeriodEnd && gracePeriodEnd > new Date();
+  }
+
+  // Check if a recurring Stripe subscription is still billing, or will once resumed
+  hasRecurringBilling() {
+    return !!this.stripeSubscriptionId && !this.isLifetimePurchase &&
+      ['active', 'trial', 'past_due', 'paused'].includes(this.status);
+  }
+
   // Check if subscription is active
   isActive() {
-    return this.status === 'active';
+    return this.status === 'active' || this.isInGracePeriod();
+  }
+
+  // Check if the subscription renews at the end of the current period
+  willRenew() {
+    if (this.isLifetime()) return false;
+    return (this.isActive() || this.isTrial()) && !this.cancelAtPeriodEnd;
+  }
+
+  // Get the date access ends if the subscription won't renew
+  getActiveUntil() {
+    if (this.isLifetime() || !this.cancelAtPeriodEnd) return null;
+    return this.currentPeriodEnd || this.trialEnd || null;
+  }
+
+  // Check if access comes from a redeemed license key (plan_id license_<plan_key>)
+  isLicense() {
+    return !!this.planId && this.planId.startsWith('license_');
+  }
+
+  // Check if the entitlement was revoked after a refund or dispute
+  isRevoked() {
+    return this.status === 'revoked';
+  }
+
+  // Check if payment collection is paused
+  isPaused() {
+    return this.status === 'paused';
   }
 
   // Check if subscription is in trial
@@ -198,6 +339,12 @@ class UserSubscription {
   getSubscriptionStatus() {
     if (this.isActive()) {
       return 'active';
+    } else if (this.isRevoked()) {
+      return 'revoked';
+    } else if (this.isPaused()) {
+      return 'paused';
+    } else if (this.status === 'past_due') {
+      return 'past_due';
     } else if (this.isTrial()) {
       return 'trial';
     } else if (this.status === 'expired' || this.isTrialExpired()) {
@@ -207,6 +354,18 @@ class UserSubscription {
     }
   }
 
+  // Describe a failed renewal payment, or null if payments are in order
+  getPaymentIssue() {
+    if (this.status !== 'past_due') return null;
+
+    return {
+      inGracePeriod: this.isInGracePeriod(),
+      gracePeriodEndsAt: this.getGracePeriodEnd().toISOString(),
+      failedAttempts: this.paymentFailedAttempts,
+      nextPaymentAttemptAt: this.nextPaymentAttemptAt
+    };
+  }
+
   // Get trial days remaining
   getTrialDaysRemaining() {
     if (!this.isTrial()) {
@@ -231,12 +390,29 @@ class UserSubscription {
       stripeCustomerId: this.stripeCustomerId,
       stripeSubscriptionId: this.stripeSubscriptionId,
       planId: this.planId,
+      stripePriceId: this.stripePriceId,
       status: this.status,
       trialStart: this.trialStart,
       trialEnd: this.trialEnd,
+      currentPeriodStart: this.currentPeriodStart,
+      currentPeriodEnd: this.currentPeriodEnd,
+      cancelAtPeriodEnd: this.cancelAtPeriodEnd,
+      canceledAt: this.canceledAt,
+      pausedAt: this.pausedAt,
+      pauseResumesAt: this.pauseResumesAt,
+      pastDueSince: this.pastDueSince,
+      paymentFailedAttempts: this.paymentFailedAttempts,
+      nextPaymentAttemptAt: this.nextPaymentAttemptAt,
+      revokedAt: this.revokedAt,
+      isLifetime: this.isLifetime(),
+      stripePaymentIntentId: this.stripePaymentIntentId,
+      lifetimeGrantedAt: this.lifetimeGrantedAt,
+      lastStripeEventCreated: this.lastStripeEventCreated,
+      lastStripeEventId: this.lastStripeEventId,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       isActive: this.isActive(),
+      isPaused: this.isPaused(),
       isTrial: this.isTrial(),
       isTrialExpired: this.isTrialExpired(),
       subscriptionStatus: this.getSubscriptionStatus(),
@@ -252,8 +428,16 @@ class UserSubscription {
       trialStart: this.trialStart,
       trialEnd: this.trialEnd,
       isActive: this.isActive(),
+      isLifetime: this.isLifetime(),
       isTrial: this.isTrial(),
-      trialDaysRemaining: this.getTrialDaysRemaining()
+      trialDaysRemaining: this.getTrialDaysRemaining(),
+      currentPeriodEnd: this.currentPeriodEnd,
+      cancelAtPeriodEnd: this.cancelAtPeriodEnd,
+      willRenew: this.willRenew(),
+      activeUntil: this.getActiveUntil(),
+      isPaused: this.isPaused(),
+      pauseResumesAt: this.pauseResumesAt,
+      paymentIssue: this.getPaymentIssue()
     };
   }
 }
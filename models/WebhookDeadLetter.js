@@ -0,0 +1,221 @@
+const { supabase } = require('../src/lib/supabase');
+const { logger } = require('../utils/logger');
+
+class WebhookDeadLetter {
+  constructor(data) {
+    this.id = data.id;
+    this.webhookEventId = data.webhook_event_id;
+    this.stripeEventId = data.stripe_event_id;
+    this.type = data.type;
+    this.payload = data.payload;
+    this.errorMessage = data.error_message;
+    this.errorStack = data.error_stack;
+    this.failureCount = data.failure_count;
+    this.replayCount = data.replay_count;
+    this.status = data.status;
+    this.firstFailedAt = data.first_failed_at;
+    this.lastFailedAt = data.last_failed_at;
+    this.lastReplayedAt = data.last_replayed_at;
+    this.resolvedAt = data.resolved_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Record a failed event, or bump the failure count if it failed before
+  static async recordFailure(event, err, webhookEvent = null) {
+    try {
+      const failure = {
+        error_message: err ? (err.message || String(err)) : null,
+        error_stack: err && err.stack ? err.stack : null,
+        last_failed_at: new Date().toISOString(),
+        status: 'pending',
+        resolved_at: null
+      };
+
+      const existing = await WebhookDeadLetter.getByStripeEventId(event.id);
+      if (existing) {
+        await existing.update({
+          ...failure,
+          failure_count: (existing.failureCount || 0) + 1
+        });
+
+        logger.warn(`⚠️ Webhook event ${event.id} failed again (${existing.failureCount} failures)`);
+        return existing;
+      }
+
+      const { data, error } = await supabase
+        .from('webhook_dead_letters')
+        .insert({
+          ...failure,
+          webhook_event_id: webhookEvent ? webhookEvent.id : null,
+          stripe_event_id: event.id,
+          type: event.type,
+          payload: event
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      logger.warn(`⚠️ Added webhook event ${event.id} to dead-letter store: ${data.id}`);
+      return new WebhookDeadLetter(data);
+    } catch (error) {
+      logger.error('❌ Failed to record webhook dead letter:', error);
+      throw error;
+    }
+  }
+
+  // Mark the dead letter for an event as resolved, if there is one
+  static async resolveByStripeEventId(stripeEventId) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_dead_letters')
+        .update({
+          status: 'resolved',
+          resolved_at: new Date().toISOString()
+        })
+        .eq('stripe_event_id', stripeEventId)
+        .eq('status', 'pending')
+        .select();
+
+      if (error) throw error;
+
+      if (data && data.length > 0) {
+        logger.info(`✅ Resolved webhook dead letter for event: ${stripeEventId}`);
+      }
+
+      return data ? data.length > 0 : false;
+    } catch (error) {
+      logger.error('❌ Failed to resolve webhook dead letter:', error);
+      throw error;
+    }
+  }
+
+  // Get dead letter by ID
+  static async getById(id) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_dead_letters')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!data) return null;
+
+      return new WebhookDeadLetter(data);
+    } catch (error) {
+      logger.error('❌ Failed to get webhook dead letter by ID:', error);
+      throw error;
+    }
+  }
+
+  // Get dead letter by Stripe event ID
+  static async getByStripeEventId(stripeEventId) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_dead_letters')
+        .select('*')
+        .eq('stripe_event_id', stripeEventId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!data) return null;
+
+      return new WebhookDeadLetter(data);
+    } catch (error) {
+      logger.error('❌ Failed to get webhook dead letter by Stripe event ID:', error);
+      throw error;
+    }
+  }
+
+  // Get all dead letters (with pagination)
+  static async getAll(options = {}) {
+    try {
+      const limit = options.limit || 50;
+      const offset = options.offset || 0;
+
+      let query = supabase
+        .from('webhook_dead_letters')
+        .select('*', { count: 'exact' })
+        .order('last_failed_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (options.status) {
+        query = query.eq('status', options.status);
+      }
+
+      if (options.type) {
+        query = query.eq('type', options.type);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+
+      return { deadLetters: data.map(item => new WebhookDeadLetter(item)), total: count };
+    } catch (error) {
+      logger.error('❌ Failed to get webhook dead letters:', error);
+      throw error;
+    }
+  }
+
+  // Update dead letter
+  async update(updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_dead_letters')
+        .update(updateData)
+        .eq('id', this.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      // Update local instance
+      Object.assign(this, new WebhookDeadLetter(data));
+
+      return this;
+    } catch (error) {
+      logger.error('❌ Failed to update webhook dead letter:', error);
+      throw error;
+    }
+  }
+
+  // Record a replay attempt
+  async markReplayed() {
+    return this.update({
+      replay_count: (this.replayCount || 0) + 1,
+      last_replayed_at: new Date().toISOString()
+    });
+  }
+
+  // Check if dead letter is resolved
+  isResolved() {
+    return this.status === 'resolved';
+  }
+
+  // Convert to admin JSON (for API responses)
+  toAdminJSON({ includePayload = false } = {}) {
+    return {
+      id: this.id,
+      webhook_event_id: this.webhookEventId,
+      stripe_event_id: this.stripeEventId,
+      type: this.type,
+      status: this.status,
+      error_message: this.errorMessage,
+      failure_count: this.failureCount,
+      replay_count: this.replayCount,
+      first_failed_at: this.firstFailedAt,
+      last_failed_at: this.lastFailedAt,
+      last_replayed_at: this.lastReplayedAt,
+      resolved_at: this.resolvedAt,
+      ...(includePayload && {
+        error_stack: this.errorStack,
+        payload: this.payload
+      })
+    };
+  }
+}
+
+module.exports = WebhookDeadLetter;
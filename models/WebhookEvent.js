@@ -0,0 +1,294 @@
+const { supabase } = require('../src/lib/supabase');
+const { logger } = require('../utils/logger');
+const crypto = require('crypto');
+
+// An event stuck in 'processing' for longer than this is assumed to have crashed
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+class WebhookEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.stripeEventId = data.stripe_event_id;
+    this.type = data.type;
+    this.objectId = data.object_id;
+    this.payloadHash = data.payload_hash;
+    this.status = data.status;
+    this.error = data.error;
+    this.skipReason = data.skip_reason;
+    this.attempts = data.attempts;
+    this.livemode = data.livemode;
+    this.stripeCreatedAt = data.stripe_created_at;
+    this.receivedAt = data.received_at;
+    this.processedAt = data.processed_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Hash raw webhook payload
+  static hashPayload(payload) {
+    return crypto.createHash('sha256')
+      .update(Buffer.isBuffer(payload) ? payload : JSON.stringify(payload))
+      .digest('hex');
+  }
+
+  // Record an incoming event, claiming it for processing unless it was already handled.
+  // Resolves to { webhookEvent, duplicate }.
+  static async record(event, payload) {
+    try {
+      const payloadHash = WebhookEvent.hashPayload(payload);
+
+      const { data, error } = await supabase
+        .from('webhook_events')
+        .insert({
+          stripe_event_id: event.id,
+          type: event.type,
+          object_id: event.data?.object?.id || null,
+          payload_hash: payloadHash,
+          status: 'processing',
+          attempts: 1,
+          livemode: !!event.livemode,
+          stripe_created_at: event.created ? new Date(event.created * 1000).toISOString() : null
+        })
+        .select()
+        .single();
+
+      if (!error) {
+        return { webhookEvent: new WebhookEvent(data), duplicate: false };
+      }
+
+      // Anything other than a unique violation on stripe_event_id is a real failure
+      if (error.code !== '23505') throw error;
+
+      const existing = await WebhookEvent.getByStripeEventId(event.id);
+      if (!existing) throw error;
+
+      if (existing.payloadHash !== payloadHash) {
+        logger.warn(`⚠️ Payload hash mismatch for redelivered webhook event: ${event.id}`);
+      }
+
+      if (!existing.canBeClaimed()) {
+        return { webhookEvent: existing, duplicate: true };
+      }
+
+      const claimed = await existing.claim();
+      return { webhookEvent: claimed || existing, duplicate: !claimed };
+    } catch (error) {
+      logger.error('❌ Failed to record webhook event:', error);
+      throw error;
+    }
+  }
+
+  // Get event by Stripe event ID
+  static async getByStripeEventId(stripeEventId) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_events')
+        .select('*')
+        .eq('stripe_event_id', stripeEventId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!data) return null;
+
+      return new WebhookEvent(data);
+    } catch (error) {
+      logger.error('❌ Failed to get webhook event by Stripe event ID:', error);
+      throw error;
+    }
+  }
+
+  // Get event by ID
+  static async getById(id) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_events')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!data) return null;
+
+      return new WebhookEvent(data);
+    } catch (error) {
+      logger.error('❌ Failed to get webhook event by ID:', error);
+      throw error;
+    }
+  }
+
+  // Get all events (with pagination)
+  static async getAll(options = {}) {
+    try {
+      const limit = options.limit || 50;
+      const offset = options.offset || 0;
+
+      let query = supabase
+        .from('webhook_events')
+        .select('*', { count: 'exact' })
+        .order('received_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (options.status) {
+        query = query.eq('status', options.status);
+      }
+
+      if (options.type) {
+        query = query.eq('type', options.type);
+      }
+
+      if (options.objectId) {
+        query = query.eq('object_id', options.objectId);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) throw error;
+
+      return { events: data.map(item => new WebhookEvent(item)), total: count };
+    } catch (error) {
+      logger.error('❌ Failed to get webhook events:', error);
+      throw error;
+    }
+  }
+
+  // Update event
+  async update(updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_events')
+        .update(updateData)
+        .eq('id', this.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      // Update local instance
+      Object.assign(this, new WebhookEvent(data));
+
+      return this;
+    } catch (error) {
+      logger.error('❌ Failed to update webhook event:', error);
+      throw error;
+    }
+  }
+
+  // Re-claim a failed or stalled event. Resolves to null if another delivery claimed it first.
+  async claim() {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_events')
+        .update({
+          status: 'processing',
+          error: null,
+          attempts: (this.attempts || 0) + 1
+        })
+        .eq('id', this.id)
+        .eq('status', this.status)
+        .eq('attempts', this.attempts)
+        .select()
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      if (!data) return null;
+
+      Object.assign(this, new WebhookEvent(data));
+
+      logger.info(`🔁 Reprocessing webhook event ${this.stripeEventId} (attempt ${this.attempts})`);
+      return this;
+    } catch (error) {
+      logger.error('❌ Failed to claim webhook event:', error);
+      throw error;
+    }
+  }
+
+  // Mark event as successfully processed
+  async markProcessed() {
+    return this.update({
+      status: 'processed',
+      error: null,
+      processed_at: new Date().toISOString()
+    });
+  }
+
+  // Mark event as received but not handled by any handler
+  async markIgnored() {
+    return this.update({
+      status: 'ignored',
+      processed_at: new Date().toISOString()
+    });
+  }
+
+  // Mark event as rejected because it arrived after a newer event for the same object
+  async markStale(reason) {
+    return this.update({
+      status: 'stale',
+      skip_reason: reason,
+      processed_at: new Date().toISOString()
+    });
+  }
+
+  // Mark event as failed
+  async markFailed(err) {
+    return this.update({
+      status: 'failed',
+      error: err ? (err.message || String(err)) : null
+    });
+  }
+
+  // Check whether a redelivery of this event should be processed again
+  canBeClaimed() {
+    if (this.status === 'failed') {
+      return true;
+    }
+
+    if (this.status === 'processing') {
+      const lastTouched = new Date(this.updatedAt || this.receivedAt);
+      return Date.now() - lastTouched.getTime() > PROCESSING_TIMEOUT_MS;
+    }
+
+    return false;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      stripeEventId: this.stripeEventId,
+      type: this.type,
+      objectId: this.objectId,
+      payloadHash: this.payloadHash,
+      status: this.status,
+      error: this.error,
+      skipReason: this.skipReason,
+      attempts: this.attempts,
+      livemode: this.livemode,
+      stripeCreatedAt: this.stripeCreatedAt,
+      receivedAt: this.receivedAt,
+      processedAt: this.processedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  // Convert to admin JSON (for API responses)
+  toAdminJSON() {
+    return {
+      id: this.id,
+      stripe_event_id: this.stripeEventId,
+      type: this.type,
+      object_id: this.objectId,
+      payload_hash: this.payloadHash,
+      status: this.status,
+      error: this.error,
+      skip_reason: this.skipReason,
+      attempts: this.attempts,
+      livemode: this.livemode,
+      stripe_created_at: this.stripeCreatedAt,
+      received_at: this.receivedAt,
+      processed_at: this.processedAt
+    };
+  }
+}
+
+module.exports = WebhookEvent;
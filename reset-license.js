@@ -1,25 +1,43 @@
 require('dotenv').config();
-const { supabase } = require('./src/lib/supabase');
+const LicenseKey = require('./models/LicenseKey');
+const LicenseActivation = require('./models/LicenseActivation');
+const { deactivateActivation } = require('./services/licenseActivation');
 
-async function resetLicense() {
+// Usage: node reset-license.js <license_key_id>
+// Frees every seat of a license key and clears its first redemption, so it can be redeemed again.
+async function resetLicense(licenseKeyId) {
   try {
-    console.log('🔄 Resetting license key...');
-    
-    const { data, error } = await supabase
-      .from('license_keys')
-      .update({ 
-        redeemed_at: null,
-        bound_uid: null,
-        bound_device_id: null
-      })
-      .eq('key', 'AES-LIFE-2024-WXYZ-ABCD-EFGH-IJKL')
-      .select();
-    
-    console.log('Reset result:', { data, error });
-    
+    if (!licenseKeyId) {
+      console.error('Usage: node reset-license.js <license_key_id>');
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`🔄 Resetting license key ${licenseKeyId}...`);
+
+    const licenseKey = await LicenseKey.getById(licenseKeyId);
+    if (!licenseKey) {
+      console.error('❌ License key not found');
+      process.exitCode = 1;
+      return;
+    }
+
+    const activations = await LicenseActivation.getByLicenseKeyId(licenseKey.id, { activeOnly: true });
+    for (const activation of activations) {
+      await deactivateActivation(licenseKey, activation, 'admin');
+    }
+
+    await licenseKey.update({
+      redeemed_at: null,
+      bound_uid: null,
+      bound_device_id: null
+    });
+
+    console.log(`✅ Reset ${licenseKey.keyPrefix || licenseKey.id}, freed ${activations.length} activations`);
   } catch (error) {
     console.error('❌ Reset failed:', error);
+    process.exitCode = 1;
   }
 }
 
-resetLicense();
+resetLicense(process.argv[2]);
@@ -3,7 +3,18 @@ const Joi = require('joi');
 const { logger } = require('../utils/logger');
 
 const LicenseKey = require('../models/LicenseKey');
+const LicenseActivation = require('../models/LicenseActivation');
 const StripePlan = require('../models/StripePlan');
+const PlanFeature = require('../models/PlanFeature');
+const WebhookEvent = require('../models/WebhookEvent');
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+const EntitlementAction = require('../models/EntitlementAction');
+const { processEvent } = require('../services/stripeWebhookProcessor');
+const { reconcileSubscriptions } = require('../services/subscriptionReconciliation');
+const { syncStripePlans } = require('../services/planSync');
+const promotions = require('../services/promotions');
+const { validateLicenseKeyFormat } = require('../middleware/validation');
+const { deactivateActivation, revokeLicense, getActivationCounts } = require('../services/licenseActivation');
 
 const router = express.Router();
 
@@ -30,13 +41,14 @@ const generateLicenseKeysSchema = Joi.object({
   plan_id: Joi.string().required(),
   count: Joi.number().integer().min(1).max(1000).required(),
   expires_at: Joi.date().optional(),
-  single_use: Joi.boolean().optional().default(true),
+  max_activations: Joi.number().integer().min(1).max(1000).optional().default(1),
   created_by: Joi.string().optional()
 });
 
 const revokeLicenseSchema = Joi.object({
-  key: Joi.string().required()
-});
+  key: Joi.string().optional(),
+  id: Joi.string().uuid().optional()
+}).xor('key', 'id');
 
 const listLicenseKeysSchema = Joi.object({
   plan_id: Joi.string().optional(),
@@ -45,6 +57,81 @@ const listLicenseKeysSchema = Joi.object({
   offset: Joi.number().integer().min(0).optional().default(0)
 });
 
+const listWebhookEventsSchema = Joi.object({
+  status: Joi.string().valid('processing', 'processed', 'ignored', 'stale', 'failed').optional(),
+  type: Joi.string().optional(),
+  object_id: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(100).optional().default(50),
+  offset: Joi.number().integer().min(0).optional().default(0)
+});
+
+const listFailedWebhooksSchema = Joi.object({
+  status: Joi.string().valid('pending', 'resolved').optional().default('pending'),
+  type: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(100).optional().default(50),
+  offset: Joi.number().integer().min(0).optional().default(0)
+});
+
+const syncPlansSchema = Joi.object({
+  dry_run: Joi.boolean().optional().default(false)
+});
+
+const reconcileSchema = Joi.object({
+  repair: Joi.boolean().optional().default(false),
+  max_pages: Joi.number().integer().min(1).optional()
+});
+
+const updatePlanSchema = Joi.object({
+  allow_promotion_codes: Joi.boolean().required()
+});
+
+const createCouponSchema = Joi.object({
+  name: Joi.string().max(40).required(),
+  percent_off: Joi.number().greater(0).max(100).optional(),
+  amount_off: Joi.number().integer().min(1).optional(),
+  currency: Joi.string().length(3).lowercase().when('amount_off', { is: Joi.exist(), then: Joi.required() }),
+  duration: Joi.string().valid('once', 'repeating', 'forever').required(),
+  duration_in_months: Joi.number().integer().min(1).when('duration', { is: 'repeating', then: Joi.required(), otherwise: Joi.forbidden() }),
+  max_redemptions: Joi.number().integer().min(1).optional(),
+  redeem_by: Joi.date().iso().greater('now').optional(),
+  product_ids: Joi.array().items(Joi.string()).min(1).optional()
+}).xor('percent_off', 'amount_off');
+
+const listCouponsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).optional().default(50),
+  starting_after: Joi.string().optional()
+});
+
+const createPromotionCodeSchema = Joi.object({
+  coupon: Joi.string().required(),
+  code: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(100).optional(),
+  max_redemptions: Joi.number().integer().min(1).optional(),
+  expires_at: Joi.date().iso().greater('now').optional(),
+  first_time_transaction: Joi.boolean().optional().default(false),
+  minimum_amount: Joi.number().integer().min(1).optional(),
+  minimum_amount_currency: Joi.string().length(3).lowercase().when('minimum_amount', { is: Joi.exist(), then: Joi.required() })
+});
+
+const listPromotionCodesSchema = Joi.object({
+  coupon: Joi.string().optional(),
+  code: Joi.string().optional(),
+  active: Joi.boolean().optional(),
+  limit: Joi.number().integer().min(1).max(100).optional().default(50),
+  starting_after: Joi.string().optional()
+});
+
+const listPlanFeaturesSchema = Joi.object({
+  plan_key: Joi.string().optional()
+});
+
+// Feature values are flags, limits or short strings; null removes the feature from the plan
+const updatePlanFeaturesSchema = Joi.object({
+  features: Joi.object()
+    .pattern(/^[a-z][a-z0-9_]*$/, Joi.alternatives().try(Joi.boolean(), Joi.number(), Joi.string().max(255)).allow(null))
+    .min(1)
+    .required()
+});
+
 // POST /admin/generate-license-keys
 router.post('/generate-license-keys', async (req, res) => {
   try {
@@ -57,7 +144,7 @@ router.post('/generate-license-keys', async (req, res) => {
       });
     }
 
-    const { plan_id, count, expires_at, single_use, created_by } = value;
+    const { plan_id, count, expires_at, max_activations, created_by } = value;
 
     // Verify plan exists
     const plan = await StripePlan.getByPlanKey(plan_id);
@@ -71,7 +158,7 @@ router.post('/generate-license-keys', async (req, res) => {
     // Generate license keys
     const { licenseKeys, plaintextKeys } = await LicenseKey.createMultiple(plan_id, count, {
       expiresAt: expires_at,
-      singleUse: single_use,
+      maxActivations: max_activations,
       createdBy: created_by
     });
 
@@ -83,7 +170,8 @@ router.post('/generate-license-keys', async (req, res) => {
       plan_id: plan_id,
       keys: plaintextKeys, // Return plaintext keys only once
       expires_at: expires_at,
-      single_use: single_use,
+      single_use: max_activations === 1,
+      max_activations: max_activations,
       created_by: created_by
     });
   } catch (error) {
@@ -96,7 +184,7 @@ router.post('/generate-license-keys', async (req, res) => {
 });
 
 // POST /admin/revoke-license
-router.post('/revoke-license', async (req, res) => {
+router.post('/revoke-license', validateLicenseKeyFormat, async (req, res) => {
   try {
     // Validate request
     const { error, value } = revokeLicenseSchema.validate(req.body);
@@ -107,10 +195,10 @@ router.post('/revoke-license', async (req, res) => {
       });
     }
 
-    const { key } = value;
+    const { key, id } = value;
 
-    // Get license key
-    const licenseKey = await LicenseKey.getByKey(key);
+    // Get license key (admins only see key prefixes, so keys can be revoked by ID)
+    const licenseKey = key ? await LicenseKey.getByKey(key) : await LicenseKey.getById(id);
     if (!licenseKey) {
       return res.status(404).json({
         success: false,
@@ -118,10 +206,10 @@ router.post('/revoke-license', async (req, res) => {
       });
     }
 
-    // Revoke license key
-    await licenseKey.revoke();
+    // Revoke license key, freeing its seats and ending the access they granted
+    await revokeLicense(licenseKey);
 
-    logger.info(`✅ Revoked license key: ${key}`);
+    logger.info(`✅ Revoked license key: ${licenseKey.id}`);
 
     res.json({
       success: true,
@@ -174,23 +262,30 @@ router.get('/license-keys', async (req, res) => {
     const { count, error: countError } = await countQuery;
     if (countError) throw countError;
 
+    const activeActivations = await LicenseActivation.countActiveByLicenseKeyIds(licenseKeys.map(key => key.id));
+
     logger.info(`✅ Retrieved ${licenseKeys.length} license keys`);
 
     res.json({
       success: true,
       license_keys: licenseKeys.map(key => ({
         id: key.id,
+        key_prefix: key.keyPrefix,
         plan_id: key.planId,
         expires_at: key.expiresAt,
         single_use: key.singleUse,
+        max_activations: key.maxActivations,
+        active_activations: activeActivations[key.id],
         bound_uid: key.boundUid,
         bound_device_id: key.boundDeviceId,
         redeemed_at: key.redeemedAt,
+        revoked_at: key.revokedAt,
         created_by: key.createdBy,
         created_at: key.createdAt,
         is_redeemed: key.isRedeemed(),
+        is_revoked: key.isRevoked(),
         is_expired: key.isExpired(),
-        is_valid_for_redemption: key.isValidForRedemption()
+        is_valid_for_redemption: key.isValidForRedemption(activeActivations[key.id])
       })),
       pagination: {
         total: count,
@@ -221,22 +316,31 @@ router.get('/license-keys/:id', async (req, res) => {
       });
     }
 
+    const activations = await LicenseActivation.getByLicenseKeyId(licenseKey.id);
+    const activeActivations = activations.filter(activation => activation.isActive()).length;
+
     res.json({
       success: true,
       license_key: {
         id: licenseKey.id,
+        key_prefix: licenseKey.keyPrefix,
         plan_id: licenseKey.planId,
         expires_at: licenseKey.expiresAt,
         single_use: licenseKey.singleUse,
+        max_activations: licenseKey.maxActivations,
+        active_activations: activeActivations,
         bound_uid: licenseKey.boundUid,
         bound_device_id: licenseKey.boundDeviceId,
         redeemed_at: licenseKey.redeemedAt,
+        revoked_at: licenseKey.revokedAt,
         created_by: licenseKey.createdBy,
         created_at: licenseKey.createdAt,
         is_redeemed: licenseKey.isRedeemed(),
+        is_revoked: licenseKey.isRevoked(),
         is_expired: licenseKey.isExpired(),
-        is_valid_for_redemption: licenseKey.isValidForRedemption(),
-        bound_info: licenseKey.getBoundInfo()
+        is_valid_for_redemption: licenseKey.isValidForRedemption(activeActivations),
+        bound_info: licenseKey.getBoundInfo(),
+        activations: activations.map(activation => activation.toJSON())
       }
     });
   } catch (error) {
@@ -248,6 +352,46 @@ router.get('/license-keys/:id', async (req, res) => {
   }
 });
 
+// POST /admin/license-keys/:id/activations/:activation_id/deactivate
+// Free a seat, e.g. when a team member leaves; the user or device loses the license subscription
+router.post('/license-keys/:id/activations/:activation_id/deactivate', async (req, res) => {
+  try {
+    const { id, activation_id } = req.params;
+
+    const licenseKey = await LicenseKey.getById(id);
+    const activation = licenseKey ? await LicenseActivation.getById(activation_id) : null;
+    if (!activation || activation.licenseKeyId !== licenseKey.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'License activation not found'
+      });
+    }
+
+    if (!activation.isActive()) {
+      return res.status(400).json({
+        success: false,
+        error: 'License activation is already deactivated'
+      });
+    }
+
+    await deactivateActivation(licenseKey, activation, 'admin');
+
+    logger.info(`✅ Admin deactivated license activation ${activation.id} of license key: ${licenseKey.id}`);
+
+    res.json({
+      success: true,
+      activation: activation.toJSON(),
+      activations: await getActivationCounts(licenseKey)
+    });
+  } catch (error) {
+    logger.error('❌ Failed to deactivate license activation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate license activation'
+    });
+  }
+});
+
 // GET /admin/stats
 router.get('/stats', async (req, res) => {
   try {
@@ -325,4 +469,523 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// GET /admin/webhooks/events
+router.get('/webhooks/events', async (req, res) => {
+  try {
+    // Validate query parameters
+    const { error, value } = listWebhookEventsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { status, type, object_id, limit, offset } = value;
+
+    const { events, total } = await WebhookEvent.getAll({
+      status,
+      type,
+      objectId: object_id,
+      limit,
+      offset
+    });
+
+    logger.info(`✅ Retrieved ${events.length} webhook events`);
+
+    res.json({
+      success: true,
+      events: events.map(event => event.toAdminJSON()),
+      pagination: {
+        total: total,
+        limit: limit,
+        offset: offset,
+        has_more: offset + limit < total
+      }
+    });
+  } catch (error) {
+    logger.error('❌ Failed to get webhook events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get webhook events'
+    });
+  }
+});
+
+// GET /admin/webhooks/events/:id (ledger ID or Stripe event ID)
+router.get('/webhooks/events/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const webhookEvent = id.startsWith('evt_')
+      ? await WebhookEvent.getByStripeEventId(id)
+      : await WebhookEvent.getById(id);
+
+    if (!webhookEvent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      event: webhookEvent.toAdminJSON()
+    });
+  } catch (error) {
+    logger.error('❌ Failed to get webhook event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get webhook event'
+    });
+  }
+});
+
+// GET /admin/webhooks/failed
+router.get('/webhooks/failed', async (req, res) => {
+  try {
+    // Validate query parameters
+    const { error, value } = listFailedWebhooksSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { status, type, limit, offset } = value;
+
+    const { deadLetters, total } = await WebhookDeadLetter.getAll({
+      status,
+      type,
+      limit,
+      offset
+    });
+
+    logger.info(`✅ Retrieved ${deadLetters.length} failed webhook events`);
+
+    res.json({
+      success: true,
+      failed_events: deadLetters.map(deadLetter => deadLetter.toAdminJSON()),
+      pagination: {
+        total: total,
+        limit: limit,
+        offset: offset,
+        has_more: offset + limit < total
+      }
+    });
+  } catch (error) {
+    logger.error('❌ Failed to get failed webhook events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get failed webhook events'
+    });
+  }
+});
+
+// GET /admin/webhooks/failed/:id
+router.get('/webhooks/failed/:id', async (req, res) => {
+  try {
+    const deadLetter = await WebhookDeadLetter.getById(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Failed webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      failed_event: deadLetter.toAdminJSON({ includePayload: true })
+    });
+  } catch (error) {
+    logger.error('❌ Failed to get failed webhook event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get failed webhook event'
+    });
+  }
+});
+
+// POST /admin/webhooks/:id/replay
+router.post('/webhooks/:id/replay', async (req, res) => {
+  try {
+    const deadLetter = await WebhookDeadLetter.getById(req.params.id);
+    if (!deadLetter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Failed webhook event not found'
+      });
+    }
+
+    if (deadLetter.isResolved()) {
+      return res.status(409).json({
+        success: false,
+        error: 'Webhook event has already been processed'
+      });
+    }
+
+    const event = deadLetter.payload;
+
+    // Claim the ledger entry so a concurrent Stripe retry is not processed twice
+    let webhookEvent = await WebhookEvent.getByStripeEventId(deadLetter.stripeEventId);
+    if (!webhookEvent) {
+      const recorded = await WebhookEvent.record(event, event);
+      webhookEvent = recorded.duplicate ? null : recorded.webhookEvent;
+    } else if (webhookEvent.canBeClaimed()) {
+      webhookEvent = await webhookEvent.claim();
+    } else if (webhookEvent.status !== 'processing') {
+      // A later delivery from Stripe already succeeded
+      await WebhookDeadLetter.resolveByStripeEventId(deadLetter.stripeEventId);
+      return res.status(409).json({
+        success: false,
+        error: `Webhook event has already been handled (status: ${webhookEvent.status})`
+      });
+    } else {
+      webhookEvent = null;
+    }
+
+    if (!webhookEvent) {
+      return res.status(409).json({
+        success: false,
+        error: 'Webhook event is currently being processed'
+      });
+    }
+
+    await deadLetter.markReplayed();
+
+    try {
+      const status = await processEvent(event, webhookEvent);
+
+      logger.info(`✅ Replayed webhook event ${deadLetter.stripeEventId}: ${status}`);
+
+      res.json({
+        success: true,
+        status: status,
+        failed_event: (await WebhookDeadLetter.getById(deadLetter.id)).toAdminJSON()
+      });
+    } catch (replayError) {
+      logger.error(`❌ Replay of webhook event ${deadLetter.stripeEventId} failed:`, replayError);
+      res.status(500).json({
+        success: false,
+        error: 'Webhook replay failed',
+        details: replayError.message
+      });
+    }
+  } catch (error) {
+    logger.error('❌ Failed to replay webhook event:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhook event'
+    });
+  }
+});
+
+// POST /admin/reconcile
+router.post('/reconcile', async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = reconcileSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const report = await reconcileSubscriptions({
+      repair: value.repair,
+      maxPages: value.max_pages
+    });
+
+    res.json({
+      success: true,
+      report: report
+    });
+  } catch (error) {
+    logger.error('❌ Failed to reconcile subscriptions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reconcile subscriptions'
+    });
+  }
+});
+
+// GET /admin/subscriptions/:id/entitlement-actions
+router.get('/subscriptions/:id/entitlement-actions', async (req, res) => {
+  try {
+    const actions = await EntitlementAction.getBySubscriptionId(req.params.id);
+
+    res.json({
+      success: true,
+      entitlement_actions: actions.map(action => action.toAdminJSON())
+    });
+  } catch (error) {
+    logger.error('❌ Failed to get entitlement actions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get entitlement actions'
+    });
+  }
+});
+
+// POST /admin/plans/sync
+router.post('/plans/sync', async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = syncPlansSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const report = await syncStripePlans({ dryRun: value.dry_run });
+
+    res.json({
+      success: true,
+      report: report
+    });
+  } catch (error) {
+    logger.error('❌ Failed to sync Stripe plans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync Stripe plans'
+    });
+  }
+});
+
+// PATCH /admin/plans/:id
+router.patch('/plans/:id', async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = updatePlanSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const plan = await StripePlan.getById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Plan not found'
+      });
+    }
+
+    await plan.update({ allow_promotion_codes: value.allow_promotion_codes });
+
+    res.json({
+      success: true,
+      plan: plan.toJSON()
+    });
+  } catch (error) {
+    logger.error('❌ Failed to update plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update plan'
+    });
+  }
+});
+
+// POST /admin/coupons
+router.post('/coupons', async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = createCouponSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const coupon = await promotions.createCoupon(value);
+
+    res.json({
+      success: true,
+      coupon: coupon
+    });
+  } catch (error) {
+    logger.error('❌ Failed to create coupon:', error);
+    // Stripe rejects e.g. a redeem_by date in the past or unknown product IDs
+    if (error.type === 'StripeInvalidRequestError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create coupon'
+    });
+  }
+});
+
+// GET /admin/coupons
+router.get('/coupons', async (req, res) => {
+  try {
+    // Validate query parameters
+    const { error, value } = listCouponsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await promotions.listCoupons({
+      limit: value.limit,
+      startingAfter: value.starting_after
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('❌ Failed to list coupons:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list coupons'
+    });
+  }
+});
+
+// POST /admin/promotion-codes
+router.post('/promotion-codes', async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = createPromotionCodeSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const promotionCode = await promotions.createPromotionCode(value);
+
+    res.json({
+      success: true,
+      promotion_code: promotionCode
+    });
+  } catch (error) {
+    logger.error('❌ Failed to create promotion code:', error);
+    // Stripe rejects e.g. duplicate codes or unknown coupons
+    if (error.type === 'StripeInvalidRequestError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create promotion code'
+    });
+  }
+});
+
+// GET /admin/promotion-codes
+router.get('/promotion-codes', async (req, res) => {
+  try {
+    // Validate query parameters
+    const { error, value } = listPromotionCodesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await promotions.listPromotionCodes({
+      coupon: value.coupon,
+      code: value.code,
+      active: value.active,
+      limit: value.limit,
+      startingAfter: value.starting_after
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('❌ Failed to list promotion codes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list promotion codes'
+    });
+  }
+});
+
+// GET /admin/plan-features
+router.get('/plan-features', async (req, res) => {
+  try {
+    // Validate query parameters
+    const { error, value } = listPlanFeaturesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const features = value.plan_key
+      ? await PlanFeature.getByPlanKeys([value.plan_key])
+      : await PlanFeature.getAll();
+
+    res.json({
+      success: true,
+      plan_features: features.map(feature => feature.toJSON()),
+      // Resolved like entitlements are, so a license plan shows the features it inherits
+      ...(value.plan_key && { resolved: await PlanFeature.getFeatureSet(value.plan_key) })
+    });
+  } catch (error) {
+    logger.error('❌ Failed to list plan features:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list plan features'
+    });
+  }
+});
+
+// PUT /admin/plan-features/:plan_key
+router.put('/plan-features/:plan_key', async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = updatePlanFeaturesSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const planKey = req.params.plan_key;
+    for (const [featureKey, featureValue] of Object.entries(value.features)) {
+      if (featureValue === null) {
+        await PlanFeature.remove(planKey, featureKey);
+      } else {
+        await PlanFeature.upsert(planKey, featureKey, featureValue);
+      }
+    }
+
+    res.json({
+      success: true,
+      plan_key: planKey,
+      features: await PlanFeature.getFeatureSet(planKey)
+    });
+  } catch (error) {
+    logger.error('❌ Failed to update plan features:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update plan features'
+    });
+  }
+});
+
 module.exports = router;
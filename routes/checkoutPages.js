@@ -0,0 +1,63 @@
+const express = require('express');
+const Joi = require('joi');
+const { logger } = require('../utils/logger');
+const {
+  DEFAULT_LOCALE,
+  LOCALE_PATTERN,
+  getAvailableLocales,
+  renderSuccessPage,
+  renderCancelPage
+} = require('../services/checkoutPages');
+
+const router = express.Router();
+
+// Validation schemas
+const successPageSchema = Joi.object({
+  session_id: Joi.string().pattern(/^cs_\w+$/).optional(),
+  locale: Joi.string().pattern(LOCALE_PATTERN).optional()
+});
+
+const cancelPageSchema = Joi.object({
+  locale: Joi.string().pattern(LOCALE_PATTERN).optional()
+});
+
+// Pick the page locale from ?locale= or the Accept-Language header
+function resolveLocale(req, locale) {
+  if (locale) return locale;
+
+  const available = getAvailableLocales();
+  return (available.length > 0 && req.acceptsLanguages(...available)) || DEFAULT_LOCALE;
+}
+
+// GET /success
+router.get('/success', async (req, res) => {
+  try {
+    // A malformed return URL still shows the generic page rather than an error
+    const { error, value } = successPageSchema.validate(req.query, { stripUnknown: true });
+    const query = error ? {} : value;
+
+    const locale = resolveLocale(req, query.locale);
+    const html = await renderSuccessPage(query.session_id, locale);
+
+    res.set('Cache-Control', 'no-store');
+    res.type('html').send(html);
+  } catch (error) {
+    logger.error('❌ Failed to render checkout success page:', error);
+    res.status(500).send('Failed to load this page. You can close this window and return to the app.');
+  }
+});
+
+// GET /cancel
+router.get('/cancel', (req, res) => {
+  try {
+    const { error, value } = cancelPageSchema.validate(req.query, { stripUnknown: true });
+    const locale = resolveLocale(req, error ? null : value.locale);
+
+    res.type('html').send(renderCancelPage(locale));
+  } catch (error) {
+    logger.error('❌ Failed to render checkout cancel page:', error);
+    res.status(500).send('Failed to load this page. You can close this window and return to the app.');
+  }
+});
+
+module.exports = router;
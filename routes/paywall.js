@@ -2,17 +2,55 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const Joi = require('joi');
 const { supabase } = require('../src/lib/supabase');
-const { stripe } = require('../config/stripe');
+const {
+  stripe,
+  createBillingPortalSession,
+  cancelSubscription,
+  pauseSubscription,
+  resumeSubscription
+} = require('../config/stripe');
 const { firebaseAuth, optionalFirebaseAuth } = require('../middleware/firebaseAuth');
+const { validateLicenseKeyFormat } = require('../middleware/validation');
 const { logger } = require('../utils/logger');
 
 const Device = require('../models/Device');
 const UserSubscription = require('../models/UserSubscription');
 const LicenseKey = require('../models/LicenseKey');
 const StripePlan = require('../models/StripePlan');
+const PlanFeature = require('../models/PlanFeature');
+const planChange = require('../services/planChange');
+const { getCheckoutProcessingState, getCheckoutEntitlement } = require('../services/checkoutStatus');
+const { resolvePromotionCode } = require('../services/promotions');
+const { resolveRequestCurrency, selectPlanPrice, groupPlans } = require('../services/pricing');
+const { resolveEntitlement, toPublicEntitlement } = require('../services/entitlements');
+const { getSubscriptionStatus } = require('../services/stripeResolvers');
+const licenseTokens = require('../services/licenseTokens');
+const {
+  activateLicense,
+  getActivationIssue,
+  getActivationCounts,
+  transferActivation
+} = require('../services/licenseActivation');
+const LicenseActivation = require('../models/LicenseActivation');
 
 const router = express.Router();
 
+// Whether the caller owns an activation: its user, its guest device, or the user the device is linked to
+async function isActivationOwner(activation, { uid = null, guestId = null }) {
+  if (activation.uid) return !!uid && activation.uid === uid;
+  if (guestId && activation.deviceId === guestId) return true;
+  if (!uid) return false;
+
+  const device = await Device.getById(activation.deviceId);
+  return !!device && device.linkedUid === uid;
+}
+
+// Signed token the app can verify offline, or null when token signing isn't configured
+async function issueLicenseTokenIfEnabled(licenseKey, binding) {
+  if (!licenseTokens.isLicenseTokenEnabled()) return null;
+  return licenseTokens.issueLicenseToken(licenseKey, binding);
+}
+
 // Rate limiting for sensitive endpoints
 const trialRateLimit = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -42,14 +80,23 @@ const checkSubscriptionSchema = Joi.object({
   id_token: Joi.string().optional()
 });
 
+const currencySchema = Joi.string().length(3).lowercase();
+
+const getPlansSchema = Joi.object({
+  currency: currencySchema.optional()
+});
+
 const createCheckoutSessionSchema = Joi.object({
   guest_id: Joi.string().uuid().optional(),
-  price_id: Joi.string().required(),
+  price_id: Joi.string().optional(),
+  plan_key: Joi.string().optional(),
+  currency: currencySchema.optional(),
   cancel_url: Joi.string().uri().optional(),
   success_url: Joi.string().uri().optional(),
   customer_email: Joi.string().email().optional(),
-  uid: Joi.string().optional()
-});
+  uid: Joi.string().optional(),
+  promotion_code: Joi.string().trim().max(100).optional()
+}).xor('price_id', 'plan_key').oxor('price_id', 'currency');
 
 const redeemLicenseSchema = Joi.object({
   key: Joi.string().required().min(1).max(255),
@@ -64,10 +111,54 @@ const verifyLicenseSchema = Joi.object({
   device_id: Joi.string().optional()
 });
 
+const activateLicenseSchema = Joi.object({
+  key: Joi.string().required().min(1).max(255),
+  guest_id: Joi.string().uuid().optional()
+});
+
+const deactivateLicenseSchema = Joi.object({
+  key: Joi.string().required().min(1).max(255),
+  activation_id: Joi.string().uuid().optional(),
+  guest_id: Joi.string().uuid().optional()
+});
+
+const licenseActivationsSchema = Joi.object({
+  guest_id: Joi.string().uuid().optional()
+});
+
+const refreshLicenseTokenSchema = Joi.object({
+  token: Joi.string().required().max(4096)
+});
+
 const linkGuestSchema = Joi.object({
   guest_id: Joi.string().uuid().required()
 });
 
+const changePlanSchema = Joi.object({
+  price_id: Joi.string().required(),
+  timing: Joi.string().valid('immediate', 'period_end').optional().default('immediate'),
+  preview: Joi.boolean().optional().default(false),
+  proration_date: Joi.number().integer().optional(),
+  success_url: Joi.string().uri().optional(),
+  cancel_url: Joi.string().uri().optional()
+});
+
+const cancelSubscriptionSchema = Joi.object({
+  immediately: Joi.boolean().optional().default(false)
+});
+
+const pauseSubscriptionSchema = Joi.object({
+  resumes_at: Joi.date().iso().greater('now').optional()
+});
+
+const checkoutSessionStatusSchema = Joi.object({
+  guest_id: Joi.string().uuid().optional()
+});
+
+const billingPortalSchema = Joi.object({
+  return_url: Joi.string().uri().optional()
+});
+
 // POST /api/start-guest-trial
 router.post('/start-guest-trial', trialRateLimit, async (req, res) => {
   try {
@@ -125,51 +216,21 @@ router.get('/check-subscription', optionalFirebaseAuth, async (req, res) => {
     const { guest_id } = req.query;
     const { uid } = req.user || {};
 
-    let subscription = null;
-
-    if (uid) {
-      // Authenticated user - check by UID
-      subscription = await UserSubscription.getByUid(uid);
-    } else if (guest_id) {
-      // Guest user - check by guest ID
-      const device = await Device.getById(guest_id);
-      if (device) {
-        subscription = await UserSubscription.getByDeviceId(device.id);
-      }
-    } else {
+    if (!uid && !guest_id) {
       return res.status(400).json({
         success: false,
         error: 'Either guest_id or Firebase authentication required'
       });
     }
 
-    if (!subscription) {
-      return res.json({
-        success: true,
-        status: 'none',
-        plan: null,
-        trialStart: null,
-        trialEnd: null,
-        licenseKey: null
-      });
-    }
-
-    // Get plan info if available
-    let plan = null;
-    if (subscription.planId) {
-      plan = await StripePlan.getByPlanKey(subscription.planId);
-    }
+    // Merge the user's and the device's entitlements
+    const entitlement = await resolveEntitlement({ uid, deviceId: guest_id });
+    const plan = entitlement.subscription ? await getSubscribedPlan(entitlement.subscription) : null;
 
     res.json({
       success: true,
-      status: subscription.getSubscriptionStatus(),
-      plan: plan ? plan.toPublicJSON() : null,
-      trialStart: subscription.trialStart,
-      trialEnd: subscription.trialEnd,
-      licenseKey: subscription.planId && subscription.planId.startsWith('license_') ? {
-        plan_id: subscription.planId,
-        expires_at: null // License keys don't have expiry in subscription
-      } : null
+      ...toPublicEntitlement(entitlement),
+      plan: plan ? plan.toPublicJSON() : null
     });
   } catch (error) {
     logger.error('❌ Failed to check subscription:', error);
@@ -183,11 +244,27 @@ router.get('/check-subscription', optionalFirebaseAuth, async (req, res) => {
 // GET /api/plans
 router.get('/plans', async (req, res) => {
   try {
-    const plans = await StripePlan.getAll();
-    
+    // Validate query parameters
+    const { error, value } = getPlansSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { currency, country } = resolveRequestCurrency(req, value.currency);
+    const plans = await StripePlan.getAll({ active: true });
+    const features = await PlanFeature.getAll();
+
     res.json({
       success: true,
-      plans: plans.map(plan => plan.toPublicJSON())
+      currency: currency || StripePlan.getDefaultCurrency(),
+      country,
+      plans: groupPlans(plans, currency).map(plan => ({
+        ...plan,
+        features: PlanFeature.buildFeatureSet(features, plan.plan_key)
+      }))
     });
   } catch (error) {
     logger.error('❌ Failed to get plans:', error);
@@ -210,14 +287,42 @@ router.post('/create-checkout-session', async (req, res) => {
       });
     }
 
-    const { guest_id, price_id, cancel_url, success_url, customer_email, uid } = value;
+    const { guest_id, plan_key, cancel_url, success_url, customer_email, uid, promotion_code } = value;
 
-    // Verify price_id exists in our plans
-    const plan = await StripePlan.getByStripePriceId(price_id);
-    if (!plan) {
+    let plan;
+    if (plan_key) {
+      // Pick the plan's price in the requested currency or the caller's local one
+      const { currency, explicit } = resolveRequestCurrency(req, value.currency);
+      const prices = await StripePlan.getAll({ planKey: plan_key, active: true });
+      plan = selectPlanPrice(prices, currency);
+
+      if (!plan) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid plan key'
+        });
+      }
+      if (explicit && plan.currency !== currency) {
+        return res.status(400).json({
+          success: false,
+          error: `Plan is not available in ${currency.toUpperCase()}`
+        });
+      }
+    } else {
+      // Verify price_id exists in our plans
+      plan = await StripePlan.getByStripePriceId(value.price_id);
+      if (!plan || !plan.active) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid price ID'
+        });
+      }
+    }
+
+    if (promotion_code && !plan.allowPromotionCodes) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid price ID'
+        error: 'Promotion codes are not available for this plan'
       });
     }
 
@@ -227,6 +332,15 @@ router.post('/create-checkout-session', async (req, res) => {
     if (uid) {
       // Authenticated user - find or create customer
       const subscription = await UserSubscription.getByUid(uid);
+
+      // Buying lifetime alone would leave the recurring subscription billing; /change-plan credits and cancels it
+      if (plan.isLifetime() && subscription && subscription.hasRecurringBilling()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upgrade the current subscription to lifetime through /api/change-plan'
+        });
+      }
+
       if (subscription && subscription.stripeCustomerId) {
         customerId = subscription.stripeCustomerId;
       } else {
@@ -255,6 +369,10 @@ router.post('/create-checkout-session', async (req, res) => {
       });
     }
 
+    // Lifetime plans are a one-time payment; recurring plans start a subscription
+    const isLifetime = plan.isLifetime();
+    metadata.price_id = plan.stripePriceId;
+
     // Determine trial end date if applicable
     let trialEnd = null;
     if (guest_id) {
@@ -269,22 +387,49 @@ router.post('/create-checkout-session', async (req, res) => {
       }
     }
 
+    // Check the promotion code before sending the user to Stripe
+    let promotionCode = null;
+    if (promotion_code) {
+      const resolved = await resolvePromotionCode(promotion_code, plan, { customerId });
+      if (!resolved.promotionCode) {
+        return res.status(400).json({
+          success: false,
+          error: resolved.reason
+        });
+      }
+      promotionCode = resolved.promotionCode;
+    }
+
     // Create checkout session
     const sessionConfig = {
       customer: customerId,
       payment_method_types: ['card'],
       line_items: [{
-        price: price_id,
+        price: plan.stripePriceId,
         quantity: 1
       }],
-      mode: 'subscription',
-      success_url: success_url || 'https://utm-subscription-backend.onrender.com/success',
+      mode: isLifetime ? 'payment' : 'subscription',
+      success_url: success_url || 'https://utm-subscription-backend.onrender.com/success?session_id={CHECKOUT_SESSION_ID}',
       cancel_url: cancel_url || 'https://utm-subscription-backend.onrender.com/cancel',
       metadata
     };
 
-    // Add trial end if applicable
-    if (trialEnd) {
+    // Apply the code up front, or let the user enter one on the Stripe page
+    if (promotionCode) {
+      sessionConfig.discounts = [{ promotion_code: promotionCode.id }];
+    } else if (plan.allowPromotionCodes) {
+      sessionConfig.allow_promotion_codes = true;
+    }
+
+    // Copy the owner onto the payment so refunds and disputes can be traced back
+    if (isLifetime) {
+      sessionConfig.payment_intent_data = {
+        metadata
+      };
+    }
+
+    // Add trial end if applicable (one-time purchases have no trial)
+    if (trialEnd && !isLifetime) {
       sessionConfig.subscription_data = {
         trial_end: trialEnd
       };
@@ -308,7 +453,7 @@ router.post('/create-checkout-session', async (req, res) => {
 });
 
 // POST /api/license/verify
-router.post('/license/verify', licenseRateLimit, async (req, res) => {
+router.post('/license/verify', validateLicenseKeyFormat, licenseRateLimit, async (req, res) => {
   try {
     // Validate request
     const { error, value } = verifyLicenseSchema.validate(req.body);
@@ -331,37 +476,28 @@ router.post('/license/verify', licenseRateLimit, async (req, res) => {
       });
     }
     
-    // Check if expired
-    if (licenseKey.expires_at && new Date(licenseKey.expires_at) < new Date()) {
-      return res.json({ 
-        success: false, 
-        valid: false, 
-        message: 'License key has expired' 
-      });
-    }
-    
-    // Check if already bound to different user/device
-    if (licenseKey.bound_uid && licenseKey.bound_uid !== uid) {
-      return res.json({ 
-        success: false, 
-        valid: false, 
-        message: 'License key is already bound to another user' 
-      });
-    }
-    
-    if (licenseKey.bound_device_id && licenseKey.bound_device_id !== device_id) {
-      return res.json({ 
-        success: false, 
-        valid: false, 
-        message: 'License key is already bound to another device' 
+    // Already activated for this user or device, or a seat is still free
+    const identity = { uid, deviceId: device_id };
+    const activation = uid || device_id ? await LicenseActivation.getActive(licenseKey.id, identity) : null;
+    const activations = await getActivationCounts(licenseKey);
+    const issue = getActivationIssue(licenseKey, activation ? 0 : activations.used);
+
+    if (issue) {
+      return res.json({
+        success: false,
+        valid: false,
+        message: issue,
+        activations
       });
     }
-    
-    res.json({ 
-      success: true, 
-      valid: true, 
+
+    res.json({
+      success: true,
+      valid: true,
       message: 'License key is valid',
-      license: licenseKey
+      license: licenseKey.toPublicJSON(),
+      activated: !!activation,
+      activations
     });
   } catch (error) {
     logger.error('❌ Failed to verify license key:', error);
@@ -373,7 +509,7 @@ router.post('/license/verify', licenseRateLimit, async (req, res) => {
 });
 
 // POST /api/redeem-license
-router.post('/redeem-license', licenseRateLimit, async (req, res) => {
+router.post('/redeem-license', validateLicenseKeyFormat, licenseRateLimit, async (req, res) => {
   try {
     // Validate request
     const { error, value } = redeemLicenseSchema.validate(req.body);
@@ -396,14 +532,6 @@ router.post('/redeem-license', licenseRateLimit, async (req, res) => {
       });
     }
 
-    // Check if license key is valid for redemption
-    if (!licenseKey.isValidForRedemption()) {
-      return res.status(400).json({
-        success: false,
-        error: licenseKey.isRedeemed() ? 'License key has already been redeemed' : 'License key has expired'
-      });
-    }
-
     let boundUid = null;
     let boundDeviceId = null;
 
@@ -431,30 +559,24 @@ router.post('/redeem-license', licenseRateLimit, async (req, res) => {
       });
     }
 
-    // Redeem license key
-    await licenseKey.redeem(boundUid, boundDeviceId);
-
-    // Create or update user subscription
-    const subscriptionData = {
-      plan_id: `license_${licenseKey.planId}`,
-      status: 'active',
-      trial_start: null,
-      trial_end: null
-    };
-
-    if (boundUid) {
-      subscriptionData.uid = boundUid;
-    } else {
-      subscriptionData.device_id = boundDeviceId;
+    // Take a seat on the license key and grant the license subscription
+    const { reason } = await activateLicense(licenseKey, { uid: boundUid, deviceId: boundDeviceId });
+    if (reason) {
+      return res.status(400).json({
+        success: false,
+        error: reason
+      });
     }
 
-    await UserSubscription.create(subscriptionData);
+    logger.info(`✅ Redeemed license key: ${licenseKey.id}`);
 
-    logger.info(`✅ Redeemed license key: ${key}`);
+    const signedToken = await issueLicenseTokenIfEnabled(licenseKey, { uid: boundUid, deviceId: boundDeviceId });
 
     res.json({
       success: true,
-      ...licenseKey.toPublicJSON()
+      ...licenseKey.toPublicJSON(),
+      token: signedToken ? signedToken.token : null,
+      token_expires_at: signedToken ? signedToken.expiresAt : null
     });
   } catch (error) {
     logger.error('❌ Failed to redeem license:', error);
@@ -465,11 +587,11 @@ router.post('/redeem-license', licenseRateLimit, async (req, res) => {
   }
 });
 
-// POST /api/link-guest (authenticated)
-router.post('/link-guest', firebaseAuth, async (req, res) => {
+// POST /api/license/activate
+// Take a seat on a license key for the signed-in user or a guest device
+router.post('/license/activate', validateLicenseKeyFormat, licenseRateLimit, optionalFirebaseAuth, async (req, res) => {
   try {
-    // Validate request
-    const { error, value } = linkGuestSchema.validate(req.body);
+    const { error, value } = activateLicenseSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         success: false,
@@ -477,102 +599,796 @@ router.post('/link-guest', firebaseAuth, async (req, res) => {
       });
     }
 
-    const { guest_id } = value;
-    const { uid } = req.user;
+    const { key, guest_id } = value;
+    const { uid } = req.user || {};
 
-    // Get device
-    const device = await Device.getById(guest_id);
-    if (!device) {
+    if (!uid && !guest_id) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid guest ID'
+        error: 'Either authentication or guest_id required'
       });
     }
 
-    // Check if device is already linked
-    if (device.linkedUid) {
+    const licenseKey = await LicenseKey.getByKey(key);
+    if (!licenseKey) {
       return res.status(400).json({
         success: false,
-        error: 'Device is already linked to an account'
+        error: 'Invalid license key'
       });
     }
 
-    // Link device to UID
-    await device.linkToUid(uid);
+    let deviceId = null;
+    if (!uid) {
+      const device = await Device.getById(guest_id);
+      if (!device) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid guest ID'
+        });
+      }
+      deviceId = device.id;
+    }
 
-    // Get or create user subscription
-    let subscription = await UserSubscription.getByUid(uid);
-    if (!subscription) {
-      // Create new subscription with trial info
-      subscription = await UserSubscription.create({
-        uid: uid,
-        status: device.subscriptionStatus,
-        trial_start: device.trialStart,
-        trial_end: device.trialEnd
+    const { activation, reason } = await activateLicense(licenseKey, { uid, deviceId });
+    if (reason) {
+      return res.status(400).json({
+        success: false,
+        error: reason
       });
-    } else {
-      // Update existing subscription with trial info if it doesn't have one
-      if (!subscription.trialStart && device.trialStart) {
-        await subscription.update({
-          trial_start: device.trialStart,
-          trial_end: device.trialEnd,
-          status: device.subscriptionStatus
-        });
+    }
+
+    const signedToken = await issueLicenseTokenIfEnabled(licenseKey, { uid, deviceId });
+
+    res.json({
+      success: true,
+      plan_id: licenseKey.planId,
+      expires_at: licenseKey.expiresAt,
+      activation: activation.toPublicJSON(),
+      activations: await getActivationCounts(licenseKey),
+      token: signedToken ? signedToken.token : null,
+      token_expires_at: signedToken ? signedToken.expiresAt : null
+    });
+  } catch (error) {
+    logger.error('❌ Failed to activate license:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to activate license'
+    });
+  }
+});
+
+// POST /api/license/deactivate
+// Free the caller's seat (or, with activation_id, one on a device they replaced) to move the license
+router.post('/license/deactivate', validateLicenseKeyFormat, licenseRateLimit, optionalFirebaseAuth, async (req, res) => {
+  try {
+    const { error, value } = deactivateLicenseSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { key, activation_id, guest_id } = value;
+    const { uid } = req.user || {};
+
+    if (!uid && !guest_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Either authentication or guest_id required'
+      });
+    }
+
+    const licenseKey = await LicenseKey.getByKey(key);
+    if (!licenseKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid license key'
+      });
+    }
+
+    let activation = null;
+    if (activation_id) {
+      activation = await LicenseActivation.getById(activation_id);
+      if (activation && (activation.licenseKeyId !== licenseKey.id || !activation.isActive())) {
+        activation = null;
       }
+    } else {
+      if (uid) activation = await LicenseActivation.getActive(licenseKey.id, { uid });
+      if (!activation && guest_id) activation = await LicenseActivation.getActive(licenseKey.id, { deviceId: guest_id });
     }
 
-    logger.info(`✅ Linked guest ${guest_id} to UID: ${uid}`);
+    if (!activation) {
+      return res.status(404).json({
+        success: false,
+        error: 'License activation not found'
+      });
+    }
+
+    if (!(await isActivationOwner(activation, { uid, guestId: guest_id }))) {
+      return res.status(403).json({
+        success: false,
+        error: 'License activation belongs to another user or device'
+      });
+    }
+
+    const { reason, transfers } = await transferActivation(licenseKey, activation);
+    if (reason) {
+      return res.status(403).json({
+        success: false,
+        error: reason,
+        transfers
+      });
+    }
+
+    logger.info(`✅ Owner deactivated license activation ${activation.id} of license key: ${licenseKey.id}`);
 
     res.json({
       success: true,
-      subscription: subscription.toPublicJSON()
+      activation: activation.toPublicJSON(),
+      activations: await getActivationCounts(licenseKey),
+      transfers
     });
   } catch (error) {
-    logger.error('❌ Failed to link guest:', error);
+    logger.error('❌ Failed to deactivate license:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to link guest to account'
+      error: 'Failed to deactivate license'
     });
   }
 });
 
-// GET /api/my-subscription (authenticated)
-router.get('/my-subscription', firebaseAuth, async (req, res) => {
+// GET /api/license/activations
+// Activation history of the signed-in user (and devices linked to them) and/or a guest device
+router.get('/license/activations', optionalFirebaseAuth, async (req, res) => {
   try {
-    const { uid } = req.user;
+    const { error, value } = licenseActivationsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
 
-    const subscription = await UserSubscription.getByUid(uid);
-    if (!subscription) {
-      return res.json({
-        success: true,
-        status: 'none',
-        plan: null,
-        trialStart: null,
-        trialEnd: null
+    const { guest_id } = value;
+    const { uid } = req.user || {};
+
+    if (!uid && !guest_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Either authentication or guest_id required'
       });
     }
 
-    // Get plan info if available
-    let plan = null;
-    if (subscription.planId) {
-      plan = await StripePlan.getByPlanKey(subscription.planId);
+    const deviceIds = uid ? (await Device.getByLinkedUid(uid)).map(device => device.id) : [];
+    if (guest_id && !deviceIds.includes(guest_id)) deviceIds.push(guest_id);
+
+    const activations = await LicenseActivation.getByOwner({ uid, deviceIds });
+
+    // Plan of each license key, without revealing the keys
+    const planIds = {};
+    for (const licenseKeyId of new Set(activations.map(activation => activation.licenseKeyId))) {
+      const licenseKey = await LicenseKey.getById(licenseKeyId);
+      planIds[licenseKeyId] = licenseKey ? licenseKey.planId : null;
     }
 
     res.json({
       success: true,
-      status: subscription.getSubscriptionStatus(),
-      plan: plan ? plan.toPublicJSON() : null,
-      trialStart: subscription.trialStart,
-      trialEnd: subscription.trialEnd,
-      isActive: subscription.isActive(),
-      isTrial: subscription.isTrial(),
-      trialDaysRemaining: subscription.getTrialDaysRemaining()
+      activations: activations.map(activation => ({
+        ...activation.toPublicJSON(),
+        license_key_id: activation.licenseKeyId,
+        plan_id: planIds[activation.licenseKeyId]
+      }))
     });
   } catch (error) {
-    logger.error('❌ Failed to get user subscription:', error);
+    logger.error('❌ Failed to get license activations:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get subscription status'
+      error: 'Failed to get license activations'
+    });
+  }
+});
+
+// POST /api/license/token
+// Exchange a license token (expired or not) for a fresh one while its license key is still valid
+router.post('/license/token', licenseRateLimit, async (req, res) => {
+  try {
+    const { error, value } = refreshLicenseTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (!licenseTokens.isLicenseTokenEnabled()) {
+      return res.status(503).json({
+        success: false,
+        error: 'License tokens are not enabled'
+      });
+    }
+
+    let claims;
+    try {
+      claims = licenseTokens.verifyLicenseToken(value.token, { ignoreExpiration: true });
+    } catch (tokenError) {
+      if (!(tokenError instanceof licenseTokens.LicenseTokenError)) throw tokenError;
+      return res.status(401).json({
+        success: false,
+        error: tokenError.message
+      });
+    }
+
+    const licenseKey = await LicenseKey.getById(claims.sub);
+    const activation = licenseKey
+      ? await LicenseActivation.getActive(licenseKey.id, { uid: claims.uid, deviceId: claims.device_id })
+      : null;
+    const issue = licenseTokens.getLicenseTokenIssue(licenseKey, activation);
+    if (issue) {
+      return res.status(403).json({
+        success: false,
+        error: issue
+      });
+    }
+
+    const { token, expiresAt } = await licenseTokens.issueLicenseToken(licenseKey, {
+      uid: claims.uid,
+      deviceId: claims.device_id
+    });
+
+    res.json({
+      success: true,
+      token,
+      token_expires_at: expiresAt
+    });
+  } catch (error) {
+    logger.error('❌ Failed to refresh license token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh license token'
+    });
+  }
+});
+
+// GET /api/license/public-keys
+// Keys license tokens are signed with, including retired keys whose tokens may still be in use
+router.get('/license/public-keys', (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({
+      success: true,
+      ...licenseTokens.getPublicKeySet()
+    });
+  } catch (error) {
+    logger.error('❌ Failed to get license token public keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get license token public keys'
+    });
+  }
+});
+
+// POST /api/link-guest (authenticated)
+router.post('/link-guest', firebaseAuth, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = linkGuestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { guest_id } = value;
+    const { uid } = req.user;
+
+    // Get device
+    const device = await Device.getById(guest_id);
+    if (!device) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid guest ID'
+      });
+    }
+
+    // Check if device is already linked
+    if (device.linkedUid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Device is already linked to an account'
+      });
+    }
+
+    // Link device to UID
+    await device.linkToUid(uid);
+
+    // Get or create user subscription
+    let subscription = await UserSubscription.getByUid(uid);
+    if (!subscription) {
+      // Create new subscription with trial info
+      subscription = await UserSubscription.create({
+        uid: uid,
+        status: device.subscriptionStatus,
+        trial_start: device.trialStart,
+        trial_end: device.trialEnd
+      });
+    } else {
+      // Update existing subscription with trial info if it doesn't have one
+      if (!subscription.trialStart && device.trialStart) {
+        await subscription.update({
+          trial_start: device.trialStart,
+          trial_end: device.trialEnd,
+          status: device.subscriptionStatus
+        });
+      }
+    }
+
+    logger.info(`✅ Linked guest ${guest_id} to UID: ${uid}`);
+
+    res.json({
+      success: true,
+      subscription: subscription.toPublicJSON()
+    });
+  } catch (error) {
+    logger.error('❌ Failed to link guest:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to link guest to account'
+    });
+  }
+});
+
+// GET /api/my-subscription (authenticated)
+router.get('/my-subscription', firebaseAuth, async (req, res) => {
+  try {
+    const { uid } = req.user;
+
+    const entitlement = await resolveEntitlement({ uid });
+    const { subscription } = entitlement;
+
+    // Get plan info if available
+    const plan = subscription ? await getSubscribedPlan(subscription) : null;
+
+    res.json({
+      success: true,
+      ...toPublicEntitlement(entitlement),
+      plan: plan ? plan.toPublicJSON() : null,
+      trialDaysRemaining: subscription ? subscription.getTrialDaysRemaining() : 0,
+      paymentIssue: subscription ? subscription.getPaymentIssue() : null
+    });
+  } catch (error) {
+    logger.error('❌ Failed to get user subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get subscription status'
+    });
+  }
+});
+
+// POST /api/billing-portal (authenticated)
+router.post('/billing-portal', firebaseAuth, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = billingPortalSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { uid } = req.user;
+
+    const subscription = await UserSubscription.getByUid(uid);
+    if (!subscription || !subscription.stripeCustomerId) {
+      return res.status(404).json({
+        success: false,
+        error: 'No billing account found'
+      });
+    }
+
+    const returnUrl = value.return_url ||
+      process.env.BILLING_PORTAL_RETURN_URL ||
+      'https://utm-subscription-backend.onrender.com/success';
+
+    const session = await createBillingPortalSession(subscription.stripeCustomerId, returnUrl);
+
+    logger.info(`✅ Created billing portal session for UID: ${uid}`);
+
+    res.json({
+      success: true,
+      url: session.url
+    });
+  } catch (error) {
+    logger.error('❌ Failed to create billing portal session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create billing portal session'
+    });
+  }
+});
+
+// POST /api/change-plan (authenticated)
+router.post('/change-plan', firebaseAuth, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = changePlanSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { uid } = req.user;
+    const { price_id, timing, preview, proration_date, success_url, cancel_url } = value;
+
+    const subscription = await UserSubscription.getByUid(uid);
+    if (!subscription || !subscription.stripeSubscriptionId) {
+      return res.status(404).json({
+        success: false,
+        error: 'No Stripe subscription found'
+      });
+    }
+
+    if (subscription.isLifetime()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Subscription is already on a lifetime plan'
+      });
+    }
+
+    // Verify price_id exists in our plans
+    const plan = await StripePlan.getByStripePriceId(price_id);
+    if (!plan || !plan.active) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid price ID'
+      });
+    }
+
+    const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripeSubscriptionId, {
+      expand: ['latest_invoice']
+    });
+    if (!['active', 'trialing', 'past_due'].includes(stripeSubscription.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Cannot change plan of a ${stripeSubscription.status} subscription`
+      });
+    }
+
+    if (stripeSubscription.items.data[0]?.price?.id === price_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Subscription is already on this plan'
+      });
+    }
+
+    // Lifetime plans are bought through a one-time checkout with the unused period credited
+    if (plan.isLifetime()) {
+      // The credit is in the subscription's currency, so the lifetime price has to be as well
+      const lifetimePlan = await planChange.getLifetimePriceFor(stripeSubscription, plan);
+      if (!lifetimePlan) {
+        const subscriptionCurrency = planChange.getSubscriptionCurrency(stripeSubscription);
+        return res.status(400).json({
+          success: false,
+          error: `Plan is not available in ${subscriptionCurrency.toUpperCase()}`
+        });
+      }
+
+      if (preview) {
+        return res.json({
+          success: true,
+          preview: planChange.previewLifetimeUpgrade(stripeSubscription, lifetimePlan)
+        });
+      }
+
+      const { session, credit, amount_due, currency } = await planChange.startLifetimeUpgrade(stripeSubscription, lifetimePlan, {
+        metadata: { uid },
+        successUrl: success_url || 'https://utm-subscription-backend.onrender.com/success?session_id={CHECKOUT_SESSION_ID}',
+        cancelUrl: cancel_url || 'https://utm-subscription-backend.onrender.com/cancel'
+      });
+
+      return res.json({
+        success: true,
+        status: 'checkout_required',
+        checkoutUrl: session.url,
+        credit,
+        amount_due,
+        currency
+      });
+    }
+
+    const changeOptions = { timing, prorationDate: proration_date };
+
+    if (preview) {
+      return res.json({
+        success: true,
+        preview: await planChange.previewRecurringChange(stripeSubscription, plan, changeOptions)
+      });
+    }
+
+    if (timing === 'period_end') {
+      await planChange.schedulePeriodEndChange(stripeSubscription, plan);
+    } else {
+      await planChange.applyImmediateChange(stripeSubscription, plan, changeOptions);
+    }
+
+    logger.info(`✅ Plan change to ${plan.planKey} (${timing}) requested for UID: ${uid}`);
+
+    // plan_id is updated when Stripe confirms the change through customer.subscription.updated
+    res.json({
+      success: true,
+      status: timing === 'period_end' ? 'scheduled' : 'updated',
+      plan: plan.toPublicJSON(),
+      effective_at: timing === 'period_end'
+        ? new Date(stripeSubscription.current_period_end * 1000).toISOString()
+        : new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('❌ Failed to change plan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change plan'
+    });
+  }
+});
+
+// Plan version the subscription is actually billed at, which may be an archived price.
+// Subscriptions without a Stripe price (e.g. license keys) fall back to the current plan.
+async function getSubscribedPlan(subscription) {
+  if (subscription.stripePriceId) {
+    const plan = await StripePlan.getByStripePriceId(subscription.stripePriceId);
+    if (plan) return plan;
+  }
+
+  return subscription.planId ? StripePlan.getByPlanKey(subscription.planId) : null;
+}
+
+// Revoked access (refund or lost dispute) is only restored by the webhooks, never by changing the subscription
+const REVOKED_SUBSCRIPTION_MESSAGE = 'Subscription access has been revoked';
+
+// Copy the renewal and pause state from Stripe so check-subscription reflects it before the webhook arrives
+function subscriptionStateFromStripe(subscription, stripeSubscription) {
+  const status = getSubscriptionStatus(stripeSubscription);
+  const resumesAt = stripeSubscription.pause_collection?.resumes_at;
+
+  return {
+    status,
+    cancel_at_period_end: !!stripeSubscription.cancel_at_period_end,
+    paused_at: status === 'paused' ? (subscription.pausedAt || new Date().toISOString()) : null,
+    pause_resumes_at: resumesAt ? new Date(resumesAt * 1000).toISOString() : null,
+    ...(stripeSubscription.current_period_end && {
+      current_period_end: new Date(stripeSubscription.current_period_end * 1000).toISOString()
+    })
+  };
+}
+
+// POST /api/cancel-subscription (authenticated)
+router.post('/cancel-subscription', firebaseAuth, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = cancelSubscriptionSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { uid } = req.user;
+
+    const subscription = await UserSubscription.getByUid(uid);
+    if (!subscription || !subscription.stripeSubscriptionId) {
+      return res.status(404).json({
+        success: false,
+        error: 'No Stripe subscription found'
+      });
+    }
+
+    if (subscription.isRevoked()) {
+      return res.status(400).json({
+        success: false,
+        error: REVOKED_SUBSCRIPTION_MESSAGE
+      });
+    }
+
+    if (subscription.isLifetime()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Lifetime plans cannot be cancelled'
+      });
+    }
+
+    if (subscription.status === 'canceled' || subscription.status === 'expired') {
+      return res.status(400).json({
+        success: false,
+        error: 'Subscription is not active'
+      });
+    }
+
+    const stripeSubscription = await cancelSubscription(subscription.stripeSubscriptionId, value.immediately);
+
+    // An immediate cancellation is applied when customer.subscription.deleted arrives
+    if (!value.immediately) {
+      await subscription.update(subscriptionStateFromStripe(subscription, stripeSubscription));
+    }
+
+    logger.info(`✅ Cancelled subscription for UID: ${uid}${value.immediately ? ' (immediately)' : ' (at period end)'}`);
+
+    res.json({
+      success: true,
+      subscription: subscription.toPublicJSON()
+    });
+  } catch (error) {
+    logger.error('❌ Failed to cancel subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel subscription'
+    });
+  }
+});
+
+// POST /api/pause-subscription (authenticated)
+router.post('/pause-subscription', firebaseAuth, async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = pauseSubscriptionSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { uid } = req.user;
+
+    const subscription = await UserSubscription.getByUid(uid);
+    if (!subscription || !subscription.stripeSubscriptionId) {
+      return res.status(404).json({
+        success: false,
+        error: 'No Stripe subscription found'
+      });
+    }
+
+    if (subscription.isRevoked()) {
+      return res.status(400).json({
+        success: false,
+        error: REVOKED_SUBSCRIPTION_MESSAGE
+      });
+    }
+
+    if (subscription.isLifetime() || !subscription.isActive()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only active recurring subscriptions can be paused'
+      });
+    }
+
+    const stripeSubscription = await pauseSubscription(subscription.stripeSubscriptionId, value.resumes_at);
+    await subscription.update(subscriptionStateFromStripe(subscription, stripeSubscription));
+
+    logger.info(`✅ Paused subscription for UID: ${uid}${value.resumes_at ? ` until ${value.resumes_at.toISOString()}` : ''}`);
+
+    res.json({
+      success: true,
+      subscription: subscription.toPublicJSON()
+    });
+  } catch (error) {
+    logger.error('❌ Failed to pause subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause subscription'
+    });
+  }
+});
+
+// POST /api/resume-subscription (authenticated)
+router.post('/resume-subscription', firebaseAuth, async (req, res) => {
+  try {
+    const { uid } = req.user;
+
+    const subscription = await UserSubscription.getByUid(uid);
+    if (!subscription || !subscription.stripeSubscriptionId) {
+      return res.status(404).json({
+        success: false,
+        error: 'No Stripe subscription found'
+      });
+    }
+
+    if (subscription.isRevoked()) {
+      return res.status(400).json({
+        success: false,
+        error: REVOKED_SUBSCRIPTION_MESSAGE
+      });
+    }
+
+    const scheduledToCancel = subscription.cancelAtPeriodEnd && (subscription.isActive() || subscription.isTrial());
+    if (!subscription.isPaused() && !scheduledToCancel) {
+      return res.status(400).json({
+        success: false,
+        error: 'Subscription is not paused or scheduled to cancel'
+      });
+    }
+
+    const stripeSubscription = await resumeSubscription(subscription.stripeSubscriptionId);
+    await subscription.update(subscriptionStateFromStripe(subscription, stripeSubscription));
+
+    logger.info(`✅ Resumed subscription for UID: ${uid}`);
+
+    res.json({
+      success: true,
+      subscription: subscription.toPublicJSON()
+    });
+  } catch (error) {
+    logger.error('❌ Failed to resume subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume subscription'
+    });
+  }
+});
+
+// GET /api/checkout-session/:id
+router.get('/checkout-session/:id', optionalFirebaseAuth, async (req, res) => {
+  try {
+    // Validate query parameters
+    const { error, value } = checkoutSessionStatusSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const uid = req.user ? req.user.uid : null;
+    const { guest_id } = value;
+
+    if (!uid && !guest_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Either guest_id or Firebase authentication required'
+      });
+    }
+
+    let session = null;
+    try {
+      session = await stripe.checkout.sessions.retrieve(req.params.id);
+    } catch (stripeError) {
+      if (stripeError.code !== 'resource_missing') throw stripeError;
+    }
+
+    // Only the user or guest who started the checkout may read it
+    const metadata = (session && session.metadata) || {};
+    const isOwner = (uid && metadata.uid === uid) || (guest_id && metadata.guest_id === guest_id);
+    if (!session || !isOwner) {
+      return res.status(404).json({
+        success: false,
+        error: 'Checkout session not found'
+      });
+    }
+
+    // Report the resulting entitlement once the webhook has been applied
+    const webhook = await getCheckoutProcessingState(session);
+    const entitlement = webhook.processed ? await getCheckoutEntitlement(session) : null;
+
+    res.json({
+      success: true,
+      session: {
+        id: session.id,
+        status: session.status,
+        payment_status: session.payment_status,
+        mode: session.mode
+      },
+      webhook,
+      entitlement: entitlement ? toPublicEntitlement(entitlement) : null
+    });
+  } catch (error) {
+    logger.error('❌ Failed to get checkout session status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get checkout session status'
     });
   }
 });
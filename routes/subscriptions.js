@@ -4,6 +4,7 @@ const User = require('../models/User');
 const Subscription = require('../models/Subscription');
 const { logger } = require('../utils/logger');
 const { validateSubscriptionRequest } = require('../middleware/validation');
+const { isValidLicenseKey } = require('../utils/licenseKeyFormat');
 
 const router = express.Router();
 
@@ -325,9 +326,8 @@ async function validateLicenseKey(licenseKey) {
   // TODO: Implement actual license key validation
   // This could involve checking against a database, external API, or cryptographic validation
   
-  // For now, simulate validation with a simple pattern
-  const licensePattern = /^UTM-[A-Z0-9]{8}-[A-Z0-9]{8}-[A-Z0-9]{8}$/;
-  return licensePattern.test(licenseKey);
+  // For now, simulate validation with the key format and check symbol
+  return isValidLicenseKey(licenseKey);
 }
 
 module.exports = router;
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// Usage: node scripts/generate-license-token-key.js [kid]
+// Prints a new Ed25519 key entry for LICENSE_TOKEN_KEYS. To rotate, put it first in the list and
+// replace the previous key's private_key with its public_key until the tokens it signed have expired.
+function run() {
+  const kid = process.argv[2] || new Date().toISOString().slice(0, 10);
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+
+  const entry = {
+    kid,
+    private_key: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+    public_key: publicKey.export({ format: 'pem', type: 'spki' })
+  };
+
+  console.log(JSON.stringify(entry, null, 2));
+  return entry;
+}
+
+// Run if called directly
+if (require.main === module) {
+  run();
+}
+
+module.exports = { run };
@@ -0,0 +1,31 @@
+require('dotenv').config();
+const { logger } = require('../utils/logger');
+const LicenseKey = require('../models/LicenseKey');
+
+// Usage: node scripts/hash-license-keys.js [--dry-run]
+// Replaces license keys stored in plain text with their digest and display prefix.
+// Run with the LICENSE_KEY_SECRET the server uses, or the keys won't be found afterwards.
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  LicenseKey.getKeySecret();
+
+  const report = await LicenseKey.hashPlaintextKeys({ dryRun });
+
+  console.log(JSON.stringify({ dryRun, ...report }, null, 2));
+  return report;
+}
+
+// Run if called directly
+if (require.main === module) {
+  run()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('💥 License key hashing failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,26 @@
+require('dotenv').config();
+const { logger } = require('../utils/logger');
+const { syncStripePlans } = require('../services/planSync');
+
+// Usage: node scripts/sync-stripe-plans.js [--dry-run]
+async function run() {
+  const dryRun = process.argv.includes('--dry-run');
+  const report = await syncStripePlans({ dryRun });
+
+  console.log(JSON.stringify(report, null, 2));
+  return report;
+}
+
+// Run if called directly
+if (require.main === module) {
+  run()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      logger.error('💥 Stripe plan sync failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { run };
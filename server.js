@@ -9,13 +9,16 @@ const { initializeFirebase } = require('./config/firebase');
 
 const authRoutes = require('./src/routes/auth');
 const subscriptionRoutes = require('./src/routes/subscription');
-const webhookRoutes = require('./src/routes/webhooks');
 const userRoutes = require('./routes/users');
 const paywallRoutes = require('./routes/paywall');
 const adminRoutes = require('./routes/admin');
 const stripeWebhookRoutes = require('./routes/stripeWebhooks');
+const checkoutPageRoutes = require('./routes/checkoutPages');
 const { errorHandler } = require('./middleware/errorHandler');
 const { logger } = require('./utils/logger');
+const { scheduleReconciliation } = require('./services/subscriptionReconciliation');
+const { getConfiguredTokenKeys } = require('./services/licenseTokens');
+const LicenseKey = require('./models/LicenseKey');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -26,6 +29,10 @@ app.set('trust proxy', 1);
 // Initialize Firebase Admin SDK (used by src routes/middleware)
 initializeFirebase();
 
+// Fail fast on a missing license key secret or malformed license token keys
+LicenseKey.getKeySecret();
+getConfiguredTokenKeys();
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
@@ -71,49 +78,8 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Stripe checkout success page
-app.get('/success', (req, res) => {
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Payment Successful</title>
-      <style>
-        body { font-family: Arial, sans-serif; text-align: center; padding: 50px; }
-        .success { color: #28a745; }
-        .message { margin: 20px 0; }
-      </style>
-    </head>
-    <body>
-      <h1 class="success">✅ Payment Successful!</h1>
-      <p class="message">Your subscription has been activated. You can now close this window and return to the app.</p>
-      <p><small>You can close this window now.</small></p>
-    </body>
-    </html>
-  `);
-});
-
-// Stripe checkout cancel page
-app.get('/cancel', (req, res) => {
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Payment Cancelled</title>
-      <style>
-        body { font-family: Arial, sans-serif; text-align: center; padding: 50px; }
-        .cancel { color: #dc3545; }
-        .message { margin: 20px 0; }
-      </style>
-    </head>
-    <body>
-      <h1 class="cancel">❌ Payment Cancelled</h1>
-      <p class="message">Your payment was cancelled. You can try again anytime.</p>
-      <p><small>You can close this window now.</small></p>
-    </body>
-    </html>
-  `);
-});
+// Stripe checkout success and cancel pages
+app.use('/', checkoutPageRoutes);
 
 // API Routes
 app.use('/api/auth', authRoutes);
@@ -142,6 +108,9 @@ app.listen(PORT, () => {
   logger.info(`🔗 Health check: http://localhost:${PORT}/health`);
 });
 
+// Scheduled jobs
+scheduleReconciliation();
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
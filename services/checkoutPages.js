@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+
+const { stripe } = require('../config/stripe');
+const { logger } = require('../utils/logger');
+const StripePlan = require('../models/StripePlan');
+const { getCheckoutProcessingState, getCheckoutEntitlement } = require('./checkoutStatus');
+
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, '../templates/checkout');
+const DEFAULT_LOCALE = 'en';
+const DEFAULT_DEEP_LINK_BASE = 'utm://checkout';
+
+// Locale tags we look up templates for, e.g. "de" or "pt-BR"
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+
+// Directory holding the page templates, with optional per-locale subdirectories
+function getTemplateDir() {
+  return process.env.CHECKOUT_TEMPLATE_DIR || DEFAULT_TEMPLATE_DIR;
+}
+
+// Locales with their own template subdirectory, e.g. templates/checkout/de
+function getAvailableLocales(templateDir = getTemplateDir()) {
+  try {
+    return fs.readdirSync(templateDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Read a page template, preferring the locale's copy over the default one
+function loadTemplate(name, locale, templateDir = getTemplateDir()) {
+  const candidates = [];
+  if (locale && LOCALE_PATTERN.test(locale)) {
+    candidates.push(path.join(templateDir, locale, `${name}.html`));
+    const language = locale.split('-')[0];
+    if (language !== locale) {
+      candidates.push(path.join(templateDir, language, `${name}.html`));
+    }
+  }
+  candidates.push(path.join(templateDir, `${name}.html`));
+
+  const file = candidates.find(candidate => fs.existsSync(candidate));
+  if (!file) {
+    throw new Error(`Checkout page template not found: ${name}`);
+  }
+
+  return fs.readFileSync(file, 'utf8');
+}
+
+// Escape a value for use in HTML text and attributes
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Render a template. Supports {{name}} values and {{#name}}...{{/name}} / {{^name}}...{{/name}} sections.
+// Sections may be nested.
+function renderTemplate(template, data) {
+  const sectionPattern = /{{([#^])(\w+)}}([\s\S]*?){{\/\2}}/g;
+  let output = template;
+  let previous;
+
+  do {
+    previous = output;
+    output = output.replace(sectionPattern, (match, type, key, content) => {
+      const truthy = !!data[key];
+      return (type === '#') === truthy ? content : '';
+    });
+  } while (output !== previous);
+
+  return output.replace(/{{(\w+)}}/g, (match, key) => {
+    const value = data[key];
+    return value === null || value === undefined ? '' : escapeHtml(value);
+  });
+}
+
+// Format a date for display in the page's locale
+function formatDate(date, locale) {
+  if (!date) return null;
+
+  try {
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(new Date(date));
+  } catch (error) {
+    return new Intl.DateTimeFormat(DEFAULT_LOCALE, { dateStyle: 'long' }).format(new Date(date));
+  }
+}
+
+// Deep link that takes the user back to the app
+function buildDeepLink(page, params = {}) {
+  const base = (process.env.CHECKOUT_DEEP_LINK_BASE || DEFAULT_DEEP_LINK_BASE).replace(/\/$/, '');
+  const query = new URLSearchParams(params).toString();
+  return `${base}/${page}${query ? `?${query}` : ''}`;
+}
+
+// Template data for the success page: session, processing state, plan and next billing date
+async function buildSuccessPageData(sessionId, locale, options = {}) {
+  const stripeClient = options.stripeClient || stripe;
+  const data = {
+    locale,
+    session_id: sessionId,
+    deep_link: buildDeepLink('success', sessionId ? { session_id: sessionId } : {}),
+    found: false,
+    processed: false
+  };
+
+  if (!sessionId) {
+    return data;
+  }
+
+  let session;
+  try {
+    session = await stripeClient.checkout.sessions.retrieve(sessionId);
+  } catch (error) {
+    if (error.code !== 'resource_missing') throw error;
+    return data;
+  }
+
+  const { processed } = await getCheckoutProcessingState(session);
+  const plan = session.metadata?.price_id
+    ? await StripePlan.getByStripePriceId(session.metadata.price_id)
+    : null;
+  const entitlement = processed ? await getCheckoutEntitlement(session) : null;
+  const subscription = entitlement ? entitlement.subscription : null;
+
+  data.found = true;
+  data.processed = processed;
+  data.plan_name = plan ? plan.name : null;
+  data.lifetime = !!(entitlement && entitlement.isLifetime);
+  data.next_billing_date = subscription && subscription.willRenew()
+    ? formatDate(subscription.currentPeriodEnd, locale)
+    : null;
+  data.active_until = subscription && !data.lifetime && !subscription.willRenew()
+    ? formatDate(subscription.getActiveUntil(), locale)
+    : null;
+
+  return data;
+}
+
+// Render the success page for a checkout session
+async function renderSuccessPage(sessionId, locale, options = {}) {
+  const data = await buildSuccessPageData(sessionId, locale, options);
+  logger.info(`📄 Rendering checkout success page for session ${sessionId || 'none'} (processed: ${data.processed})`);
+  return renderTemplate(loadTemplate('success', locale), data);
+}
+
+// Render the cancel page
+function renderCancelPage(locale) {
+  return renderTemplate(loadTemplate('cancel', locale), {
+    locale,
+    deep_link: buildDeepLink('cancel')
+  });
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALE_PATTERN,
+  getAvailableLocales,
+  loadTemplate,
+  renderTemplate,
+  buildDeepLink,
+  buildSuccessPageData,
+  renderSuccessPage,
+  renderCancelPage
+};
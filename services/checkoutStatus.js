@@ -0,0 +1,30 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const { resolveEntitlement } = require('./entitlements');
+
+// Whether our webhook has applied a checkout session yet.
+// Sessions are processed once complete and paid and no recorded event for them is still pending.
+async function getCheckoutProcessingState(session) {
+  const { events } = await WebhookEvent.getAll({ objectId: session.id, limit: 10 });
+
+  const paid = session.payment_status === 'paid' || session.payment_status === 'no_payment_required';
+  const pending = events.some(event => event.status === 'processing' || event.status === 'failed');
+  const handled = events.some(event => event.status === 'processed' || event.status === 'stale');
+
+  return {
+    processed: session.status === 'complete' && paid && handled && !pending,
+    status: events.length > 0 ? events[0].status : null
+  };
+}
+
+// Entitlement of the user or guest a checkout session was started for
+async function getCheckoutEntitlement(session) {
+  const metadata = session.metadata || {};
+  if (!metadata.uid && !metadata.guest_id) return null;
+
+  return resolveEntitlement({ uid: metadata.uid, deviceId: metadata.guest_id });
+}
+
+module.exports = {
+  getCheckoutProcessingState,
+  getCheckoutEntitlement
+};
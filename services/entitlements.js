@@ -0,0 +1,200 @@
+const { supabase } = require('../src/lib/supabase');
+const { logger } = require('../utils/logger');
+
+const Device = require('../models/Device');
+const UserSubscription = require('../models/UserSubscription');
+const PlanFeature = require('../models/PlanFeature');
+const { getConfiguredStores } = require('./webhookStores');
+
+// Access levels in order of precedence
+const ACCESS_RANK = {
+  lifetime: 3,
+  active: 2,
+  trial: 1,
+  none: 0
+};
+
+// Subscriptions in the Supabase subscriptions table carry no plan key; they get the pro plans' features
+const LEGACY_PLAN_KEYS = {
+  lifetime: 'pro_lifetime',
+  active: 'pro_monthly'
+};
+
+// Candidate entitlement from a user_subscriptions row
+function fromSubscription(subscription, source) {
+  let access = 'none';
+  if (subscription.isLifetime()) {
+    access = 'lifetime';
+  } else if (subscription.isActive()) {
+    access = 'active';
+  } else if (subscription.isTrial()) {
+    access = 'trial';
+  }
+
+  return {
+    access,
+    source: subscription.isLicense() ? 'license' : source,
+    status: subscription.getSubscriptionStatus(),
+    planKey: subscription.planId || null,
+    subscription,
+    trialStart: subscription.trialStart,
+    trialEnd: subscription.trialEnd
+  };
+}
+
+// Candidate entitlement from a guest device's own trial
+function fromDeviceTrial(device) {
+  if (!device.isTrialActive()) return null;
+
+  return {
+    access: 'trial',
+    source: 'device_trial',
+    status: 'trial',
+    planKey: null,
+    subscription: null,
+    trialStart: device.trialStart,
+    trialEnd: device.trialEnd
+  };
+}
+
+// Candidate entitlement from the Supabase users/subscriptions tables (v_user_entitlement)
+function fromLegacyEntitlement(entitlement) {
+  if (!entitlement) return null;
+
+  const access = entitlement.has_lifetime ? 'lifetime' : (entitlement.has_active_sub ? 'active' : null);
+  if (!access) return null;
+
+  return {
+    access,
+    source: 'legacy',
+    status: 'active',
+    planKey: LEGACY_PLAN_KEYS[access],
+    subscription: null,
+    trialStart: null,
+    trialEnd: null
+  };
+}
+
+// Pick the candidate with the most access: lifetime > active > trial.
+// Ties and candidates without access keep their order, so the user's own subscription wins over the device's.
+function pickEntitlement(candidates) {
+  return candidates
+    .filter(Boolean)
+    .reduce((best, candidate) => {
+      if (!best || ACCESS_RANK[candidate.access] > ACCESS_RANK[best.access]) return candidate;
+      return best;
+    }, null);
+}
+
+// Whether the Supabase subscriptions table is kept up to date and should be consulted
+function usesLegacySubscriptions() {
+  return getConfiguredStores().some(store => store.name === 'supabase_subscriptions');
+}
+
+// Read v_user_entitlement for a Supabase user, by ID or Firebase UID
+async function getLegacyEntitlement({ uid, supabaseUserId }) {
+  let userId = supabaseUserId;
+
+  if (!userId) {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id')
+      .eq('firebase_uid', uid)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user) return null;
+    userId = user.id;
+  }
+
+  const { data, error } = await supabase
+    .from('v_user_entitlement')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Resolve what a user and/or guest device is entitled to from every source:
+// the user's subscriptions (Stripe, lifetime and licenses), the device's subscriptions, the device trial
+// and the Supabase subscriptions table. deviceId is the devices.id (guest_id).
+async function resolveEntitlement({ uid = null, deviceId = null, supabaseUserId = null } = {}) {
+  try {
+    const candidates = [];
+
+    // A user or device can hold their own subscription and licenses next to it; every one counts
+    if (uid) {
+      const subscriptions = await UserSubscription.getAllByUid(uid);
+      subscriptions.forEach(subscription => candidates.push(fromSubscription(subscription, 'subscription')));
+    }
+
+    let device = null;
+    if (deviceId) {
+      device = await Device.getById(deviceId);
+      if (device) {
+        const subscriptions = await UserSubscription.getAllByDeviceId(device.id);
+        subscriptions.forEach(subscription => candidates.push(fromSubscription(subscription, 'device_subscription')));
+        candidates.push(fromDeviceTrial(device));
+      }
+    }
+
+    if (supabaseUserId || (uid && usesLegacySubscriptions())) {
+      candidates.push(fromLegacyEntitlement(await getLegacyEntitlement({ uid, supabaseUserId })));
+    }
+
+    const best = pickEntitlement(candidates);
+    const access = best ? best.access : 'none';
+    const subscription = best ? best.subscription : null;
+    const planKey = best ? best.planKey : null;
+
+    return {
+      access,
+      status: best ? best.status : 'none',
+      source: best ? best.source : null,
+      hasAccess: access !== 'none',
+      isActive: access === 'lifetime' || access === 'active',
+      isLifetime: access === 'lifetime',
+      isTrial: access === 'trial',
+      planKey,
+      subscription,
+      device,
+      trialStart: best ? best.trialStart : null,
+      trialEnd: best ? best.trialEnd : null,
+      features: await PlanFeature.getFeatureSet(PlanFeature.getPlanKeyForAccess(access, planKey))
+    };
+  } catch (error) {
+    logger.error('❌ Failed to resolve entitlement:', error);
+    throw error;
+  }
+}
+
+// Convert a resolved entitlement to the shape returned by the status endpoints
+function toPublicEntitlement(entitlement) {
+  const { subscription } = entitlement;
+
+  return {
+    status: entitlement.status,
+    source: entitlement.source,
+    isActive: entitlement.isActive,
+    isLifetime: entitlement.isLifetime,
+    isTrial: entitlement.isTrial,
+    trialStart: entitlement.trialStart,
+    trialEnd: entitlement.trialEnd,
+    currentPeriodEnd: subscription ? subscription.currentPeriodEnd : null,
+    willRenew: subscription ? subscription.willRenew() : false,
+    activeUntil: subscription ? subscription.getActiveUntil() : null,
+    licenseKey: subscription && subscription.isLicense() ? {
+      plan_id: entitlement.planKey,
+      expires_at: null // License keys don't have expiry in subscription
+    } : null,
+    features: entitlement.features
+  };
+}
+
+module.exports = {
+  pickEntitlement,
+  resolveEntitlement,
+  toPublicEntitlement
+};
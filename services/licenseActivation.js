@@ -0,0 +1,192 @@
+const { logger } = require('../utils/logger');
+
+const LicenseActivation = require('../models/LicenseActivation');
+const UserSubscription = require('../models/UserSubscription');
+
+// Times each seat of a license key can be moved by its owner per transfer period
+const DEFAULT_TRANSFER_LIMIT = 3;
+const DEFAULT_TRANSFER_PERIOD_DAYS = 365;
+
+// Read a positive integer setting from the environment
+function getPositiveInteger(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Configured transfer limit per seat and period (LICENSE_TRANSFER_LIMIT, LICENSE_TRANSFER_PERIOD_DAYS)
+function getTransferPolicy() {
+  return {
+    limit: getPositiveInteger(process.env.LICENSE_TRANSFER_LIMIT, DEFAULT_TRANSFER_LIMIT),
+    periodDays: getPositiveInteger(process.env.LICENSE_TRANSFER_PERIOD_DAYS, DEFAULT_TRANSFER_PERIOD_DAYS)
+  };
+}
+
+// Plan ID of the subscriptions license keys grant
+const getLicensePlanId = (licenseKey) => `license_${licenseKey.planId}`;
+
+// Why a license key can't take another activation, or null if it can
+function getActivationIssue(licenseKey, activeActivations) {
+  if (licenseKey.isRevoked()) return 'License key has been revoked';
+  if (licenseKey.isExpired()) return 'License key has expired';
+  if (activeActivations >= licenseKey.maxActivations) {
+    return licenseKey.maxActivations === 1
+      ? 'License key has already been redeemed'
+      : 'License key has no activations left';
+  }
+  return null;
+}
+
+// Latest subscription of a user or device granted by this key's plan.
+// The user's own subscription is a separate row and is never touched.
+async function getLicenseSubscription(licenseKey, { uid = null, deviceId = null }) {
+  const subscriptions = uid
+    ? await UserSubscription.getAllByUid(uid)
+    : await UserSubscription.getAllByDeviceId(deviceId);
+
+  return subscriptions.find(subscription => subscription.planId === getLicensePlanId(licenseKey)) || null;
+}
+
+// Activate a license key for a user (uid) or guest device (deviceId, the devices.id).
+// Activating again on the same user or device reuses its seat. Returns { reason } if no seat can be taken.
+async function activateLicense(licenseKey, { uid = null, deviceId = null }) {
+  try {
+    const identity = { uid, deviceId: uid ? null : deviceId };
+
+    if (licenseKey.isRevoked()) return { reason: 'License key has been revoked' };
+    if (licenseKey.isExpired()) return { reason: 'License key has expired' };
+
+    let activation = await LicenseActivation.getActive(licenseKey.id, identity);
+    const created = !activation;
+
+    if (created) {
+      const activeActivations = await LicenseActivation.countActive(licenseKey.id);
+      const reason = getActivationIssue(licenseKey, activeActivations);
+      if (reason) return { reason };
+
+      // The database enforces the seat limit when activations race
+      activation = await LicenseActivation.create(licenseKey.id, identity);
+      if (!activation) {
+        return { reason: getActivationIssue(licenseKey, licenseKey.maxActivations) };
+      }
+
+      await licenseKey.redeem(identity.uid, identity.deviceId);
+    }
+
+    let subscription = await getLicenseSubscription(licenseKey, identity);
+    if (!subscription || subscription.status !== 'active') {
+      subscription = await UserSubscription.create({
+        plan_id: getLicensePlanId(licenseKey),
+        status: 'active',
+        trial_start: null,
+        trial_end: null,
+        ...(identity.uid ? { uid: identity.uid } : { device_id: identity.deviceId })
+      });
+    }
+
+    logger.info(`✅ Activated license key ${licenseKey.id} (activation ${activation.id})`);
+    return { activation, subscription, created };
+  } catch (error) {
+    logger.error('❌ Failed to activate license key:', error);
+    throw error;
+  }
+}
+
+// End the license subscription a deactivated activation granted
+async function cancelLicenseSubscription(licenseKey, activation) {
+  const subscription = await getLicenseSubscription(licenseKey, {
+    uid: activation.uid,
+    deviceId: activation.deviceId
+  });
+  if (subscription && subscription.status === 'active') {
+    await subscription.updateStatus('canceled', { canceled_at: activation.deactivatedAt });
+  }
+}
+
+// Free a seat on a license key and end the license subscription it granted.
+// deactivatedBy is 'owner' for transfers or 'admin'.
+async function deactivateActivation(licenseKey, activation, deactivatedBy = 'admin') {
+  try {
+    await activation.deactivate(deactivatedBy);
+    await cancelLicenseSubscription(licenseKey, activation);
+
+    logger.info(`✅ Deactivated license key ${licenseKey.id} (activation ${activation.id})`);
+    return activation;
+  } catch (error) {
+    logger.error('❌ Failed to deactivate license key:', error);
+    throw error;
+  }
+}
+
+// Revoke a license key: every seat is freed and the license subscriptions it granted end
+async function revokeLicense(licenseKey) {
+  try {
+    // Revoked first, so no new seat is taken while the existing ones are freed
+    await licenseKey.revoke();
+
+    const activations = await LicenseActivation.deactivateAll(licenseKey.id, 'revoked');
+    for (const activation of activations) {
+      await cancelLicenseSubscription(licenseKey, activation);
+    }
+
+    logger.info(`✅ Revoked license key ${licenseKey.id} (${activations.length} activations)`);
+    return activations;
+  } catch (error) {
+    logger.error('❌ Failed to revoke license key:', error);
+    throw error;
+  }
+}
+
+// Owner transfers of a license key in the current period. Every seat adds the configured limit.
+async function getTransferAllowance(licenseKey, now = Date.now()) {
+  const { limit, periodDays } = getTransferPolicy();
+  const since = new Date(now - periodDays * 24 * 60 * 60 * 1000).toISOString();
+  const used = await LicenseActivation.countDeactivations(licenseKey.id, { deactivatedBy: 'owner', since });
+  const total = limit * licenseKey.maxActivations;
+
+  return {
+    used,
+    limit: total,
+    remaining: Math.max(total - used, 0),
+    period_days: periodDays
+  };
+}
+
+// Owner deactivation, so the seat can be activated on another device.
+// Returns { reason } once the key's transfers for the period are used up.
+async function transferActivation(licenseKey, activation) {
+  try {
+    const transfers = await getTransferAllowance(licenseKey);
+    if (transfers.remaining === 0) {
+      return {
+        reason: `License key transfer limit reached (${transfers.limit} per ${transfers.period_days} days)`,
+        transfers
+      };
+    }
+
+    await deactivateActivation(licenseKey, activation, 'owner');
+
+    return {
+      activation,
+      transfers: { ...transfers, used: transfers.used + 1, remaining: transfers.remaining - 1 }
+    };
+  } catch (error) {
+    logger.error('❌ Failed to transfer license activation:', error);
+    throw error;
+  }
+}
+
+// Seats used and available on a license key
+async function getActivationCounts(licenseKey) {
+  const used = await LicenseActivation.countActive(licenseKey.id);
+  return { used, max: licenseKey.maxActivations };
+}
+
+module.exports = {
+  getActivationIssue,
+  activateLicense,
+  deactivateActivation,
+  revokeLicense,
+  getTransferAllowance,
+  transferActivation,
+  getActivationCounts
+};
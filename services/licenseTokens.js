@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const PlanFeature = require('../models/PlanFeature');
+
+const TOKEN_ALGORITHM = 'EdDSA';
+const TOKEN_ISSUER = 'utm-paywall';
+const DEFAULT_TOKEN_TTL_DAYS = 30;
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// Error for tokens that are malformed, unsigned by a published key or expired
+class LicenseTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LicenseTokenError';
+  }
+}
+
+// Signing keys from LICENSE_TOKEN_KEYS, newest first.
+// Each entry has a kid and a PEM private_key, or only a public_key for retired keys that still verify.
+function loadTokenKeys(raw = process.env.LICENSE_TOKEN_KEYS) {
+  if (!raw) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`LICENSE_TOKEN_KEYS is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error('LICENSE_TOKEN_KEYS must be a JSON array of keys');
+  }
+
+  return entries.map((entry) => {
+    if (!entry || !entry.kid || (!entry.private_key && !entry.public_key)) {
+      throw new Error('Every LICENSE_TOKEN_KEYS entry needs a kid and a private_key or public_key');
+    }
+
+    const privateKey = entry.private_key
+      ? crypto.createPrivateKey(entry.private_key.replace(/\\n/g, '\n'))
+      : null;
+    const publicKey = privateKey
+      ? crypto.createPublicKey(privateKey)
+      : crypto.createPublicKey(entry.public_key.replace(/\\n/g, '\n'));
+
+    if (publicKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error(`License token key ${entry.kid} is not an Ed25519 key`);
+    }
+
+    return { kid: entry.kid, privateKey, publicKey };
+  });
+}
+
+// Configured keys, parsed once
+let configuredKeys = null;
+
+// Keys from LICENSE_TOKEN_KEYS. Loaded at startup, so a malformed configuration
+// stops the server instead of failing redemptions after a seat is taken.
+function getConfiguredTokenKeys() {
+  if (!configuredKeys) {
+    configuredKeys = loadTokenKeys();
+  }
+  return configuredKeys;
+}
+
+// Key new tokens are signed with: the first key that has a private key
+function getSigningKey(keys = getConfiguredTokenKeys()) {
+  return keys.find(key => key.privateKey) || null;
+}
+
+// Whether license tokens can be issued
+function isLicenseTokenEnabled(keys = getConfiguredTokenKeys()) {
+  return !!getSigningKey(keys);
+}
+
+// Public keys as a JWK set, for apps to verify tokens offline
+function getPublicKeySet(keys = getConfiguredTokenKeys()) {
+  return {
+    keys: keys.map(key => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: TOKEN_ALGORITHM,
+      use: 'sig'
+    }))
+  };
+}
+
+// Sign claims as a compact JWS (header.payload.signature)
+function signToken(claims, keys = getConfiguredTokenKeys()) {
+  const signingKey = getSigningKey(keys);
+  if (!signingKey) {
+    throw new Error('License token signing key is not configured');
+  }
+
+  const header = { alg: TOKEN_ALGORITHM, typ: 'JWT', kid: signingKey.kid };
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), signingKey.privateKey);
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+// Verify a token against the published keys and return its claims.
+// Expired tokens are accepted with ignoreExpiration so they can be refreshed.
+function verifyLicenseToken(token, { keys = getConfiguredTokenKeys(), ignoreExpiration = false, now = Date.now() } = {}) {
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3) {
+    throw new LicenseTokenError('Malformed license token');
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(segments[0]);
+    claims = decodeSegment(segments[1]);
+  } catch (error) {
+    throw new LicenseTokenError('Malformed license token');
+  }
+
+  const key = keys.find(candidate => candidate.kid === header.kid);
+  if (header.alg !== TOKEN_ALGORITHM || !key) {
+    throw new LicenseTokenError('License token is not signed by a known key');
+  }
+
+  const signingInput = Buffer.from(`${segments[0]}.${segments[1]}`);
+  if (!crypto.verify(null, signingInput, key.publicKey, Buffer.from(segments[2], 'base64url'))) {
+    throw new LicenseTokenError('Invalid license token signature');
+  }
+
+  if (claims.iss !== TOKEN_ISSUER) {
+    throw new LicenseTokenError('License token has an unknown issuer');
+  }
+
+  if (!ignoreExpiration && claims.exp * 1000 <= now) {
+    throw new LicenseTokenError('License token has expired');
+  }
+
+  return claims;
+}
+
+// Token lifetime in seconds (LICENSE_TOKEN_TTL_DAYS)
+function getTokenTtl() {
+  const days = parseInt(process.env.LICENSE_TOKEN_TTL_DAYS, 10);
+  return (Number.isInteger(days) && days > 0 ? days : DEFAULT_TOKEN_TTL_DAYS) * 24 * 60 * 60;
+}
+
+// Issue a signed token for a redeemed license key and the user or device it is bound to.
+// The token expires after the TTL, or earlier when the license key does.
+async function issueLicenseToken(licenseKey, { uid = null, deviceId = null, keys = getConfiguredTokenKeys(), now = Date.now() } = {}) {
+  try {
+    const issuedAt = Math.floor(now / 1000);
+    let expiresAt = issuedAt + getTokenTtl();
+
+    if (licenseKey.expiresAt) {
+      expiresAt = Math.min(expiresAt, Math.floor(new Date(licenseKey.expiresAt).getTime() / 1000));
+    }
+
+    const planKey = `license_${licenseKey.planId}`;
+    const claims = {
+      iss: TOKEN_ISSUER,
+      sub: licenseKey.id,
+      plan: licenseKey.planId,
+      uid,
+      device_id: deviceId,
+      features: await PlanFeature.getFeatureSet(planKey),
+      license_expires_at: licenseKey.expiresAt || null,
+      iat: issuedAt,
+      exp: expiresAt
+    };
+
+    return {
+      token: signToken(claims, keys),
+      expiresAt: new Date(expiresAt * 1000).toISOString()
+    };
+  } catch (error) {
+    logger.error('❌ Failed to issue license token:', error);
+    throw error;
+  }
+}
+
+// Why a license key no longer backs a token, or null if it still does.
+// activation is the key's active activation for the token's user or device.
+function getLicenseTokenIssue(licenseKey, activation) {
+  if (!licenseKey || licenseKey.isRevoked()) return 'License key is no longer valid';
+  if (licenseKey.isExpired()) return 'License key has expired';
+  if (!activation) return 'License key is no longer activated for this user or device';
+  return null;
+}
+
+module.exports = {
+  LicenseTokenError,
+  loadTokenKeys,
+  getConfiguredTokenKeys,
+  isLicenseTokenEnabled,
+  getPublicKeySet,
+  verifyLicenseToken,
+  issueLicenseToken,
+  getLicenseTokenIssue
+};
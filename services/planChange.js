@@ -0,0 +1,218 @@
+const { stripe } = require('../config/stripe');
+const { logger } = require('../utils/logger');
+const { getSubscriptionPriceId, fromUnixTime } = require('./stripeResolvers');
+const { selectPlanPrice } = require('./pricing');
+
+const StripePlan = require('../models/StripePlan');
+
+// Stripe won't take a card payment below this amount (in cents)
+const MIN_CHARGE_AMOUNT = 50;
+
+// Checkout sessions expire after 24 hours, and so does the credit coupon of an unfinished upgrade
+const CREDIT_COUPON_TTL_SECONDS = 24 * 60 * 60;
+
+// Get the first item of a Stripe subscription
+function getSubscriptionItem(stripeSubscription) {
+  return stripeSubscription.items?.data?.[0] || null;
+}
+
+// Currency the subscription is billed in, and so the currency of its unused credit
+function getSubscriptionCurrency(stripeSubscription) {
+  return getSubscriptionItem(stripeSubscription)?.price?.currency || stripeSubscription.currency || null;
+}
+
+// Price of a lifetime plan in the subscription's currency, so the credit can be deducted from it.
+// Returns null if the plan has no price in that currency.
+async function getLifetimePriceFor(stripeSubscription, plan) {
+  const currency = getSubscriptionCurrency(stripeSubscription);
+  if (!currency || plan.currency === currency) return plan;
+
+  const price = selectPlanPrice(await StripePlan.getAll({ planKey: plan.planKey, active: true }), currency);
+  return price && price.currency === currency ? price : null;
+}
+
+// Value of the unused part of the current paid period, in cents.
+// Needs the subscription retrieved with latest_invoice expanded.
+function calculateUnusedCredit(stripeSubscription, now = Math.floor(Date.now() / 1000)) {
+  const item = getSubscriptionItem(stripeSubscription);
+  const amount = item?.price?.unit_amount || 0;
+  const { current_period_start: start, current_period_end: end } = stripeSubscription;
+
+  // Nothing has been paid for a trial, or for a past_due period whose invoice is still open
+  const periodPaid = stripeSubscription.status !== 'trialing' && stripeSubscription.latest_invoice?.status === 'paid';
+  if (!periodPaid || !amount || !start || !end || end <= now) {
+    return 0;
+  }
+
+  const remaining = Math.min(end - now, end - start);
+  return Math.floor(amount * remaining / (end - start));
+}
+
+// Preview a switch to another recurring price.
+// Immediate changes are prorated; period-end changes only show the next renewal.
+async function previewRecurringChange(stripeSubscription, plan, options = {}) {
+  const stripeClient = options.stripeClient || stripe;
+  const item = getSubscriptionItem(stripeSubscription);
+  const immediate = options.timing !== 'period_end';
+  const prorationDate = options.prorationDate || Math.floor(Date.now() / 1000);
+
+  const invoice = await stripeClient.invoices.retrieveUpcoming({
+    customer: stripeSubscription.customer,
+    subscription: stripeSubscription.id,
+    subscription_items: [{ id: item.id, price: plan.stripePriceId }],
+    subscription_proration_behavior: immediate ? 'create_prorations' : 'none',
+    ...(immediate && { subscription_proration_date: prorationDate })
+  });
+
+  const prorationAmount = invoice.lines.data
+    .filter(line => line.proration)
+    .reduce((total, line) => total + line.amount, 0);
+
+  return {
+    timing: immediate ? 'immediate' : 'period_end',
+    proration_date: immediate ? prorationDate : null,
+    proration_amount: prorationAmount,
+    amount_due: invoice.amount_due,
+    currency: invoice.currency,
+    effective_at: immediate ? fromUnixTime(prorationDate) : fromUnixTime(stripeSubscription.current_period_end),
+    next_payment_at: fromUnixTime(invoice.next_payment_attempt || invoice.period_end)
+  };
+}
+
+// Switch a subscription to another recurring price now, with proration
+async function applyImmediateChange(stripeSubscription, plan, options = {}) {
+  const stripeClient = options.stripeClient || stripe;
+  const item = getSubscriptionItem(stripeSubscription);
+
+  // Drop a pending period-end change so it can't undo this one at renewal
+  if (stripeSubscription.schedule) {
+    await stripeClient.subscriptionSchedules.release(stripeSubscription.schedule);
+  }
+
+  const updated = await stripeClient.subscriptions.update(stripeSubscription.id, {
+    items: [{ id: item.id, price: plan.stripePriceId }],
+    proration_behavior: 'create_prorations',
+    ...(options.prorationDate && { proration_date: options.prorationDate }),
+    metadata: { ...stripeSubscription.metadata, plan_change: plan.planKey }
+  });
+
+  logger.info(`✅ Changed Stripe subscription ${stripeSubscription.id} to ${plan.stripePriceId}`);
+  return updated;
+}
+
+// Switch a subscription to another recurring price at renewal via a subscription schedule
+async function schedulePeriodEndChange(stripeSubscription, plan, options = {}) {
+  const stripeClient = options.stripeClient || stripe;
+  const currentPriceId = getSubscriptionPriceId(stripeSubscription);
+
+  const schedule = stripeSubscription.schedule
+    ? await stripeClient.subscriptionSchedules.retrieve(stripeSubscription.schedule)
+    : await stripeClient.subscriptionSchedules.create({ from_subscription: stripeSubscription.id });
+
+  const updated = await stripeClient.subscriptionSchedules.update(schedule.id, {
+    end_behavior: 'release',
+    phases: [
+      {
+        items: [{ price: currentPriceId, quantity: 1 }],
+        start_date: schedule.current_phase?.start_date || stripeSubscription.current_period_start,
+        end_date: stripeSubscription.current_period_end
+      },
+      {
+        items: [{ price: plan.stripePriceId, quantity: 1 }],
+        iterations: 1
+      }
+    ]
+  });
+
+  logger.info(`✅ Scheduled Stripe subscription ${stripeSubscription.id} to change to ${plan.stripePriceId} at period end`);
+  return updated;
+}
+
+// Lifetime upgrade price after crediting the unused subscription period.
+// The plan must be priced in the subscription's currency (see getLifetimePriceFor).
+function previewLifetimeUpgrade(stripeSubscription, plan) {
+  const unusedCredit = calculateUnusedCredit(stripeSubscription);
+  const credit = Math.max(0, Math.min(unusedCredit, plan.amount - MIN_CHARGE_AMOUNT));
+
+  return {
+    timing: 'immediate',
+    credit,
+    amount_due: plan.amount - credit,
+    currency: plan.currency
+  };
+}
+
+// Start a one-time checkout for a lifetime plan with the unused period credited.
+// The old subscription is cancelled once the payment completes.
+async function startLifetimeUpgrade(stripeSubscription, plan, options = {}) {
+  const stripeClient = options.stripeClient || stripe;
+  const preview = previewLifetimeUpgrade(stripeSubscription, plan);
+
+  const metadata = {
+    ...options.metadata,
+    price_id: plan.stripePriceId,
+    replaces_subscription_id: stripeSubscription.id
+  };
+
+  const sessionConfig = {
+    customer: stripeSubscription.customer,
+    payment_method_types: ['card'],
+    line_items: [{
+      price: plan.stripePriceId,
+      quantity: 1
+    }],
+    mode: 'payment',
+    success_url: options.successUrl,
+    cancel_url: options.cancelUrl,
+    metadata,
+    payment_intent_data: {
+      metadata
+    }
+  };
+
+  if (preview.credit > 0) {
+    const coupon = await stripeClient.coupons.create({
+      amount_off: preview.credit,
+      currency: plan.currency,
+      duration: 'once',
+      max_redemptions: 1,
+      redeem_by: Math.floor(Date.now() / 1000) + CREDIT_COUPON_TTL_SECONDS,
+      name: 'Unused subscription credit',
+      metadata: { replaces_subscription_id: stripeSubscription.id }
+    });
+    sessionConfig.discounts = [{ coupon: coupon.id }];
+  }
+
+  const session = await stripeClient.checkout.sessions.create(sessionConfig);
+
+  logger.info(`✅ Created lifetime upgrade checkout session ${session.id} for ${stripeSubscription.id}`);
+  return { session, ...preview };
+}
+
+// Cancel the subscription a lifetime purchase replaced. Safe to call more than once.
+async function cancelReplacedSubscription(subscriptionId, options = {}) {
+  const stripeClient = options.stripeClient || stripe;
+
+  const stripeSubscription = await stripeClient.subscriptions.retrieve(subscriptionId);
+  if (stripeSubscription.status === 'canceled') {
+    return stripeSubscription;
+  }
+
+  // The unused period was already credited at checkout
+  const cancelled = await stripeClient.subscriptions.cancel(subscriptionId, { prorate: false });
+
+  logger.info(`✅ Cancelled Stripe subscription ${subscriptionId} replaced by lifetime purchase`);
+  return cancelled;
+}
+
+module.exports = {
+  calculateUnusedCredit,
+  getSubscriptionCurrency,
+  getLifetimePriceFor,
+  previewRecurringChange,
+  applyImmediateChange,
+  schedulePeriodEndChange,
+  previewLifetimeUpgrade,
+  startLifetimeUpgrade,
+  cancelReplacedSubscription
+};
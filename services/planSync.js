@@ -0,0 +1,193 @@
+const { stripe } = require('../config/stripe');
+const { logger } = require('../utils/logger');
+
+const StripePlan = require('../models/StripePlan');
+
+const PAGE_SIZE = 100;
+
+// Fields of stripe_plans that are owned by Stripe and overwritten on sync
+const SYNCED_FIELDS = ['plan_key', 'name', 'period', 'amount', 'currency', 'stripe_product_id', 'product_name', 'metadata', 'active'];
+
+// Stripe recurring interval -> our plan period
+function getPlanPeriod(price) {
+  if (price.type === 'one_time') return 'lifetime';
+
+  const recurring = price.recurring || {};
+  if (recurring.interval_count && recurring.interval_count !== 1) return null;
+  if (recurring.interval === 'month') return 'monthly';
+  if (recurring.interval === 'year') return 'yearly';
+
+  return null;
+}
+
+// Build the stripe_plans row for a Stripe price (with expanded product), or the reason it cannot be imported
+function buildPlanData(price) {
+  const product = typeof price.product === 'object' && price.product ? price.product : {};
+  const metadata = { ...(product.metadata || {}), ...(price.metadata || {}) };
+
+  if (product.active === false || product.deleted) return { reason: 'Product is archived' };
+  if (!metadata.plan_key) return { reason: 'Missing plan_key metadata on price or product' };
+  if (price.unit_amount === null || price.unit_amount === undefined) return { reason: 'Price has no fixed unit amount' };
+
+  const period = getPlanPeriod(price);
+  if (!period) return { reason: `Unsupported billing interval: ${price.recurring?.interval_count} ${price.recurring?.interval}` };
+
+  return {
+    planData: {
+      stripe_price_id: price.id,
+      plan_key: metadata.plan_key,
+      name: price.nickname || product.name || metadata.plan_key,
+      period,
+      amount: price.unit_amount,
+      currency: price.currency,
+      stripe_product_id: product.id || price.product,
+      product_name: product.name || null,
+      metadata,
+      active: true
+    }
+  };
+}
+
+// List the fields that differ between a plan and the data synced from Stripe
+function diffPlan(plan, planData) {
+  const current = {
+    plan_key: plan.planKey,
+    name: plan.name,
+    period: plan.period,
+    amount: plan.amount,
+    currency: plan.currency,
+    stripe_product_id: plan.stripeProductId || null,
+    product_name: plan.productName || null,
+    metadata: plan.metadata,
+    active: plan.active
+  };
+
+  const changes = {};
+  SYNCED_FIELDS.forEach(field => {
+    if (JSON.stringify(current[field]) !== JSON.stringify(planData[field])) {
+      changes[field] = { from: current[field], to: planData[field] };
+    }
+  });
+
+  return changes;
+}
+
+// Group key for the versions of a plan
+function getVersionKey(planData) {
+  return `${planData.plan_key}:${planData.currency}`;
+}
+
+// Next version number for a new price of a plan_key and currency
+async function getNextVersion(planData) {
+  const versions = await StripePlan.getAll({ planKey: planData.plan_key, currency: planData.currency });
+  return versions.reduce((max, plan) => Math.max(max, plan.version), 0) + 1;
+}
+
+// Fetch every active Stripe price with its product
+async function listActivePrices(stripeClient) {
+  const prices = [];
+  let startingAfter;
+  let hasMore = true;
+
+  while (hasMore) {
+    const page = await stripeClient.prices.list({
+      active: true,
+      limit: PAGE_SIZE,
+      expand: ['data.product'],
+      ...(startingAfter && { starting_after: startingAfter })
+    });
+
+    prices.push(...page.data);
+    hasMore = !!page.has_more && page.data.length > 0;
+    startingAfter = page.data.length > 0 ? page.data[page.data.length - 1].id : startingAfter;
+  }
+
+  return prices;
+}
+
+// Import active Stripe prices into stripe_plans and archive prices that were replaced or removed from Stripe.
+// With dryRun enabled, the report is built without writing anything.
+async function syncStripePlans(options = {}) {
+  const stripeClient = options.stripeClient || stripe;
+  const dryRun = !!options.dryRun;
+
+  const report = {
+    dry_run: dryRun,
+    created: [],
+    updated: [],
+    deactivated: [],
+    unchanged: 0,
+    skipped: []
+  };
+
+  logger.info(`🔄 Syncing Stripe plans${dryRun ? ' (dry run)' : ''}`);
+
+  const prices = await listActivePrices(stripeClient);
+  const activePriceIds = new Set(prices.map(price => price.id));
+  const archivedAt = new Date().toISOString();
+
+  const entries = [];
+  for (const price of prices) {
+    const { planData, reason } = buildPlanData(price);
+    if (!planData) {
+      report.skipped.push({ stripe_price_id: price.id, reason });
+      continue;
+    }
+    entries.push({ price, planData });
+  }
+
+  // The newest price of a plan_key and currency is its current version; older ones are archived
+  // so only existing subscribers keep them
+  entries.sort((a, b) => (a.price.created || 0) - (b.price.created || 0));
+  const currentPriceIds = new Map();
+  entries.forEach(({ price, planData }) => currentPriceIds.set(getVersionKey(planData), price.id));
+
+  for (const { price, planData } of entries) {
+    planData.active = currentPriceIds.get(getVersionKey(planData)) === price.id;
+
+    const plan = await StripePlan.getByStripePriceId(price.id);
+
+    if (!plan) {
+      const createData = {
+        ...planData,
+        version: await getNextVersion(planData),
+        archived_at: planData.active ? null : archivedAt
+      };
+      if (!dryRun) await StripePlan.create(createData);
+      report.created.push({ stripe_price_id: price.id, plan_key: planData.plan_key, version: createData.version });
+      continue;
+    }
+
+    const changes = diffPlan(plan, planData);
+    if (Object.keys(changes).length === 0) {
+      report.unchanged++;
+      continue;
+    }
+
+    if (!dryRun) {
+      const updateData = {};
+      Object.keys(changes).forEach(field => { updateData[field] = planData[field]; });
+      if (changes.active) updateData.archived_at = planData.active ? null : archivedAt;
+      await plan.update(updateData);
+    }
+    report.updated.push({ stripe_price_id: price.id, plan_key: planData.plan_key, changes });
+  }
+
+  // Prices that are gone from Stripe are kept for existing subscribers but no longer offered
+  const activePlans = await StripePlan.getAll({ active: true });
+  for (const plan of activePlans) {
+    if (activePriceIds.has(plan.stripePriceId)) continue;
+
+    if (!dryRun) await plan.update({ active: false, archived_at: archivedAt });
+    report.deactivated.push({ stripe_price_id: plan.stripePriceId, plan_key: plan.planKey });
+  }
+
+  logger.info(`✅ Stripe plan sync finished: ${report.created.length} created, ${report.updated.length} updated, ` +
+    `${report.deactivated.length} deactivated, ${report.unchanged} unchanged, ${report.skipped.length} skipped`);
+
+  return report;
+}
+
+module.exports = {
+  syncStripePlans
+};
@@ -0,0 +1,105 @@
+const StripePlan = require('../models/StripePlan');
+
+// Headers carrying the caller's ISO country code: our own hint first, then the CDN's
+const COUNTRY_HEADERS = ['x-country-code', 'cf-ipcountry'];
+
+const EURO_COUNTRIES = [
+  'AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT',
+  'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'
+];
+
+// Local currency per country, for countries we may price regionally
+const COUNTRY_CURRENCIES = {
+  US: 'usd',
+  GB: 'gbp',
+  CA: 'cad',
+  AU: 'aud',
+  NZ: 'nzd',
+  JP: 'jpy',
+  IN: 'inr',
+  BR: 'brl',
+  MX: 'mxn',
+  CH: 'chf',
+  SE: 'sek',
+  NO: 'nok',
+  DK: 'dkk',
+  PL: 'pln',
+  ...Object.fromEntries(EURO_COUNTRIES.map(country => [country, 'eur']))
+};
+
+// Read the country hint from the request headers
+function getRequestCountry(req) {
+  for (const header of COUNTRY_HEADERS) {
+    const value = req.get(header);
+    if (value && /^[A-Za-z]{2}$/.test(value)) {
+      return value.toUpperCase();
+    }
+  }
+
+  return null;
+}
+
+// Local currency of a country, or null if we don't know it
+function getCurrencyForCountry(country) {
+  return (country && COUNTRY_CURRENCIES[country.toUpperCase()]) || null;
+}
+
+// Currency to price a request in: the explicit one, else the country's, else null
+function resolveRequestCurrency(req, currency) {
+  if (currency) {
+    return { currency: currency.toLowerCase(), country: getRequestCountry(req), explicit: true };
+  }
+
+  const country = getRequestCountry(req);
+  return { currency: getCurrencyForCountry(country), country, explicit: false };
+}
+
+// Keep only the latest version of each plan_key and currency
+function getCurrentVersions(plans) {
+  const current = new Map();
+  plans.forEach(plan => {
+    const key = `${plan.planKey}:${plan.currency}`;
+    if (!current.has(key) || plan.version > current.get(key).version) {
+      current.set(key, plan);
+    }
+  });
+
+  return plans.filter(plan => current.get(`${plan.planKey}:${plan.currency}`) === plan);
+}
+
+// Pick the price of a plan in a currency, falling back to the default currency and then any price
+function selectPlanPrice(plans, currency) {
+  const current = getCurrentVersions(plans);
+  return current.find(plan => plan.currency === currency) ||
+    current.find(plan => plan.currency === StripePlan.getDefaultCurrency()) ||
+    current[0] ||
+    null;
+}
+
+// Group plan rows by plan_key with the price for the currency and every available currency
+function groupPlans(plans, currency) {
+  const groups = new Map();
+  getCurrentVersions(plans).forEach(plan => {
+    if (!groups.has(plan.planKey)) groups.set(plan.planKey, []);
+    groups.get(plan.planKey).push(plan);
+  });
+
+  return Array.from(groups.values()).map(prices => ({
+    ...selectPlanPrice(prices, currency).toPublicJSON(),
+    prices: prices.map(price => ({
+      id: price.stripePriceId,
+      amount: price.amount,
+      currency: price.currency,
+      formatted_price: price.getFormattedPrice()
+    }))
+  }));
+}
+
+module.exports = {
+  getRequestCountry,
+  getCurrencyForCountry,
+  resolveRequestCurrency,
+  getCurrentVersions,
+  selectPlanPrice,
+  groupPlans
+};
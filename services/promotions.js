@@ -0,0 +1,196 @@
+const { stripe } = require('../config/stripe');
+const { logger } = require('../utils/logger');
+const { fromUnixTime } = require('./stripeResolvers');
+
+// Admin view of a Stripe coupon with its usage
+function formatCoupon(coupon) {
+  return {
+    id: coupon.id,
+    name: coupon.name,
+    percent_off: coupon.percent_off,
+    amount_off: coupon.amount_off,
+    currency: coupon.currency,
+    duration: coupon.duration,
+    duration_in_months: coupon.duration_in_months,
+    applies_to_products: coupon.applies_to ? coupon.applies_to.products : null,
+    valid: coupon.valid,
+    times_redeemed: coupon.times_redeemed,
+    max_redemptions: coupon.max_redemptions,
+    redeem_by: fromUnixTime(coupon.redeem_by),
+    created_at: fromUnixTime(coupon.created)
+  };
+}
+
+// Admin view of a Stripe promotion code with its usage
+function formatPromotionCode(promotionCode) {
+  const coupon = promotionCode.coupon;
+
+  return {
+    id: promotionCode.id,
+    code: promotionCode.code,
+    active: promotionCode.active,
+    coupon: typeof coupon === 'object' && coupon ? formatCoupon(coupon) : coupon,
+    customer: promotionCode.customer,
+    times_redeemed: promotionCode.times_redeemed,
+    max_redemptions: promotionCode.max_redemptions,
+    first_time_transaction: !!promotionCode.restrictions?.first_time_transaction,
+    minimum_amount: promotionCode.restrictions?.minimum_amount || null,
+    minimum_amount_currency: promotionCode.restrictions?.minimum_amount_currency || null,
+    expires_at: fromUnixTime(promotionCode.expires_at),
+    created_at: fromUnixTime(promotionCode.created)
+  };
+}
+
+// Why a promotion code can't be used for a plan, or null if it can
+function getPromotionCodeIssue(promotionCode, plan, customerId, now = Math.floor(Date.now() / 1000)) {
+  const coupon = promotionCode.coupon || {};
+  const restrictions = promotionCode.restrictions || {};
+
+  if (!promotionCode.active || !coupon.valid) return 'Promotion code is no longer active';
+  if (promotionCode.expires_at && promotionCode.expires_at <= now) return 'Promotion code has expired';
+  if (promotionCode.max_redemptions && promotionCode.times_redeemed >= promotionCode.max_redemptions) {
+    return 'Promotion code has been fully redeemed';
+  }
+  if (promotionCode.customer && promotionCode.customer !== customerId) return 'Invalid promotion code';
+
+  const products = coupon.applies_to ? coupon.applies_to.products : null;
+  if (products && products.length > 0 && !products.includes(plan.stripeProductId)) {
+    return 'Promotion code does not apply to this plan';
+  }
+  if (coupon.amount_off && coupon.currency && coupon.currency !== plan.currency) {
+    return 'Promotion code does not apply to this plan';
+  }
+  if (restrictions.minimum_amount &&
+      (!restrictions.minimum_amount_currency || restrictions.minimum_amount_currency === plan.currency) &&
+      plan.amount < restrictions.minimum_amount) {
+    return 'Promotion code does not apply to this plan';
+  }
+
+  return null;
+}
+
+// Whether a customer has paid before, which rules out codes for first-time transactions
+async function hasPreviousPayment(customerId, stripeClient) {
+  const [invoices, charges] = await Promise.all([
+    stripeClient.invoices.list({ customer: customerId, status: 'paid', limit: 1 }),
+    stripeClient.charges.list({ customer: customerId, limit: 100 })
+  ]);
+
+  return invoices.data.length > 0 || charges.data.some(charge => charge.status === 'succeeded');
+}
+
+// Look up a customer-facing promotion code and check it can be used for a plan.
+// Returns { promotionCode } or { reason } when it can't be applied.
+async function resolvePromotionCode(code, plan, options = {}) {
+  const stripeClient = options.stripeClient || stripe;
+
+  // Codes are matched case-insensitively by Stripe; an inactive code may share the string
+  const { data } = await stripeClient.promotionCodes.list({
+    code,
+    active: true,
+    limit: 1,
+    expand: ['data.coupon.applies_to']
+  });
+
+  const promotionCode = data[0];
+  if (!promotionCode) {
+    return { reason: 'Invalid promotion code' };
+  }
+
+  let reason = getPromotionCodeIssue(promotionCode, plan, options.customerId);
+
+  // Stripe refuses these at checkout for customers who have paid before
+  if (!reason && promotionCode.restrictions?.first_time_transaction && options.customerId &&
+      await hasPreviousPayment(options.customerId, stripeClient)) {
+    reason = 'Promotion code is only valid for a first purchase';
+  }
+
+  if (reason) {
+    logger.info(`⚠️ Rejected promotion code ${promotionCode.code} for ${plan.stripePriceId}: ${reason}`);
+    return { reason };
+  }
+
+  return { promotionCode };
+}
+
+// Create a coupon
+async function createCoupon(couponData, options = {}) {
+  const stripeClient = options.stripeClient || stripe;
+
+  const coupon = await stripeClient.coupons.create({
+    name: couponData.name,
+    ...(couponData.percent_off && { percent_off: couponData.percent_off }),
+    ...(couponData.amount_off && { amount_off: couponData.amount_off, currency: couponData.currency }),
+    duration: couponData.duration,
+    ...(couponData.duration_in_months && { duration_in_months: couponData.duration_in_months }),
+    ...(couponData.max_redemptions && { max_redemptions: couponData.max_redemptions }),
+    ...(couponData.redeem_by && { redeem_by: Math.floor(new Date(couponData.redeem_by).getTime() / 1000) }),
+    ...(couponData.product_ids && { applies_to: { products: couponData.product_ids } }),
+    metadata: { source: 'utm_admin' }
+  });
+
+  logger.info(`✅ Created Stripe coupon ${coupon.id}`);
+  return formatCoupon(coupon);
+}
+
+// List coupons, newest first
+async function listCoupons(options = {}) {
+  const stripeClient = options.stripeClient || stripe;
+
+  const page = await stripeClient.coupons.list({
+    limit: options.limit || 50,
+    expand: ['data.applies_to'],
+    ...(options.startingAfter && { starting_after: options.startingAfter })
+  });
+
+  return { coupons: page.data.map(formatCoupon), has_more: page.has_more };
+}
+
+// Create a customer-facing code for a coupon
+async function createPromotionCode(promotionData, options = {}) {
+  const stripeClient = options.stripeClient || stripe;
+
+  const restrictions = {};
+  if (promotionData.first_time_transaction) restrictions.first_time_transaction = true;
+  if (promotionData.minimum_amount) {
+    restrictions.minimum_amount = promotionData.minimum_amount;
+    restrictions.minimum_amount_currency = promotionData.minimum_amount_currency;
+  }
+
+  const promotionCode = await stripeClient.promotionCodes.create({
+    coupon: promotionData.coupon,
+    ...(promotionData.code && { code: promotionData.code }),
+    ...(promotionData.max_redemptions && { max_redemptions: promotionData.max_redemptions }),
+    ...(promotionData.expires_at && { expires_at: Math.floor(new Date(promotionData.expires_at).getTime() / 1000) }),
+    ...(Object.keys(restrictions).length > 0 && { restrictions }),
+    expand: ['coupon'],
+    metadata: { source: 'utm_admin' }
+  });
+
+  logger.info(`✅ Created Stripe promotion code ${promotionCode.code} for coupon ${promotionData.coupon}`);
+  return formatPromotionCode(promotionCode);
+}
+
+// List promotion codes, optionally for one coupon or only active ones
+async function listPromotionCodes(options = {}) {
+  const stripeClient = options.stripeClient || stripe;
+
+  const page = await stripeClient.promotionCodes.list({
+    limit: options.limit || 50,
+    ...(options.coupon && { coupon: options.coupon }),
+    ...(options.active !== undefined && { active: options.active }),
+    ...(options.code && { code: options.code }),
+    ...(options.startingAfter && { starting_after: options.startingAfter })
+  });
+
+  return { promotion_codes: page.data.map(formatPromotionCode), has_more: page.has_more };
+}
+
+module.exports = {
+  getPromotionCodeIssue,
+  resolvePromotionCode,
+  createCoupon,
+  listCoupons,
+  createPromotionCode,
+  listPromotionCodes
+};
@@ -0,0 +1,271 @@
+const { getCharge } = require('../config/stripe');
+const { logger } = require('../utils/logger');
+const { applyToStores } = require('./webhookStores');
+const {
+  buildSubscriptionChange,
+  subscriptionChangeFromStripe,
+  resolvePlan,
+  getSubscriptionPriceId,
+  fromUnixTime
+} = require('./stripeResolvers');
+const { cancelReplacedSubscription } = require('./planChange');
+
+// Handle a paid one-time (lifetime) checkout session
+async function handleLifetimeCheckout(session, event) {
+  const metadata = session.metadata || {};
+  const plan = await resolvePlan(metadata.price_id);
+
+  if (!plan || !plan.isLifetime()) {
+    logger.warn(`⚠️ Payment checkout session ${session.id} is not for a lifetime plan (price: ${metadata.price_id})`);
+    return;
+  }
+
+  const change = buildSubscriptionChange(event, {
+    customerId: session.customer,
+    paymentIntentId: session.payment_intent,
+    status: 'active',
+    priceId: metadata.price_id,
+    plan,
+    metadata
+  });
+
+  const result = await applyToStores('lifetimePurchased', change);
+
+  // An upgrade from a recurring plan ends the old subscription once the lifetime plan is paid
+  if (metadata.replaces_subscription_id) {
+    await cancelReplacedSubscription(metadata.replaces_subscription_id);
+  }
+
+  logger.info(`✅ Processed lifetime checkout session: ${session.id}`);
+  return result;
+}
+
+// Handle checkout session completed
+async function handleCheckoutSessionCompleted(session, event) {
+  if (session.mode === 'payment') {
+    // Delayed payment methods complete later with checkout.session.async_payment_succeeded
+    if (session.payment_status !== 'paid') {
+      logger.info(`ℹ️ Checkout session ${session.id} completed with payment status: ${session.payment_status}`);
+      return;
+    }
+
+    return handleLifetimeCheckout(session, event);
+  }
+
+  const change = buildSubscriptionChange(event, {
+    customerId: session.customer,
+    subscriptionId: session.subscription,
+    status: 'active',
+    metadata: session.metadata || {}
+  });
+
+  const result = await applyToStores('checkoutCompleted', change);
+
+  logger.info(`✅ Processed checkout session completed: ${session.id}`);
+  return result;
+}
+
+// Handle invoice payment succeeded
+async function handleInvoicePaymentSucceeded(invoice, event) {
+  if (!invoice.subscription) return;
+
+  const change = buildSubscriptionChange(event, {
+    customerId: invoice.customer,
+    subscriptionId: invoice.subscription,
+    status: 'active',
+    paymentFailure: { attemptCount: 0, nextPaymentAttemptAt: null }
+  });
+
+  const result = await applyToStores('subscriptionChanged', change);
+
+  logger.info(`✅ Processed ${event.type}: ${invoice.id}`);
+  return result;
+}
+
+// Handle invoice payment failed. The subscription stays usable during the grace
+// period while Stripe retries, and expires once Stripe schedules no further attempt.
+async function handleInvoicePaymentFailed(invoice, event) {
+  if (!invoice.subscription) return;
+
+  const finalAttempt = !invoice.next_payment_attempt;
+
+  const change = buildSubscriptionChange(event, {
+    customerId: invoice.customer,
+    subscriptionId: invoice.subscription,
+    status: finalAttempt ? 'expired' : 'past_due',
+    paymentFailure: {
+      attemptCount: invoice.attempt_count || 1,
+      nextPaymentAttemptAt: fromUnixTime(invoice.next_payment_attempt)
+    }
+  });
+
+  const result = await applyToStores('subscriptionChanged', change);
+
+  logger.info(`✅ Processed ${event.type}: ${invoice.id} (attempt ${change.paymentFailure.attemptCount}` +
+    `${finalAttempt ? ', no further retries' : ''})`);
+  return result;
+}
+
+// Describe what changed in a subscription update, e.g. a plan switch or cancellation
+// made by the customer in the billing portal
+function describeSubscriptionUpdate(stripeSubscription, previous = {}) {
+  const changes = [];
+
+  if (previous.items) {
+    const previousPriceId = previous.items.data?.[0]?.price?.id;
+    changes.push(`price ${previousPriceId || 'unknown'} -> ${getSubscriptionPriceId(stripeSubscription)}`);
+  }
+
+  if (previous.cancel_at_period_end !== undefined) {
+    changes.push(stripeSubscription.cancel_at_period_end ? 'cancellation scheduled' : 'cancellation withdrawn');
+  }
+
+  if (previous.status) {
+    changes.push(`status ${previous.status} -> ${stripeSubscription.status}`);
+  }
+
+  return changes;
+}
+
+// Handle subscription created / updated
+async function handleSubscriptionChanged(stripeSubscription, event) {
+  const change = await subscriptionChangeFromStripe(event, stripeSubscription, {
+    matchByCustomer: event.type === 'customer.subscription.created'
+  });
+
+  const changes = describeSubscriptionUpdate(stripeSubscription, event.data.previous_attributes);
+  if (changes.length > 0) {
+    logger.info(`ℹ️ Stripe subscription ${stripeSubscription.id} changed: ${changes.join(', ')}`);
+  }
+
+  const result = await applyToStores('subscriptionChanged', change);
+
+  logger.info(`✅ Processed ${event.type}: ${stripeSubscription.id} -> ${change.status}`);
+  return result;
+}
+
+// Handle subscription deleted
+async function handleSubscriptionDeleted(stripeSubscription, event) {
+  const change = await subscriptionChangeFromStripe(event, stripeSubscription, {
+    status: 'canceled'
+  });
+
+  const result = await applyToStores('subscriptionChanged', change);
+
+  logger.info(`✅ Processed subscription deleted: ${stripeSubscription.id}`);
+  return result;
+}
+
+// Handle customer updated (e.g. email changed in the billing portal)
+async function handleCustomerUpdated(customer, event) {
+  const previous = event.data.previous_attributes || {};
+  if (previous.email === undefined) return;
+
+  const change = buildSubscriptionChange(event, {
+    customerId: customer.id,
+    email: customer.email
+  });
+
+  const result = await applyToStores('customerUpdated', change);
+
+  logger.info(`✅ Processed customer updated: ${customer.id}`);
+  return result;
+}
+
+// Handle charge refunded. A full refund takes back a lifetime purchase; refunds of
+// recurring payments leave the subscription to Stripe's own cancellation events.
+async function handleChargeRefunded(charge, event) {
+  if (!charge.refunded) {
+    logger.info(`ℹ️ Partial refund of charge ${charge.id} does not change entitlements`);
+    return;
+  }
+
+  const change = buildSubscriptionChange(event, {
+    customerId: charge.customer,
+    paymentIntentId: charge.payment_intent,
+    entitlement: {
+      action: 'revoked',
+      reason: 'refund',
+      chargeId: charge.id,
+      disputeId: null,
+      amount: charge.amount_refunded,
+      currency: charge.currency
+    }
+  });
+
+  const result = await applyToStores('entitlementChanged', change);
+
+  logger.info(`✅ Processed charge refunded: ${charge.id}`);
+  return result;
+}
+
+// Whether an opened dispute revokes access right away (REVOKE_ON_DISPUTE_OPENED=true).
+// By default access is only revoked once the dispute is lost.
+function revokesOnDisputeOpened() {
+  return process.env.REVOKE_ON_DISPUTE_OPENED === 'true';
+}
+
+// Dispute outcome -> entitlement action
+const DISPUTE_ACTIONS = {
+  'charge.dispute.created': () => (revokesOnDisputeOpened() ? { action: 'revoked', reason: 'dispute_opened' } : null),
+  'charge.dispute.closed': (dispute) => {
+    if (dispute.status === 'lost') return { action: 'revoked', reason: 'dispute_lost' };
+    if (dispute.status === 'won' || dispute.status === 'warning_closed') return { action: 'restored', reason: 'dispute_won' };
+    return null;
+  }
+};
+
+// Handle dispute opened / closed. Access is revoked when we lose a dispute (or, if configured,
+// while it is open) and restored if we win it; disputes can target lifetime or recurring payments.
+async function handleChargeDispute(dispute, event) {
+  const outcome = DISPUTE_ACTIONS[event.type](dispute);
+  if (!outcome) {
+    logger.info(`ℹ️ ${event.type} for dispute ${dispute.id} (status ${dispute.status}), entitlements unchanged`);
+    return;
+  }
+
+  // Disputes don't carry the customer, so it is read from the charge
+  const charge = await getCharge(dispute.charge);
+
+  const change = buildSubscriptionChange(event, {
+    customerId: charge.customer,
+    paymentIntentId: dispute.payment_intent || charge.payment_intent,
+    matchByCustomer: true,
+    entitlement: {
+      ...outcome,
+      chargeId: dispute.charge,
+      disputeId: dispute.id,
+      amount: dispute.amount,
+      currency: dispute.currency
+    }
+  });
+
+  const result = await applyToStores('entitlementChanged', change);
+
+  logger.info(`✅ Processed ${event.type}: ${dispute.id} -> ${outcome.action}`);
+  return result;
+}
+
+// Handle trial will end
+async function handleTrialWillEnd(stripeSubscription) {
+  // TODO: Send notification to user about trial ending
+  logger.info(`⚠️ Trial ending soon for Stripe subscription: ${stripeSubscription.id}`);
+}
+
+// Register the default Stripe event handlers on a dispatcher
+function registerStripeEventHandlers(dispatcher) {
+  return dispatcher
+    .on(['checkout.session.completed', 'checkout.session.async_payment_succeeded'], handleCheckoutSessionCompleted)
+    .on('invoice.payment_succeeded', handleInvoicePaymentSucceeded)
+    .on('invoice.payment_failed', handleInvoicePaymentFailed)
+    .on(['customer.subscription.created', 'customer.subscription.updated'], handleSubscriptionChanged)
+    .on('customer.subscription.deleted', handleSubscriptionDeleted)
+    .on('customer.subscription.trial_will_end', handleTrialWillEnd)
+    .on('customer.updated', handleCustomerUpdated)
+    .on('charge.refunded', handleChargeRefunded)
+    .on(['charge.dispute.created', 'charge.dispute.closed'], handleChargeDispute);
+}
+
+module.exports = {
+  registerStripeEventHandlers
+};
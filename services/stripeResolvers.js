@@ -0,0 +1,147 @@
+const { getCustomer } = require('../config/stripe');
+const { logger } = require('../utils/logger');
+
+const StripePlan = require('../models/StripePlan');
+
+// Stripe subscription status -> our subscription status
+const STATUS_MAP = {
+  active: 'active',
+  past_due: 'past_due',
+  canceled: 'canceled',
+  cancelled: 'canceled',
+  incomplete: 'expired',
+  incomplete_expired: 'expired',
+  paused: 'paused',
+  trialing: 'trial',
+  unpaid: 'expired'
+};
+
+// Map a Stripe subscription status to our status
+function mapStripeStatus(status) {
+  return STATUS_MAP[status] || 'expired';
+}
+
+// Get our status for a Stripe subscription. Paused collection leaves the Stripe
+// status active, so it is checked separately.
+function getSubscriptionStatus(stripeSubscription) {
+  if (stripeSubscription.pause_collection && ['active', 'trialing'].includes(stripeSubscription.status)) {
+    return 'paused';
+  }
+
+  return mapStripeStatus(stripeSubscription.status);
+}
+
+// Convert a Stripe Unix timestamp to an ISO string
+function fromUnixTime(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Get the price ID of the first item of a Stripe subscription
+function getSubscriptionPriceId(stripeSubscription) {
+  return stripeSubscription.items?.data?.[0]?.price?.id || null;
+}
+
+// Look up our plan for a Stripe price ID
+async function resolvePlan(priceId) {
+  if (!priceId) {
+    return null;
+  }
+
+  const plan = await StripePlan.getByStripePriceId(priceId);
+  if (!plan) {
+    logger.warn(`⚠️ Plan not found for price ID: ${priceId}`);
+  }
+
+  return plan;
+}
+
+// Resolve who a Stripe customer belongs to. Metadata from the event (e.g. the checkout
+// session) is used when present, otherwise the customer's own metadata set at creation.
+async function resolveCustomer(customerId, metadata = {}) {
+  const identity = {
+    customerId: customerId || null,
+    uid: metadata.uid || null,
+    guestId: metadata.guest_id || null,
+    email: metadata.email || null
+  };
+
+  if ((identity.uid || identity.guestId) || !customerId) {
+    return identity;
+  }
+
+  try {
+    const customer = await getCustomer(customerId);
+    if (customer && !customer.deleted) {
+      identity.uid = customer.metadata?.uid || null;
+      identity.guestId = customer.metadata?.guest_id || null;
+      identity.email = customer.email || null;
+    }
+  } catch (error) {
+    logger.warn(`⚠️ Could not resolve Stripe customer ${customerId}: ${error.message}`);
+  }
+
+  return identity;
+}
+
+// Build the store-agnostic description of a subscription change.
+// The customer identity is resolved lazily, only for stores that need it.
+function buildSubscriptionChange(event, fields) {
+  let identityPromise = null;
+
+  return {
+    event,
+    customerId: null,
+    subscriptionId: null,
+    paymentIntentId: null,
+    email: null,
+    status: null,
+    priceId: null,
+    plan: null,
+    currentPeriodStart: null,
+    currentPeriodEnd: null,
+    cancelAtPeriodEnd: null,
+    pauseResumesAt: null,
+    paymentFailure: null,
+    entitlement: null,
+    trialEnd: null,
+    metadata: {},
+    ...fields,
+    getIdentity() {
+      if (!identityPromise) {
+        identityPromise = resolveCustomer(this.customerId, this.metadata);
+      }
+      return identityPromise;
+    }
+  };
+}
+
+// Build a subscription change from a Stripe subscription object
+async function subscriptionChangeFromStripe(event, stripeSubscription, overrides = {}) {
+  const priceId = getSubscriptionPriceId(stripeSubscription);
+
+  return buildSubscriptionChange(event, {
+    customerId: stripeSubscription.customer,
+    subscriptionId: stripeSubscription.id,
+    status: getSubscriptionStatus(stripeSubscription),
+    priceId,
+    plan: await resolvePlan(priceId),
+    currentPeriodStart: fromUnixTime(stripeSubscription.current_period_start),
+    currentPeriodEnd: fromUnixTime(stripeSubscription.current_period_end),
+    cancelAtPeriodEnd: !!stripeSubscription.cancel_at_period_end,
+    pauseResumesAt: fromUnixTime(stripeSubscription.pause_collection?.resumes_at),
+    trialEnd: fromUnixTime(stripeSubscription.trial_end),
+    metadata: stripeSubscription.metadata || {},
+    ...overrides
+  });
+}
+
+module.exports = {
+  mapStripeStatus,
+  getSubscriptionStatus,
+  fromUnixTime,
+  getSubscriptionPriceId,
+  resolvePlan,
+  resolveCustomer,
+  buildSubscriptionChange,
+  subscriptionChangeFromStripe
+};
@@ -0,0 +1,53 @@
+const { logger } = require('../utils/logger');
+const WebhookDispatcher = require('./webhookDispatcher');
+const { registerStripeEventHandlers } = require('./stripeEventHandlers');
+
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+
+const { STALE_EVENT } = WebhookDispatcher;
+
+// Single dispatcher for every Stripe webhook delivery and admin replay
+const dispatcher = registerStripeEventHandlers(new WebhookDispatcher());
+
+// Run the handlers for a Stripe event and record the outcome in the ledger.
+// Failures are written to the dead-letter store and rethrown.
+async function processEvent(event, webhookEvent) {
+  try {
+    const { handled, result } = await dispatcher.dispatch(event);
+
+    if (!handled) {
+      await webhookEvent.markIgnored();
+    } else if (result === STALE_EVENT) {
+      logger.warn(`⚠️ Ignored stale webhook event ${event.id} (${event.type})`);
+      await webhookEvent.markStale('Older than the last event applied to the subscription');
+    } else {
+      await webhookEvent.markProcessed();
+    }
+  } catch (error) {
+    logger.error(`❌ Failed to handle webhook event ${event.id} (${event.type}):`, error);
+
+    try {
+      await webhookEvent.markFailed(error);
+      await WebhookDeadLetter.recordFailure(event, error, webhookEvent);
+    } catch (storeError) {
+      logger.error('❌ Failed to record webhook failure:', storeError);
+    }
+
+    throw error;
+  }
+
+  // The event is handled by now, so a failure here must not mark it failed and get it retried
+  try {
+    await WebhookDeadLetter.resolveByStripeEventId(event.id);
+  } catch (error) {
+    logger.error(`❌ Failed to resolve dead letter of webhook event ${event.id}:`, error);
+  }
+
+  return webhookEvent.status;
+}
+
+module.exports = {
+  dispatcher,
+  processEvent,
+  STALE_EVENT
+};
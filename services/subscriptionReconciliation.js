@@ -0,0 +1,238 @@
+const cron = require('node-cron');
+const { stripe } = require('../config/stripe');
+const { logger } = require('../utils/logger');
+const { getSubscriptionStatus, fromUnixTime, getSubscriptionPriceId } = require('./stripeResolvers');
+
+const UserSubscription = require('../models/UserSubscription');
+const StripePlan = require('../models/StripePlan');
+
+const PAGE_SIZE = 100;
+
+// Period timestamps within this many seconds are considered equal
+const PERIOD_TOLERANCE_SECONDS = 60;
+
+// Parse a database timestamp (stored without time zone, in UTC) to Unix seconds
+function toUnixSeconds(value) {
+  if (!value) return null;
+
+  const text = String(value);
+  const hasZone = /([zZ]|[+-]\d{2}:?\d{2})$/.test(text);
+  const time = new Date(hasZone ? text : `${text}Z`).getTime();
+
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+// Compare a Stripe subscription with our row and list the fields that differ
+async function findIssues(stripeSubscription, row, planCache) {
+  const issues = [];
+
+  const expectedStatus = getSubscriptionStatus(stripeSubscription);
+  if (row.status !== expectedStatus) {
+    issues.push({ field: 'status', stripe: expectedStatus, database: row.status });
+  }
+
+  const priceId = getSubscriptionPriceId(stripeSubscription);
+  if (priceId) {
+    if (!planCache.has(priceId)) {
+      planCache.set(priceId, await StripePlan.getByStripePriceId(priceId));
+    }
+    const plan = planCache.get(priceId);
+
+    if (row.stripePriceId !== priceId) {
+      issues.push({ field: 'stripe_price_id', stripe: priceId, database: row.stripePriceId });
+    }
+
+    if (plan && row.planId !== plan.planKey) {
+      issues.push({ field: 'plan_id', stripe: plan.planKey, database: row.planId });
+    }
+  }
+
+  const cancelAtPeriodEnd = !!stripeSubscription.cancel_at_period_end;
+  if (row.cancelAtPeriodEnd !== cancelAtPeriodEnd) {
+    issues.push({ field: 'cancel_at_period_end', stripe: cancelAtPeriodEnd, database: row.cancelAtPeriodEnd });
+  }
+
+  const stripePeriodEnd = stripeSubscription.current_period_end || null;
+  const rowPeriodEnd = toUnixSeconds(row.currentPeriodEnd);
+  if (stripePeriodEnd && (!rowPeriodEnd || Math.abs(stripePeriodEnd - rowPeriodEnd) > PERIOD_TOLERANCE_SECONDS)) {
+    issues.push({
+      field: 'current_period_end',
+      stripe: fromUnixTime(stripePeriodEnd),
+      database: row.currentPeriodEnd || null
+    });
+  }
+
+  return issues;
+}
+
+// Build the update that brings our row in line with Stripe
+function buildRepair(stripeSubscription, issues) {
+  const updateData = {
+    // Anything Stripe sent before now is older than the state we are writing
+    last_stripe_event_created: Math.floor(Date.now() / 1000),
+    last_stripe_event_id: null
+  };
+
+  issues.forEach(issue => {
+    if (issue.field === 'current_period_end') {
+      updateData.current_period_start = fromUnixTime(stripeSubscription.current_period_start);
+      updateData.current_period_end = issue.stripe;
+    } else {
+      updateData[issue.field] = issue.stripe;
+    }
+  });
+
+  return updateData;
+}
+
+// Page through Stripe subscriptions, compare them with user_subscriptions and report drift.
+// With repair enabled, drifted rows are updated to match Stripe.
+async function reconcileSubscriptions(options = {}) {
+  const stripeClient = options.stripeClient || stripe;
+  const repair = !!options.repair;
+  const maxPages = options.maxPages || Infinity;
+
+  const report = {
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    repair,
+    checked: 0,
+    in_sync: 0,
+    drifted: [],
+    missing_in_database: [],
+    missing_in_stripe: [],
+    errors: []
+  };
+
+  const planCache = new Map();
+  const seenSubscriptionIds = new Set();
+  let startingAfter;
+  let pages = 0;
+  let hasMore = true;
+
+  logger.info(`🔍 Starting Stripe reconciliation${repair ? ' (repair enabled)' : ''}`);
+
+  while (hasMore && pages < maxPages) {
+    const page = await stripeClient.subscriptions.list({
+      status: 'all',
+      limit: PAGE_SIZE,
+      ...(startingAfter && { starting_after: startingAfter })
+    });
+
+    pages++;
+    hasMore = !!page.has_more && page.data.length > 0;
+
+    for (const stripeSubscription of page.data) {
+      startingAfter = stripeSubscription.id;
+      seenSubscriptionIds.add(stripeSubscription.id);
+      report.checked++;
+
+      try {
+        const row = await UserSubscription.getByStripeSubscriptionId(stripeSubscription.id);
+        if (!row) {
+          report.missing_in_database.push({
+            stripe_subscription_id: stripeSubscription.id,
+            stripe_customer_id: stripeSubscription.customer,
+            stripe_status: stripeSubscription.status
+          });
+          continue;
+        }
+
+        // A lifetime purchase no longer follows the Stripe subscription it replaced
+        if (row.isLifetimePurchase) {
+          report.in_sync++;
+          continue;
+        }
+
+        // Access revoked after a refund or dispute stays revoked whatever the Stripe status
+        if (row.status === 'revoked') {
+          report.in_sync++;
+          continue;
+        }
+
+        const issues = await findIssues(stripeSubscription, row, planCache);
+        if (issues.length === 0) {
+          report.in_sync++;
+          continue;
+        }
+
+        const drift = {
+          subscription_id: row.id,
+          stripe_subscription_id: stripeSubscription.id,
+          issues,
+          repaired: false
+        };
+
+        if (repair) {
+          await row.update(buildRepair(stripeSubscription, issues));
+          drift.repaired = true;
+        }
+
+        report.drifted.push(drift);
+      } catch (error) {
+        logger.error(`❌ Failed to reconcile Stripe subscription ${stripeSubscription.id}:`, error);
+        report.errors.push({ stripe_subscription_id: stripeSubscription.id, error: error.message });
+      }
+    }
+  }
+
+  // Rows pointing at subscriptions Stripe did not return are only meaningful after a full pass
+  if (!hasMore) {
+    let offset = 0;
+    let rows;
+    do {
+      rows = await UserSubscription.getAllWithStripeSubscription({ offset, limit: 1000 });
+      rows
+        .filter(row => !seenSubscriptionIds.has(row.stripeSubscriptionId))
+        .forEach(row => report.missing_in_stripe.push({
+          subscription_id: row.id,
+          stripe_subscription_id: row.stripeSubscriptionId,
+          status: row.status
+        }));
+      offset += rows.length;
+    } while (rows.length === 1000);
+  }
+
+  report.finished_at = new Date().toISOString();
+
+  logger.info(`✅ Stripe reconciliation finished: ${report.checked} checked, ${report.drifted.length} drifted, ` +
+    `${report.missing_in_database.length} missing in database, ${report.missing_in_stripe.length} missing in Stripe`);
+
+  return report;
+}
+
+// Schedule reconciliation when RECONCILIATION_CRON is set (e.g. "0 3 * * *")
+function scheduleReconciliation() {
+  const expression = process.env.RECONCILIATION_CRON;
+  if (!expression) return null;
+
+  if (!cron.validate(expression)) {
+    logger.error(`❌ Invalid RECONCILIATION_CRON expression: ${expression}`);
+    return null;
+  }
+
+  const repair = process.env.RECONCILIATION_REPAIR === 'true';
+  let running = false;
+
+  const task = cron.schedule(expression, async () => {
+    // Skip a tick if the previous run is still paging through Stripe
+    if (running) return;
+    running = true;
+
+    try {
+      await reconcileSubscriptions({ repair });
+    } catch (error) {
+      logger.error('❌ Scheduled Stripe reconciliation failed:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  logger.info(`⏰ Stripe reconciliation scheduled: ${expression}${repair ? ' (repair enabled)' : ''}`);
+  return task;
+}
+
+module.exports = {
+  reconcileSubscriptions,
+  scheduleReconciliation
+};
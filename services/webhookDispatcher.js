@@ -0,0 +1,58 @@
+const { logger } = require('../utils/logger');
+
+// Routes Stripe events to the handlers registered for their type
+class WebhookDispatcher {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  // Register a handler for one or more event types
+  on(eventTypes, handler) {
+    const types = Array.isArray(eventTypes) ? eventTypes : [eventTypes];
+
+    types.forEach(type => {
+      if (!this.handlers.has(type)) {
+        this.handlers.set(type, []);
+      }
+      this.handlers.get(type).push(handler);
+    });
+
+    return this;
+  }
+
+  // Check if any handler is registered for an event type
+  handles(eventType) {
+    return this.handlers.has(eventType);
+  }
+
+  // Get registered event types
+  getEventTypes() {
+    return Array.from(this.handlers.keys());
+  }
+
+  // Run every handler registered for the event, in registration order.
+  // Resolves to { handled, result } where result is the last non-undefined handler result.
+  async dispatch(event) {
+    const handlers = this.handlers.get(event.type);
+
+    if (!handlers) {
+      logger.info(`ℹ️ Unhandled webhook event type: ${event.type}`);
+      return { handled: false, result: undefined };
+    }
+
+    let result;
+    for (const handler of handlers) {
+      const handlerResult = await handler(event.data.object, event);
+      if (handlerResult !== undefined) {
+        result = handlerResult;
+      }
+    }
+
+    return { handled: true, result };
+  }
+}
+
+// Returned by a handler when the event is older than the state it would overwrite
+WebhookDispatcher.STALE_EVENT = 'stale';
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,97 @@
+const { logger } = require('../../utils/logger');
+
+const User = require('../../models/User');
+const Subscription = require('../../models/Subscription');
+
+// Find the Firestore user a change belongs to
+async function findUser(change) {
+  const identity = await change.getIdentity();
+
+  if (identity.uid) {
+    const user = await User.getByUid(identity.uid);
+    if (user) return user;
+  }
+
+  if (change.customerId) {
+    const user = await User.getByStripeCustomerId(change.customerId);
+    if (user) return user;
+  }
+
+  if (identity.email) {
+    return User.getByEmail(identity.email);
+  }
+
+  return null;
+}
+
+// Legacy Firestore users/subscriptions collections
+const firestoreStore = {
+  name: 'firestore',
+
+  // Mirror a status, plan or period change onto the Firestore subscription and user
+  async subscriptionChanged(change) {
+    let subscription = await Subscription.getByStripeSubscriptionId(change.subscriptionId);
+
+    if (!subscription) {
+      // Only a full Stripe subscription object carries enough data to create one
+      if (!change.currentPeriodEnd) {
+        logger.warn(`⚠️ Firestore subscription not found: ${change.subscriptionId}`);
+        return;
+      }
+
+      const user = await findUser(change);
+      if (!user) {
+        logger.warn(`⚠️ Firestore user not found for Stripe customer: ${change.customerId}`);
+        return;
+      }
+
+      subscription = await Subscription.create({
+        userId: user.uid,
+        stripeSubscriptionId: change.subscriptionId,
+        stripeCustomerId: change.customerId,
+        plan: change.plan ? change.plan.period : 'unknown',
+        status: change.status,
+        currentPeriodStart: new Date(change.currentPeriodStart),
+        currentPeriodEnd: new Date(change.currentPeriodEnd),
+        cancelAtPeriodEnd: change.cancelAtPeriodEnd,
+        metadata: {
+          source: 'stripe_webhook',
+          createdVia: 'webhook'
+        }
+      });
+    } else {
+      const updateData = { status: change.status };
+
+      if (change.currentPeriodEnd) {
+        updateData.currentPeriodStart = new Date(change.currentPeriodStart);
+        updateData.currentPeriodEnd = new Date(change.currentPeriodEnd);
+        updateData.cancelAtPeriodEnd = change.cancelAtPeriodEnd;
+      }
+
+      if (change.plan) {
+        updateData.plan = change.plan.period;
+      }
+
+      if (change.status === 'canceled') {
+        updateData.cancelledAt = new Date();
+      }
+
+      await subscription.update(updateData);
+    }
+
+    // Keep the denormalized copy on the user document in sync
+    const user = await User.getByUid(subscription.userId);
+    if (user) {
+      await user.updateSubscription({
+        ...user.subscription,
+        id: subscription.id,
+        plan: subscription.plan,
+        status: subscription.status,
+        expiresAt: subscription.currentPeriodEnd,
+        stripeSubscriptionId: subscription.stripeSubscriptionId
+      });
+    }
+  }
+};
+
+module.exports = firestoreStore;
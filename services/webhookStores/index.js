@@ -0,0 +1,52 @@
+const { logger } = require('../../utils/logger');
+const { STALE_EVENT } = require('../webhookDispatcher');
+
+const userSubscriptionsStore = require('./userSubscriptionsStore');
+const firestoreStore = require('./firestoreStore');
+const supabaseSubscriptionsStore = require('./supabaseSubscriptionsStore');
+
+const STORES = {
+  [userSubscriptionsStore.name]: userSubscriptionsStore,
+  [firestoreStore.name]: firestoreStore,
+  [supabaseSubscriptionsStore.name]: supabaseSubscriptionsStore
+};
+
+const DEFAULT_STORES = 'user_subscriptions';
+
+// Get the stores named in WEBHOOK_STORES (comma separated), in that order
+function getConfiguredStores() {
+  const names = (process.env.WEBHOOK_STORES || DEFAULT_STORES)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return names.reduce((stores, name) => {
+    if (STORES[name]) {
+      stores.push(STORES[name]);
+    } else {
+      logger.warn(`⚠️ Unknown webhook store configured: ${name}`);
+    }
+    return stores;
+  }, []);
+}
+
+// Apply a change to every configured store implementing the given method.
+// The first store to report the event as stale stops the change for the rest.
+async function applyToStores(method, change, stores = getConfiguredStores()) {
+  for (const store of stores) {
+    if (typeof store[method] !== 'function') continue;
+
+    const result = await store[method](change);
+    if (result === STALE_EVENT) {
+      return STALE_EVENT;
+    }
+  }
+
+  return undefined;
+}
+
+module.exports = {
+  STORES,
+  getConfiguredStores,
+  applyToStores
+};
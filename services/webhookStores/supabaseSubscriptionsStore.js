@@ -0,0 +1,49 @@
+const { supabase } = require('../../src/lib/supabase');
+const { logger } = require('../../utils/logger');
+
+// Supabase users/subscriptions tables behind v_user_entitlement
+const supabaseSubscriptionsStore = {
+  name: 'supabase_subscriptions',
+
+  // Upsert the subscription row for the Supabase user owning the Stripe customer
+  async subscriptionChanged(change) {
+    // Invoice events only carry a status; update the existing row if there is one
+    if (!change.currentPeriodStart) {
+      const { error } = await supabase
+        .from('subscriptions')
+        .update({ status: change.status, last_synced_at: new Date() })
+        .eq('stripe_subscription_id', change.subscriptionId);
+
+      if (error) throw error;
+      return;
+    }
+
+    const { data: users, error: userError } = await supabase
+      .from('users')
+      .select('id')
+      .eq('stripe_customer_id', change.customerId)
+      .limit(1);
+
+    if (userError) throw userError;
+
+    if (!users || !users.length) {
+      logger.warn(`⚠️ Supabase user not found for Stripe customer: ${change.customerId}`);
+      return;
+    }
+
+    const { error } = await supabase.from('subscriptions').upsert({
+      user_id: users[0].id,
+      subscription_type: change.plan ? change.plan.period : 'monthly',
+      status: change.status,
+      start_date: new Date(change.currentPeriodStart),
+      end_date: change.cancelAtPeriodEnd ? new Date(change.currentPeriodEnd) : null,
+      stripe_subscription_id: change.subscriptionId,
+      stripe_price_id: change.priceId,
+      last_synced_at: new Date()
+    }, { onConflict: 'stripe_subscription_id' });
+
+    if (error) throw error;
+  }
+};
+
+module.exports = supabaseSubscriptionsStore;
@@ -0,0 +1,272 @@
+const { logger } = require('../../utils/logger');
+const { STALE_EVENT } = require('../webhookDispatcher');
+const { fromUnixTime } = require('../stripeResolvers');
+
+const UserSubscription = require('../../models/UserSubscription');
+const EntitlementAction = require('../../models/EntitlementAction');
+const Device = require('../../models/Device');
+
+// Only customer.subscription.* events carry the whole subscription, so only they are ordered.
+// Checkout and invoice events are created around the same time and may arrive in any order.
+function isOrderedEvent(event) {
+  return event.type.startsWith('customer.subscription.');
+}
+
+// Fields recording which subscription event was last applied to a subscription
+function eventOrderingFields(event) {
+  if (!isOrderedEvent(event)) return {};
+
+  return {
+    last_stripe_event_created: event.created,
+    last_stripe_event_id: event.id
+  };
+}
+
+// Find the paywall subscription a change refers to
+async function findSubscription(change) {
+  let subscription = null;
+
+  if (change.subscriptionId) {
+    subscription = await UserSubscription.getByStripeSubscriptionId(change.subscriptionId);
+  }
+
+  // A new Stripe subscription is matched to the row created at checkout by customer
+  if (!subscription && change.matchByCustomer && change.customerId) {
+    subscription = await UserSubscription.getByStripeCustomerId(change.customerId);
+  }
+
+  return subscription;
+}
+
+// Find the checkout owner (user or guest device) and their existing subscription
+async function findCheckoutOwner(metadata) {
+  const { uid, guest_id } = metadata;
+
+  if (!uid && !guest_id) {
+    logger.warn('⚠️ Checkout session missing metadata uid or guest_id');
+    return null;
+  }
+
+  if (uid) {
+    // Authenticated user
+    return {
+      owner: { uid },
+      subscription: await UserSubscription.getByUid(uid)
+    };
+  }
+
+  // Guest user
+  const device = await Device.getById(guest_id);
+  if (!device) {
+    logger.warn(`⚠️ Device not found for checkout guest_id: ${guest_id}`);
+    return null;
+  }
+
+  return {
+    owner: { device_id: device.id },
+    subscription: await UserSubscription.getByDeviceId(device.id)
+  };
+}
+
+// Paywall subscriptions in the Supabase user_subscriptions table
+const userSubscriptionsStore = {
+  name: 'user_subscriptions',
+
+  // Activate the guest's or user's subscription after checkout
+  async checkoutCompleted(change) {
+    const checkoutOwner = await findCheckoutOwner(change.metadata);
+    if (!checkoutOwner) return;
+
+    const { owner, subscription } = checkoutOwner;
+
+    const subscriptionData = {
+      stripe_customer_id: change.customerId,
+      stripe_subscription_id: change.subscriptionId,
+      status: change.status
+    };
+
+    if (subscription) {
+      // A subscription event that arrived first already set the status, e.g. trialing
+      if (change.subscriptionId && subscription.stripeSubscriptionId === change.subscriptionId) {
+        delete subscriptionData.status;
+      }
+      await subscription.update(subscriptionData);
+    } else {
+      await UserSubscription.create({
+        ...owner,
+        ...subscriptionData,
+        plan_id: null // Will be set when subscription is created
+      });
+    }
+  },
+
+  // Grant a permanent entitlement after a one-time lifetime payment
+  async lifetimePurchased(change) {
+    const checkoutOwner = await findCheckoutOwner(change.metadata);
+    if (!checkoutOwner) return;
+
+    const { owner, subscription } = checkoutOwner;
+
+    const subscriptionData = {
+      stripe_customer_id: change.customerId,
+      stripe_payment_intent_id: change.paymentIntentId,
+      stripe_price_id: change.priceId,
+      plan_id: change.plan.planKey,
+      status: 'active',
+      is_lifetime: true,
+      lifetime_granted_at: new Date().toISOString(),
+      current_period_start: null,
+      current_period_end: null
+    };
+
+    if (subscription) {
+      // A purchase is never undone by an older event, so no staleness check here
+      await subscription.update(subscriptionData);
+    } else {
+      await UserSubscription.create({
+        ...owner,
+        ...subscriptionData
+      });
+    }
+
+    logger.info(`✅ Granted lifetime plan ${change.plan.planKey} to ${owner.uid || owner.device_id}`);
+  },
+
+  // Apply a status, plan or period change from Stripe
+  async subscriptionChanged(change) {
+    const subscription = await findSubscription(change);
+    if (!subscription) {
+      logger.warn(`⚠️ Subscription not found for Stripe subscription ID: ${change.subscriptionId}`);
+      return;
+    }
+
+    if (isOrderedEvent(change.event) && subscription.isStaleEvent(change.event)) return STALE_EVENT;
+
+    // Changes to a recurring subscription don't affect a lifetime purchase
+    if (subscription.isLifetimePurchase) {
+      logger.info(`ℹ️ Ignoring ${change.event.type} for lifetime subscription: ${subscription.id}`);
+      return;
+    }
+
+    const updateData = {
+      // A revoked entitlement stays revoked until the dispute is won
+      status: subscription.isRevoked() ? subscription.status : change.status,
+      ...eventOrderingFields(change.event)
+    };
+
+    if (change.subscriptionId) {
+      updateData.stripe_subscription_id = change.subscriptionId;
+    }
+
+    if (change.plan) {
+      updateData.plan_id = change.plan.planKey;
+    }
+
+    if (change.priceId) {
+      updateData.stripe_price_id = change.priceId;
+    }
+
+    if (change.currentPeriodEnd) {
+      updateData.current_period_start = change.currentPeriodStart;
+      updateData.current_period_end = change.currentPeriodEnd;
+    }
+
+    if (change.cancelAtPeriodEnd !== null) {
+      updateData.cancel_at_period_end = change.cancelAtPeriodEnd;
+    }
+
+    if (change.status === 'canceled') {
+      updateData.cancel_at_period_end = false;
+      updateData.canceled_at = new Date().toISOString();
+    }
+
+    // Start the grace period on the first failed payment; a recovered payment ends it
+    if (change.status === 'past_due') {
+      updateData.past_due_since = subscription.pastDueSince || fromUnixTime(change.event.created);
+    } else if (change.status === 'active' || change.status === 'trial') {
+      updateData.past_due_since = null;
+    }
+
+    if (change.paymentFailure) {
+      updateData.payment_failed_attempts = change.paymentFailure.attemptCount;
+      updateData.next_payment_attempt_at = change.paymentFailure.nextPaymentAttemptAt;
+    }
+
+    if (change.status === 'paused') {
+      updateData.paused_at = subscription.pausedAt || new Date().toISOString();
+      updateData.pause_resumes_at = change.pauseResumesAt;
+    } else if (subscription.isPaused()) {
+      updateData.paused_at = null;
+      updateData.pause_resumes_at = null;
+    }
+
+    if (change.status === 'trial' && change.trialEnd) {
+      updateData.trial_end = change.trialEnd;
+    }
+
+    await subscription.update(updateData);
+  },
+
+  // Revoke or restore access after a refund or dispute and record the action
+  async entitlementChanged(change) {
+    const { entitlement } = change;
+
+    let subscription = null;
+    if (change.paymentIntentId) {
+      subscription = await UserSubscription.getByStripePaymentIntentId(change.paymentIntentId);
+    }
+    if (!subscription && change.matchByCustomer && change.customerId) {
+      subscription = await UserSubscription.getByStripeCustomerId(change.customerId);
+    }
+    if (!subscription) {
+      logger.warn(`⚠️ Subscription not found for ${entitlement.reason} of charge: ${entitlement.chargeId}`);
+      return;
+    }
+
+    // Dispute events can arrive out of order; an opened dispute that already closed changes nothing
+    if (entitlement.reason === 'dispute_opened' && await EntitlementAction.getDisputeOutcome(entitlement.disputeId)) {
+      logger.info(`ℹ️ Dispute ${entitlement.disputeId} already closed, ignoring ${change.event.type}`);
+      return STALE_EVENT;
+    }
+
+    const previousStatus = subscription.status;
+
+    if (entitlement.action === 'revoked') {
+      if (!subscription.isRevoked()) {
+        await subscription.update({ status: 'revoked', revoked_at: new Date().toISOString() });
+      }
+    } else if (subscription.isRevoked()) {
+      const revocation = await EntitlementAction.getLatestRevocation(subscription.id, entitlement.chargeId);
+      if (!revocation) {
+        logger.info(`ℹ️ Subscription ${subscription.id} was not revoked for charge ${entitlement.chargeId}`);
+        return;
+      }
+
+      await subscription.update({ status: revocation.previousStatus || 'active', revoked_at: null });
+    }
+    // A won dispute that never revoked access is still recorded, so its late opening is ignored
+
+    await EntitlementAction.create({
+      subscription_id: subscription.id,
+      action: entitlement.action,
+      reason: entitlement.reason,
+      previous_status: previousStatus,
+      stripe_charge_id: entitlement.chargeId,
+      stripe_dispute_id: entitlement.disputeId,
+      stripe_event_id: change.event.id,
+      amount: entitlement.amount,
+      currency: entitlement.currency
+    });
+  },
+
+  // Keep the contact email in sync with the Stripe customer
+  async customerUpdated(change) {
+    const subscription = await UserSubscription.getByStripeCustomerId(change.customerId);
+    if (!subscription || subscription.email === change.email) return;
+
+    // Not a subscription change, so the event ordering fields are left alone
+    await subscription.update({ email: change.email });
+  }
+};
+
+module.exports = userSubscriptionsStore;
@@ -1,6 +1,7 @@
 const express = require('express');
 const admin = require('firebase-admin');
 const { supabase } = require('../lib/supabase');
+const { resolveEntitlement } = require('../../services/entitlements');
 const router = express.Router();
 
 router.post('/verify', async (req, res) => {
@@ -17,13 +18,8 @@ router.post('/verify', async (req, res) => {
       .single();
     if (error) throw error;
 
-    const { data: ent } = await supabase
-      .from('v_user_entitlement')
-      .select('*')
-      .eq('user_id', user.id)
-      .maybeSingle();
-
-    const hasActive = ent ? (ent.has_lifetime || ent.has_active_sub) : false;
+    const entitlement = await resolveEntitlement({ uid, supabaseUserId: user.id });
+    const hasActive = entitlement.isActive;
     res.json({ 
       success: true, 
       user: { 
@@ -1,47 +1,43 @@
 const express = require('express');
-const { supabase } = require('../lib/supabase');
 const auth = require('../middleware/auth');
+const LicenseKey = require('../../models/LicenseKey');
+const { resolveEntitlement } = require('../../services/entitlements');
+const { activateLicense } = require('../../services/licenseActivation');
+const { parseLicenseKey } = require('../../utils/licenseKeyFormat');
 const router = express.Router();
 
+// Same redemption as POST /api/redeem-license: the key is looked up by its digest and takes a seat
 router.post('/redeem-license', auth, async (req, res) => {
   try {
-    const { licenseKey } = req.body;
-    const userId = req.user.supabaseUserId;
+    const { licenseKey: input } = req.body;
+    if (typeof input !== 'string' || !input) {
+      return res.status(400).json({ success: false, error: 'licenseKey is required' });
+    }
 
-    const { data: key } = await supabase
-      .from('license_keys')
-      .select('*')
-      .eq('key', licenseKey)
-      .eq('is_redeemed', false)
-      .maybeSingle();
-    if (!key) return res.status(400).json({ success: false, error: 'Invalid or redeemed key' });
+    // Normalize the key as typed and catch mistyped UTM2 keys before the lookup
+    const { key, error } = parseLicenseKey(input);
+    if (error) return res.status(400).json({ success: false, error });
 
-    await supabase.from('license_keys').update({
-      is_redeemed: true, redeemed_by: userId, redeemed_at: new Date()
-    }).eq('id', key.id);
+    const licenseKey = await LicenseKey.getByKey(key);
+    if (!licenseKey) return res.status(400).json({ success: false, error: 'Invalid or redeemed key' });
 
-    await supabase.from('subscriptions').insert({
-      user_id: userId,
-      subscription_type: 'lifetime',
-      status: 'active',
-      start_date: new Date()
-    });
+    const { reason } = await activateLicense(licenseKey, { uid: req.user.firebaseUid });
+    if (reason) return res.status(400).json({ success: false, error: reason });
 
-    res.json({ success: true });
+    res.json({ success: true, plan_id: licenseKey.planId, expires_at: licenseKey.expiresAt });
   } catch (e) {
-    res.status(400).json({ success: false, error: e.message });
+    res.status(500).json({ success: false, error: e.message });
   }
 });
 
 router.get('/me', auth, async (req, res) => {
-  const { supabaseUserId } = req.user;
-  const { data: ent } = await supabase
-    .from('v_user_entitlement')
-    .select('*')
-    .eq('user_id', supabaseUserId)
-    .maybeSingle();
-  const hasActive = ent ? (ent.has_lifetime || ent.has_active_sub) : false;
-  res.json({ success: true, subscription: { hasActive } });
+  try {
+    const { firebaseUid, supabaseUserId } = req.user;
+    const entitlement = await resolveEntitlement({ uid: firebaseUid, supabaseUserId });
+    res.json({ success: true, subscription: { hasActive: entitlement.isActive } });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -1,40 +1,41 @@
 require('dotenv').config();
-const { supabase } = require('./src/lib/supabase');
+const LicenseKey = require('./models/LicenseKey');
+const LicenseActivation = require('./models/LicenseActivation');
+const { parseLicenseKey } = require('./utils/licenseKeyFormat');
 
-async function debugLicenseKey() {
+// Usage: node test-license-debug.js <license key as typed>
+// Keys are stored as digests, so the key is looked up the same way the redeem endpoints do.
+async function debugLicenseKey(input) {
   try {
+    if (!input) {
+      console.error('Usage: node test-license-debug.js <license key>');
+      process.exitCode = 1;
+      return;
+    }
+
     console.log('🔍 Checking license key in database...');
-    
-    // Check if the exact key exists
-    const { data: exactMatch, error: exactError } = await supabase
-      .from('license_keys')
-      .select('*')
-      .eq('key', 'AES-LIFE-2024-WXYZ-ABCD-EFGH-IJKL')
-      .single();
-    
-    console.log('Exact match result:', { data: exactMatch, error: exactError });
-    
-    // Check all license keys to see what's actually in the database
-    const { data: allKeys, error: allError } = await supabase
-      .from('license_keys')
-      .select('key, id, plan_id, expires_at, redeemed_at')
-      .limit(10);
-    
-    console.log('All license keys:', allKeys);
-    console.log('All keys error:', allError);
-    
-    // Check if there are any keys that contain "AES"
-    const { data: aesKeys, error: aesError } = await supabase
-      .from('license_keys')
-      .select('key, id, plan_id, expires_at, redeemed_at')
-      .ilike('key', '%AES%');
-    
-    console.log('Keys containing AES:', aesKeys);
-    console.log('AES keys error:', aesError);
-    
+
+    const { key, version, error } = parseLicenseKey(input);
+    if (error) {
+      console.log('❌ Key format:', error);
+      return;
+    }
+    console.log('Normalized key:', key, `(format version ${version || 'other'})`);
+
+    const licenseKey = await LicenseKey.getByKey(key);
+    if (!licenseKey) {
+      console.log('❌ No license key with this digest (check LICENSE_KEY_SECRET)');
+      return;
+    }
+
+    console.log('License key:', licenseKey.toJSON());
+
+    const activations = await LicenseActivation.getByLicenseKeyId(licenseKey.id);
+    console.log('Activations:', activations.map(activation => activation.toJSON()));
   } catch (error) {
     console.error('❌ Debug failed:', error);
+    process.exitCode = 1;
   }
 }
 
-debugLicenseKey();
+debugLicenseKey(process.argv.slice(2).join(' '));
@@ -0,0 +1,81 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+jest.mock('../config/stripe', () => ({ stripe: {} }));
+jest.mock('../models/StripePlan');
+jest.mock('../services/checkoutStatus');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const StripePlan = require('../models/StripePlan');
+const { getCheckoutProcessingState, getCheckoutEntitlement } = require('../services/checkoutStatus');
+const checkoutPages = require('../services/checkoutPages');
+
+const buildStripeClient = (session) => ({
+  checkout: { sessions: { retrieve: jest.fn().mockResolvedValue(session) } }
+});
+
+describe('checkoutPages', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('renders values escaped and nested sections', () => {
+    const html = checkoutPages.renderTemplate(
+      '{{#found}}{{^processed}}pending {{/processed}}{{name}}{{/found}}{{^found}}missing{{/found}}',
+      { found: true, processed: false, name: '<b>Pro</b>' }
+    );
+
+    expect(html).toBe('pending &lt;b&gt;Pro&lt;/b&gt;');
+  });
+
+  test('prefers the locale template and falls back to the default one', () => {
+    const templateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkout-templates-'));
+    fs.writeFileSync(path.join(templateDir, 'cancel.html'), 'default');
+    fs.mkdirSync(path.join(templateDir, 'de'));
+    fs.writeFileSync(path.join(templateDir, 'de', 'cancel.html'), 'deutsch');
+
+    expect(checkoutPages.loadTemplate('cancel', 'de-AT', templateDir)).toBe('deutsch');
+    expect(checkoutPages.loadTemplate('cancel', 'fr', templateDir)).toBe('default');
+    expect(checkoutPages.loadTemplate('cancel', '../de', templateDir)).toBe('default');
+    expect(checkoutPages.getAvailableLocales(templateDir)).toEqual(['de']);
+
+    fs.rmSync(templateDir, { recursive: true, force: true });
+  });
+
+  test('shows the plan and next billing date once the webhook has processed the session', async () => {
+    const stripeClient = buildStripeClient({ id: 'cs_123', metadata: { price_id: 'price_monthly' } });
+    getCheckoutProcessingState.mockResolvedValue({ processed: true, status: 'processed' });
+    StripePlan.getByStripePriceId.mockResolvedValue({ name: 'UTM Pro Monthly' });
+    getCheckoutEntitlement.mockResolvedValue({
+      isLifetime: false,
+      subscription: {
+        currentPeriodEnd: '2030-03-01T12:00:00.000Z',
+        willRenew: () => true,
+        getActiveUntil: () => '2030-03-01T12:00:00.000Z'
+      }
+    });
+
+    const data = await checkoutPages.buildSuccessPageData('cs_123', 'en', { stripeClient });
+
+    expect(data).toEqual(expect.objectContaining({
+      found: true,
+      processed: true,
+      plan_name: 'UTM Pro Monthly',
+      next_billing_date: 'March 1, 2030',
+      active_until: null,
+      deep_link: 'utm://checkout/success?session_id=cs_123'
+    }));
+  });
+
+  test('does not look up the entitlement while the webhook is pending', async () => {
+    const stripeClient = buildStripeClient({ id: 'cs_123', metadata: {} });
+    getCheckoutProcessingState.mockResolvedValue({ processed: false, status: null });
+
+    const data = await checkoutPages.buildSuccessPageData('cs_123', 'en', { stripeClient });
+
+    expect(data.found).toBe(true);
+    expect(data.processed).toBe(false);
+    expect(getCheckoutEntitlement).not.toHaveBeenCalled();
+  });
+});
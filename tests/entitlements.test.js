@@ -0,0 +1,112 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+jest.mock('../services/webhookStores', () => ({ getConfiguredStores: jest.fn().mockReturnValue([]) }));
+
+const Device = require('../models/Device');
+const UserSubscription = require('../models/UserSubscription');
+const PlanFeature = require('../models/PlanFeature');
+const { resolveEntitlement, toPublicEntitlement } = require('../services/entitlements');
+
+const DAY = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY).toISOString();
+
+describe('resolveEntitlement', () => {
+  let subscriptionsByUid;
+  let subscriptionsByDevice;
+
+  beforeEach(() => {
+    subscriptionsByUid = {};
+    subscriptionsByDevice = {};
+
+    jest.spyOn(UserSubscription, 'getAllByUid').mockImplementation(async (uid) => [].concat(subscriptionsByUid[uid] || []));
+    jest.spyOn(UserSubscription, 'getAllByDeviceId').mockImplementation(async (id) => [].concat(subscriptionsByDevice[id] || []));
+    jest.spyOn(Device, 'getById').mockImplementation(async (id) => new Device({
+      id,
+      subscription_status: 'trial',
+      trial_start: inDays(-1),
+      trial_end: inDays(2)
+    }));
+    jest.spyOn(PlanFeature, 'getFeatureSet').mockImplementation(async (planKey) => ({ plan: planKey }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('prefers a lifetime purchase over an active subscription and a trial', async () => {
+    subscriptionsByUid.user_1 = new UserSubscription({ uid: 'user_1', status: 'active', plan_id: 'pro_monthly' });
+    subscriptionsByDevice.device_1 = new UserSubscription({
+      device_id: 'device_1',
+      status: 'active',
+      plan_id: 'pro_lifetime',
+      is_lifetime: true
+    });
+
+    const entitlement = await resolveEntitlement({ uid: 'user_1', deviceId: 'device_1' });
+
+    expect(entitlement).toEqual(expect.objectContaining({
+      access: 'lifetime',
+      source: 'device_subscription',
+      planKey: 'pro_lifetime',
+      features: { plan: 'pro_lifetime' }
+    }));
+  });
+
+  test('prefers an active subscription over the device trial', async () => {
+    subscriptionsByUid.user_1 = new UserSubscription({ uid: 'user_1', status: 'active', plan_id: 'pro_yearly' });
+
+    const entitlement = await resolveEntitlement({ uid: 'user_1', deviceId: 'device_1' });
+
+    expect(entitlement.access).toBe('active');
+    expect(entitlement.source).toBe('subscription');
+    expect(entitlement.isActive).toBe(true);
+  });
+
+  test('falls back to the device trial when the subscription has lapsed', async () => {
+    subscriptionsByUid.user_1 = new UserSubscription({ uid: 'user_1', status: 'expired', plan_id: 'pro_monthly' });
+
+    const entitlement = await resolveEntitlement({ uid: 'user_1', deviceId: 'device_1' });
+
+    expect(entitlement).toEqual(expect.objectContaining({
+      access: 'trial',
+      status: 'trial',
+      source: 'device_trial',
+      isActive: false,
+      features: { plan: 'trial' }
+    }));
+  });
+
+  test('reports the status of a subscription without access', async () => {
+    subscriptionsByUid.user_1 = new UserSubscription({ uid: 'user_1', status: 'revoked', plan_id: 'pro_lifetime' });
+
+    const entitlement = await resolveEntitlement({ uid: 'user_1' });
+
+    expect(entitlement.access).toBe('none');
+    expect(entitlement.status).toBe('revoked');
+    expect(entitlement.features).toEqual({ plan: 'free' });
+  });
+
+  test('keeps the access of a paid subscription after a license on the same user is deactivated', async () => {
+    subscriptionsByUid.user_1 = [
+      new UserSubscription({ uid: 'user_1', status: 'canceled', plan_id: 'license_pro_lifetime' }),
+      new UserSubscription({ uid: 'user_1', status: 'active', plan_id: 'pro_monthly', stripe_subscription_id: 'sub_123' })
+    ];
+
+    const entitlement = await resolveEntitlement({ uid: 'user_1' });
+
+    expect(entitlement).toEqual(expect.objectContaining({
+      access: 'active',
+      status: 'active',
+      source: 'subscription',
+      planKey: 'pro_monthly'
+    }));
+  });
+
+  test('reports license subscriptions with their license plan', async () => {
+    subscriptionsByUid.user_1 = new UserSubscription({ uid: 'user_1', status: 'active', plan_id: 'license_pro_monthly' });
+
+    const entitlement = toPublicEntitlement(await resolveEntitlement({ uid: 'user_1' }));
+
+    expect(entitlement.source).toBe('license');
+    expect(entitlement.licenseKey).toEqual({ plan_id: 'license_pro_monthly', expires_at: null });
+  });
+});
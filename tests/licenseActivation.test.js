@@ -0,0 +1,213 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+
+const { supabase } = require('../src/lib/supabase');
+const LicenseKey = require('../models/LicenseKey');
+const LicenseActivation = require('../models/LicenseActivation');
+const UserSubscription = require('../models/UserSubscription');
+const {
+  activateLicense,
+  deactivateActivation,
+  revokeLicense,
+  getActivationIssue,
+  getTransferAllowance,
+  transferActivation
+} = require('../services/licenseActivation');
+
+const licenseKey = (data = {}) => new LicenseKey({
+  id: 'license_1',
+  plan_id: 'pro_lifetime',
+  max_activations: 5,
+  ...data
+});
+
+describe('licenseActivation', () => {
+  let activations;
+
+  beforeEach(() => {
+    activations = [];
+
+    jest.spyOn(LicenseActivation, 'getActive').mockImplementation(async (licenseKeyId, { uid, deviceId }) =>
+      activations.find(activation => activation.isActive() &&
+        (uid ? activation.uid === uid : activation.deviceId === deviceId)) || null);
+    jest.spyOn(LicenseActivation, 'countActive').mockImplementation(async () =>
+      activations.filter(activation => activation.isActive()).length);
+    jest.spyOn(LicenseActivation, 'create').mockImplementation(async (licenseKeyId, { uid, deviceId }) => {
+      const activation = new LicenseActivation({
+        id: `activation_${activations.length + 1}`,
+        license_key_id: licenseKeyId,
+        uid,
+        device_id: uid ? null : deviceId
+      });
+      activations.push(activation);
+      return activation;
+    });
+    jest.spyOn(LicenseKey.prototype, 'redeem').mockImplementation(async function () { return this; });
+    jest.spyOn(UserSubscription, 'getAllByUid').mockResolvedValue([]);
+    jest.spyOn(UserSubscription, 'getAllByDeviceId').mockResolvedValue([]);
+    jest.spyOn(UserSubscription, 'create').mockImplementation(async (data) => new UserSubscription(data));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete supabase.from;
+    delete process.env.LICENSE_TRANSFER_LIMIT;
+    delete process.env.LICENSE_TRANSFER_PERIOD_DAYS;
+  });
+
+  test('activates a key on each device until its seats are used', async () => {
+    const key = licenseKey({ max_activations: 2 });
+
+    const first = await activateLicense(key, { deviceId: 'device_1' });
+    const second = await activateLicense(key, { uid: 'user_1' });
+    const third = await activateLicense(key, { deviceId: 'device_3' });
+
+    expect(first.created).toBe(true);
+    expect(second.subscription).toEqual(expect.objectContaining({ uid: 'user_1', planId: 'license_pro_lifetime' }));
+    expect(third).toEqual({ reason: 'License key has no activations left' });
+    expect(UserSubscription.create).toHaveBeenCalledTimes(2);
+  });
+
+  test('reuses the seat of a user or device that activates again', async () => {
+    const key = licenseKey({ max_activations: 1 });
+    const { activation } = await activateLicense(key, { uid: 'user_1' });
+    UserSubscription.getAllByUid.mockResolvedValue([
+      new UserSubscription({ uid: 'user_1', plan_id: 'license_pro_lifetime', status: 'active' })
+    ]);
+
+    const again = await activateLicense(key, { uid: 'user_1' });
+
+    expect(again.created).toBe(false);
+    expect(again.activation).toBe(activation);
+    expect(LicenseActivation.create).toHaveBeenCalledTimes(1);
+    expect(UserSubscription.create).toHaveBeenCalledTimes(1);
+    expect(await activateLicense(key, { uid: 'user_2' })).toEqual({ reason: 'License key has already been redeemed' });
+  });
+
+  test('grants the license next to the user\'s Stripe subscription without touching it', async () => {
+    const key = licenseKey();
+    const stripeSubscription = new UserSubscription({
+      uid: 'user_1',
+      plan_id: 'pro_monthly',
+      stripe_subscription_id: 'sub_123',
+      status: 'active'
+    });
+    jest.spyOn(stripeSubscription, 'update');
+    UserSubscription.getAllByUid.mockResolvedValue([stripeSubscription]);
+
+    const { subscription } = await activateLicense(key, { uid: 'user_1' });
+
+    expect(subscription).toEqual(expect.objectContaining({ uid: 'user_1', planId: 'license_pro_lifetime' }));
+    expect(UserSubscription.create).toHaveBeenCalledTimes(1);
+    expect(stripeSubscription.update).not.toHaveBeenCalled();
+  });
+
+  test('frees the seat and cancels the license subscription on deactivation', async () => {
+    const key = licenseKey();
+    const activation = new LicenseActivation({ id: 'activation_1', license_key_id: 'license_1', device_id: 'device_1' });
+    const subscription = new UserSubscription({ device_id: 'device_1', plan_id: 'license_pro_lifetime', status: 'active' });
+    jest.spyOn(activation, 'deactivate').mockImplementation(async () => {
+      activation.deactivatedAt = '2030-01-01T00:00:00.000Z';
+      return activation;
+    });
+    jest.spyOn(subscription, 'updateStatus').mockResolvedValue(subscription);
+    UserSubscription.getAllByDeviceId.mockResolvedValue([subscription]);
+
+    await deactivateActivation(key, activation);
+
+    expect(activation.deactivate).toHaveBeenCalledWith('admin');
+    expect(subscription.updateStatus).toHaveBeenCalledWith('canceled', { canceled_at: '2030-01-01T00:00:00.000Z' });
+  });
+
+  test('cancels only the license subscription of a user who also pays for a subscription', async () => {
+    const key = licenseKey();
+    const activation = new LicenseActivation({ id: 'activation_1', license_key_id: 'license_1', uid: 'user_1' });
+    const licenseSubscription = new UserSubscription({ uid: 'user_1', plan_id: 'license_pro_lifetime', status: 'active' });
+    const stripeSubscription = new UserSubscription({ uid: 'user_1', plan_id: 'pro_monthly', status: 'active' });
+    jest.spyOn(activation, 'deactivate').mockResolvedValue(activation);
+    jest.spyOn(licenseSubscription, 'updateStatus').mockResolvedValue(licenseSubscription);
+    jest.spyOn(stripeSubscription, 'updateStatus');
+    UserSubscription.getAllByUid.mockResolvedValue([licenseSubscription, stripeSubscription]);
+
+    await deactivateActivation(key, activation, 'owner');
+
+    expect(licenseSubscription.updateStatus).toHaveBeenCalledWith('canceled', expect.any(Object));
+    expect(stripeSubscription.updateStatus).not.toHaveBeenCalled();
+  });
+
+  test('refuses the activation when a concurrent one took the last seat', async () => {
+    const key = licenseKey({ max_activations: 1 });
+    const insert = {
+      insert: jest.fn(() => insert),
+      select: jest.fn(() => insert),
+      single: jest.fn().mockResolvedValue({ data: null, error: { code: 'LK001', message: 'no activations left' } })
+    };
+    supabase.from = jest.fn(() => insert);
+    LicenseActivation.create.mockRestore();
+
+    const result = await activateLicense(key, { deviceId: 'device_2' });
+
+    expect(result).toEqual({ reason: 'License key has already been redeemed' });
+    expect(LicenseKey.prototype.redeem).not.toHaveBeenCalled();
+    expect(UserSubscription.create).not.toHaveBeenCalled();
+  });
+
+  test('cancels the license subscriptions of every seat when the key is revoked', async () => {
+    const key = licenseKey();
+    const deactivated = [
+      new LicenseActivation({ id: 'activation_1', uid: 'user_1', deactivated_at: '2030-01-01T00:00:00.000Z' }),
+      new LicenseActivation({ id: 'activation_2', device_id: 'device_2', deactivated_at: '2030-01-01T00:00:00.000Z' })
+    ];
+    const userSubscription = new UserSubscription({ uid: 'user_1', plan_id: 'license_pro_lifetime', status: 'active' });
+    const deviceSubscription = new UserSubscription({ device_id: 'device_2', plan_id: 'license_pro_lifetime', status: 'active' });
+    jest.spyOn(userSubscription, 'updateStatus').mockResolvedValue(userSubscription);
+    jest.spyOn(deviceSubscription, 'updateStatus').mockResolvedValue(deviceSubscription);
+    UserSubscription.getAllByUid.mockResolvedValue([userSubscription]);
+    UserSubscription.getAllByDeviceId.mockResolvedValue([deviceSubscription]);
+    const revoke = jest.spyOn(key, 'revoke').mockResolvedValue(key);
+    const deactivateAll = jest.spyOn(LicenseActivation, 'deactivateAll').mockResolvedValue(deactivated);
+
+    await revokeLicense(key);
+
+    expect(revoke).toHaveBeenCalled();
+    expect(deactivateAll).toHaveBeenCalledWith('license_1', 'revoked');
+    expect(userSubscription.updateStatus).toHaveBeenCalledWith('canceled', { canceled_at: '2030-01-01T00:00:00.000Z' });
+    expect(deviceSubscription.updateStatus).toHaveBeenCalledWith('canceled', { canceled_at: '2030-01-01T00:00:00.000Z' });
+  });
+
+  test('refuses revoked and expired keys', () => {
+    expect(getActivationIssue(licenseKey({ revoked_at: '2030-01-01T00:00:00.000Z' }), 0)).toBe('License key has been revoked');
+    expect(getActivationIssue(licenseKey({ expires_at: '2000-01-01T00:00:00.000Z' }), 0)).toBe('License key has expired');
+    expect(getActivationIssue(licenseKey(), 4)).toBeNull();
+  });
+
+  test('counts owner transfers in the configured period for every seat', async () => {
+    process.env.LICENSE_TRANSFER_LIMIT = '2';
+    process.env.LICENSE_TRANSFER_PERIOD_DAYS = '30';
+    const countDeactivations = jest.spyOn(LicenseActivation, 'countDeactivations').mockResolvedValue(3);
+    const now = Date.parse('2030-01-31T00:00:00.000Z');
+
+    const transfers = await getTransferAllowance(licenseKey({ max_activations: 2 }), now);
+
+    expect(transfers).toEqual({ used: 3, limit: 4, remaining: 1, period_days: 30 });
+    expect(countDeactivations).toHaveBeenCalledWith('license_1', {
+      deactivatedBy: 'owner',
+      since: '2030-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('refuses owner transfers once the limit is reached', async () => {
+    process.env.LICENSE_TRANSFER_LIMIT = '1';
+    const activation = new LicenseActivation({ id: 'activation_1', license_key_id: 'license_1', uid: 'user_1' });
+    const deactivate = jest.spyOn(activation, 'deactivate').mockResolvedValue(activation);
+    jest.spyOn(LicenseActivation, 'countDeactivations').mockResolvedValueOnce(0).mockResolvedValueOnce(1);
+    const key = licenseKey({ max_activations: 1 });
+
+    const first = await transferActivation(key, activation);
+    const second = await transferActivation(key, activation);
+
+    expect(deactivate).toHaveBeenCalledTimes(1);
+    expect(deactivate).toHaveBeenCalledWith('owner');
+    expect(first.transfers).toEqual({ used: 1, limit: 1, remaining: 0, period_days: 365 });
+    expect(second.reason).toBe('License key transfer limit reached (1 per 365 days)');
+  });
+});
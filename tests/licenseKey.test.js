@@ -0,0 +1,57 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+
+const LicenseKey = require('../models/LicenseKey');
+
+describe('LicenseKey storage', () => {
+  const originalSecret = process.env.LICENSE_KEY_SECRET;
+
+  beforeEach(() => {
+    process.env.LICENSE_KEY_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    if (originalSecret === undefined) {
+      delete process.env.LICENSE_KEY_SECRET;
+    } else {
+      process.env.LICENSE_KEY_SECRET = originalSecret;
+    }
+  });
+
+  test('stores a digest and display prefix instead of the plaintext key', () => {
+    const fields = LicenseKey.getStoredKeyFields('UTM-1A2B-3C4D-5E6F');
+
+    expect(fields).toEqual({
+      key: null,
+      key_hash: LicenseKey.hashKey('UTM-1A2B-3C4D-5E6F'),
+      key_prefix: 'UTM-1A2B'
+    });
+    expect(fields.key_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(fields.key_hash).not.toBe(LicenseKey.hashKey('UTM-1A2B-3C4D-5E70'));
+  });
+
+  test('depends on LICENSE_KEY_SECRET', () => {
+    const digest = LicenseKey.hashKey('UTM-1A2B-3C4D-5E6F');
+    process.env.LICENSE_KEY_SECRET = 'other-secret';
+
+    expect(LicenseKey.hashKey('UTM-1A2B-3C4D-5E6F')).not.toBe(digest);
+  });
+
+  test('refuses to hash keys without LICENSE_KEY_SECRET', () => {
+    delete process.env.LICENSE_KEY_SECRET;
+
+    expect(() => LicenseKey.hashKey('UTM-1A2B-3C4D-5E6F')).toThrow('LICENSE_KEY_SECRET must be set');
+  });
+
+  test('does not include the key in its JSON', () => {
+    const licenseKey = new LicenseKey({
+      id: 'license_1',
+      key_hash: 'abc',
+      key_prefix: 'UTM-1A2B',
+      plan_id: 'pro_lifetime'
+    });
+
+    expect(licenseKey.toJSON()).toEqual(expect.objectContaining({ keyPrefix: 'UTM-1A2B' }));
+    expect(licenseKey.toJSON()).not.toHaveProperty('key');
+    expect(JSON.stringify(licenseKey.toJSON())).not.toContain('abc');
+  });
+});
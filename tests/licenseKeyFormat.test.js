@@ -0,0 +1,88 @@
+const {
+  KEY_ALPHABET,
+  generateLicenseKey,
+  parseLicenseKey,
+  isValidLicenseKey
+} = require('../utils/licenseKeyFormat');
+const { validateLicenseKeyFormat } = require('../middleware/validation');
+
+const MISTYPED = 'This license key is not valid. Did you mistype it?';
+
+describe('licenseKeyFormat', () => {
+  test('generates version 2 keys that parse back to themselves', () => {
+    const key = generateLicenseKey();
+
+    expect(key).toMatch(/^UTM2(-[0-9A-HJKMNP-TV-Z]{5}){4}$/);
+    expect(parseLicenseKey(key)).toEqual({ key, version: 2 });
+    expect(generateLicenseKey()).not.toBe(key);
+  });
+
+  test('accepts lowercase, spaces, missing dashes and look-alike letters', () => {
+    const key = generateLicenseKey();
+    const typed = key.toLowerCase().replace(/-/g, ' ');
+    const compact = key.replace(/-/g, '');
+    const withLookAlikes = key.replace(/0/g, 'O').replace(/1/g, 'l');
+
+    expect(parseLicenseKey(typed).key).toBe(key);
+    expect(parseLicenseKey(`  ${compact} `).key).toBe(key);
+    expect(parseLicenseKey(withLookAlikes).key).toBe(key);
+  });
+
+  test('detects every single mistyped symbol', () => {
+    const key = generateLicenseKey();
+    const symbols = key.slice(5).replace(/-/g, '');
+
+    for (let i = 0; i < symbols.length; i++) {
+      for (const replacement of KEY_ALPHABET) {
+        if (replacement === symbols[i]) continue;
+        const mistyped = `UTM2${symbols.slice(0, i)}${replacement}${symbols.slice(i + 1)}`;
+        expect(parseLicenseKey(mistyped)).toEqual({ error: MISTYPED });
+      }
+    }
+  });
+
+  test('rejects truncated version 2 keys, symbols outside the alphabet and empty input', () => {
+    const key = generateLicenseKey();
+
+    expect(parseLicenseKey(key.slice(0, -1)).error).toBe(MISTYPED);
+    expect(parseLicenseKey(`${key.slice(0, -1)}U`).error).toBe(MISTYPED);
+    expect(parseLicenseKey('UTM2-AAAAA-BBBBB-CCCCC-DDDDD').error).toBe(MISTYPED);
+    expect(isValidLicenseKey('   ')).toBe(false);
+  });
+
+  test('leaves keys in other formats to the database lookup', () => {
+    expect(parseLicenseKey(' UTM-ABCD1234-EFGH5678-IJKL9012 ')).toEqual({
+      key: 'UTM-ABCD1234-EFGH5678-IJKL9012',
+      version: null
+    });
+    expect(parseLicenseKey('AES-LIFE-7F3K9Q')).toEqual({ key: 'AES-LIFE-7F3K9Q', version: null });
+    expect(isValidLicenseKey('UTM-ABCD1234-EFGH5678-IJKL9012')).toBe(true);
+  });
+
+  test('keeps accepting keys generated before version 2', () => {
+    expect(parseLicenseKey('utm 1a2b 3c4d 5e6f')).toEqual({ key: 'UTM-1A2B-3C4D-5E6F', version: 1 });
+    expect(parseLicenseKey('UTM-2A2B-3C4D-5E6F')).toEqual({ key: 'UTM-2A2B-3C4D-5E6F', version: 1 });
+  });
+
+  test('normalizes the key in the request or answers before rate limiting', () => {
+    const key = generateLicenseKey();
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    const req = { body: { key: key.toLowerCase() } };
+    validateLicenseKeyFormat(req, res, next);
+    expect(req.body.key).toBe(key);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    const seeded = { body: { key: 'UTM-ABCD1234-EFGH5678-IJKL9012' } };
+    validateLicenseKeyFormat(seeded, res, next);
+    expect(seeded.body.key).toBe('UTM-ABCD1234-EFGH5678-IJKL9012');
+    expect(next).toHaveBeenCalledTimes(2);
+
+    const mistyped = `${key.slice(0, -1)}${key.endsWith('0') ? '1' : '0'}`;
+    validateLicenseKeyFormat({ body: { key: mistyped } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: MISTYPED });
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+
+const crypto = require('crypto');
+
+const LicenseKey = require('../models/LicenseKey');
+const LicenseActivation = require('../models/LicenseActivation');
+const PlanFeature = require('../models/PlanFeature');
+const licenseTokens = require('../services/licenseTokens');
+
+const generateKey = (kid) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    kid,
+    private_key: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+    public_key: publicKey.export({ format: 'pem', type: 'spki' })
+  };
+};
+
+const licenseKey = (data = {}) => new LicenseKey({
+  id: 'license_1',
+  plan_id: 'pro_lifetime',
+  bound_uid: 'user_1',
+  redeemed_at: '2030-01-01T00:00:00.000Z',
+  ...data
+});
+
+describe('licenseTokens', () => {
+  const oldKey = generateKey('2030-01');
+  const newKey = generateKey('2030-06');
+
+  beforeEach(() => {
+    jest.spyOn(PlanFeature, 'getFeatureSet').mockResolvedValue({ max_vms: 100 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('issues tokens that verify against the published public keys', async () => {
+    const keys = licenseTokens.loadTokenKeys(JSON.stringify([{ kid: newKey.kid, private_key: newKey.private_key }]));
+
+    const { token } = await licenseTokens.issueLicenseToken(licenseKey(), { uid: 'user_1', keys });
+    const [header] = token.split('.');
+    const claims = licenseTokens.verifyLicenseToken(token, { keys });
+
+    expect(JSON.parse(Buffer.from(header, 'base64url'))).toEqual({ alg: 'EdDSA', typ: 'JWT', kid: '2030-06' });
+    expect(claims).toEqual(expect.objectContaining({
+      sub: 'license_1',
+      plan: 'pro_lifetime',
+      uid: 'user_1',
+      device_id: null,
+      features: { max_vms: 100 }
+    }));
+    expect(licenseTokens.getPublicKeySet(keys).keys).toEqual([
+      expect.objectContaining({ kid: '2030-06', kty: 'OKP', crv: 'Ed25519', alg: 'EdDSA' })
+    ]);
+  });
+
+  test('keeps verifying tokens signed by a retired key after rotation', async () => {
+    const before = licenseTokens.loadTokenKeys(JSON.stringify([{ kid: oldKey.kid, private_key: oldKey.private_key }]));
+    const after = licenseTokens.loadTokenKeys(JSON.stringify([
+      { kid: newKey.kid, private_key: newKey.private_key },
+      { kid: oldKey.kid, public_key: oldKey.public_key }
+    ]));
+
+    const { token: oldToken } = await licenseTokens.issueLicenseToken(licenseKey(), { uid: 'user_1', keys: before });
+    const { token: newToken } = await licenseTokens.issueLicenseToken(licenseKey(), { uid: 'user_1', keys: after });
+
+    expect(licenseTokens.verifyLicenseToken(oldToken, { keys: after }).sub).toBe('license_1');
+    expect(JSON.parse(Buffer.from(newToken.split('.')[0], 'base64url')).kid).toBe('2030-06');
+    expect(() => licenseTokens.verifyLicenseToken(newToken, { keys: before }))
+      .toThrow('License token is not signed by a known key');
+  });
+
+  test('rejects tampered and expired tokens', async () => {
+    const keys = licenseTokens.loadTokenKeys(JSON.stringify([newKey]));
+    const now = Date.parse('2030-01-01T00:00:00.000Z');
+    const { token, expiresAt } = await licenseTokens.issueLicenseToken(
+      licenseKey({ expires_at: '2030-01-10T00:00:00.000Z' }),
+      { uid: 'user_1', keys, now }
+    );
+
+    const [header, payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+    const forged = Buffer.from(JSON.stringify({ ...claims, plan: 'pro_yearly' })).toString('base64url');
+
+    expect(expiresAt).toBe('2030-01-10T00:00:00.000Z');
+    expect(() => licenseTokens.verifyLicenseToken(`${header}.${forged}.${signature}`, { keys, now }))
+      .toThrow('Invalid license token signature');
+    expect(() => licenseTokens.verifyLicenseToken(token, { keys, now: Date.parse('2030-01-11T00:00:00.000Z') }))
+      .toThrow('License token has expired');
+    expect(licenseTokens.verifyLicenseToken(token, { keys, ignoreExpiration: true, now: Date.parse('2030-01-11T00:00:00.000Z') }).uid)
+      .toBe('user_1');
+  });
+
+  test('only refreshes tokens whose license key is still activated for the token holder', () => {
+    const activation = new LicenseActivation({ id: 'activation_1', license_key_id: 'license_1', uid: 'user_1' });
+
+    expect(licenseTokens.getLicenseTokenIssue(licenseKey(), activation)).toBeNull();
+    expect(licenseTokens.getLicenseTokenIssue(licenseKey(), null))
+      .toBe('License key is no longer activated for this user or device');
+    expect(licenseTokens.getLicenseTokenIssue(licenseKey({ revoked_at: '2030-02-01T00:00:00.000Z' }), activation))
+      .toBe('License key is no longer valid');
+  });
+
+  test('refuses malformed key configuration', () => {
+    expect(() => licenseTokens.loadTokenKeys('{not json')).toThrow('LICENSE_TOKEN_KEYS is not valid JSON');
+    expect(() => licenseTokens.loadTokenKeys(JSON.stringify({ kid: 'a' }))).toThrow('must be a JSON array');
+    expect(() => licenseTokens.loadTokenKeys(JSON.stringify([{ kid: '2030-06' }])))
+      .toThrow('needs a kid and a private_key or public_key');
+    expect(licenseTokens.loadTokenKeys('')).toEqual([]);
+  });
+});
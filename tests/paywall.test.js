@@ -2,6 +2,7 @@ const request = require('supertest');
 const app = require('../server');
 const { supabase } = require('../src/lib/supabase');
 const { logger } = require('../utils/logger');
+const LicenseKey = require('../models/LicenseKey');
 
 // Mock Firebase Admin SDK
 jest.mock('firebase-admin', () => ({
@@ -41,7 +42,7 @@ describe('Paywall System', () => {
     try {
       await supabase.from('user_subscriptions').delete().like('uid', 'test-uid-%');
       await supabase.from('devices').delete().like('device_id', 'test-device-%');
-      await supabase.from('license_keys').delete().like('key', '%test%');
+      await supabase.from('license_keys').delete().eq('created_by', 'test-admin');
     } catch (error) {
       logger.warn('Cleanup failed:', error);
     }
@@ -123,19 +124,17 @@ describe('Paywall System', () => {
   describe('License Key System', () => {
     test('POST /api/redeem-license - should redeem valid license key', async () => {
       // First create a test license key
-      const { data: licenseData, error: createError } = await supabase
+      testLicenseKey = LicenseKey.generateKey();
+      const { error: createError } = await supabase
         .from('license_keys')
         .insert({
-          key: 'test-license-key-' + Date.now(),
+          ...LicenseKey.getStoredKeyFields(testLicenseKey),
           plan_id: 'pro_monthly',
           single_use: true,
           created_by: 'test-admin'
-        })
-        .select()
-        .single();
+        });
 
       expect(createError).toBeNull();
-      testLicenseKey = licenseData.key;
 
       const response = await request(app)
         .post('/api/redeem-license')
@@ -149,12 +148,12 @@ describe('Paywall System', () => {
       expect(response.body.plan_id).toBe('pro_monthly');
     });
 
-    test('POST /api/redeem-license - should fail for already redeemed key', async () => {
+    test('POST /api/redeem-license - should fail for a key already redeemed by someone else', async () => {
       const response = await request(app)
         .post('/api/redeem-license')
         .send({
           key: testLicenseKey,
-          guest_id: testGuestId
+          email: 'other@example.com'
         })
         .expect(400);
 
@@ -166,7 +165,7 @@ describe('Paywall System', () => {
       const response = await request(app)
         .post('/api/redeem-license')
         .send({
-          key: 'invalid-license-key',
+          key: LicenseKey.generateKey(),
           guest_id: testGuestId
         })
         .expect(400);
@@ -174,6 +173,19 @@ describe('Paywall System', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error).toContain('Invalid license key');
     });
+
+    test('POST /api/redeem-license - should report a mistyped key', async () => {
+      const response = await request(app)
+        .post('/api/redeem-license')
+        .send({
+          key: 'UTM2-AAAAA-BBBBB-CCCCC-DDDDD',
+          guest_id: testGuestId
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain('Did you mistype it?');
+    });
   });
 
   describe('Guest Linking System', () => {
@@ -253,6 +265,23 @@ describe('Paywall System', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error).toContain('Invalid price ID');
     });
+
+    test('GET /api/checkout-session/:id - should require guest_id or authentication', async () => {
+      const response = await request(app)
+        .get('/api/checkout-session/cs_test_123')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('POST /api/billing-portal - should require authentication', async () => {
+      const response = await request(app)
+        .post('/api/billing-portal')
+        .send({ return_url: 'https://example.com/account' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
   });
 
   describe('Rate Limiting', () => {
@@ -350,6 +379,17 @@ describe('Admin System', () => {
     expect(response.body.stats.devices).toBeDefined();
   });
 
+  test('GET /admin/webhooks/events - should list webhook events', async () => {
+    const response = await request(app)
+      .get('/admin/webhooks/events?status=processed')
+      .set('x-admin-key', adminKey)
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(Array.isArray(response.body.events)).toBe(true);
+    expect(response.body.pagination).toBeDefined();
+  });
+
   test('Admin routes should require admin key', async () => {
     const response = await request(app)
       .get('/admin/license-keys')
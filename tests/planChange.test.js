@@ -0,0 +1,135 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+jest.mock('../config/stripe', () => ({ stripe: {}, getCustomer: jest.fn() }));
+
+const StripePlan = require('../models/StripePlan');
+const planChange = require('../services/planChange');
+
+const DAY = 24 * 60 * 60;
+const now = Math.floor(Date.now() / 1000);
+
+const buildStripeSubscription = (overrides = {}) => ({
+  id: 'sub_123',
+  customer: 'cus_123',
+  status: 'active',
+  current_period_start: now - 10 * DAY,
+  current_period_end: now + 20 * DAY,
+  schedule: null,
+  metadata: {},
+  latest_invoice: { id: 'in_123', status: 'paid' },
+  items: { data: [{ id: 'si_123', price: { id: 'price_monthly', unit_amount: 900, currency: 'usd' } }] },
+  ...overrides
+});
+
+const yearlyPlan = { stripePriceId: 'price_yearly', planKey: 'pro_yearly', amount: 9999, currency: 'usd' };
+const lifetimePlan = { stripePriceId: 'price_lifetime', planKey: 'pro_lifetime', amount: 29999, currency: 'usd' };
+
+describe('planChange', () => {
+  test('credits the unused part of the current period', () => {
+    const credit = planChange.calculateUnusedCredit(buildStripeSubscription());
+
+    expect(credit).toBeGreaterThanOrEqual(599);
+    expect(credit).toBeLessThanOrEqual(600);
+    expect(planChange.calculateUnusedCredit(buildStripeSubscription({ status: 'trialing' }))).toBe(0);
+  });
+
+  test('gives no credit for a period whose invoice is not paid', () => {
+    const pastDue = buildStripeSubscription({ status: 'past_due', latest_invoice: { id: 'in_123', status: 'open' } });
+
+    expect(planChange.calculateUnusedCredit(pastDue)).toBe(0);
+    expect(planChange.previewLifetimeUpgrade(pastDue, lifetimePlan)).toEqual(expect.objectContaining({
+      credit: 0,
+      amount_due: 29999
+    }));
+  });
+
+  test('never credits more than the lifetime price minus the minimum charge', () => {
+    const stripeSubscription = buildStripeSubscription({
+      items: { data: [{ id: 'si_123', price: { id: 'price_yearly', unit_amount: 99999 } }] }
+    });
+
+    const preview = planChange.previewLifetimeUpgrade(stripeSubscription, lifetimePlan);
+
+    expect(preview.credit).toBe(29949);
+    expect(preview.amount_due).toBe(50);
+  });
+
+  test('starts a lifetime checkout with the credit applied and the old subscription recorded', async () => {
+    const stripeClient = {
+      coupons: { create: jest.fn().mockResolvedValue({ id: 'coupon_credit' }) },
+      checkout: { sessions: { create: jest.fn().mockResolvedValue({ id: 'cs_123', url: 'https://checkout.stripe.com/cs_123' }) } }
+    };
+
+    const result = await planChange.startLifetimeUpgrade(buildStripeSubscription(), lifetimePlan, {
+      stripeClient,
+      metadata: { uid: 'user_1' },
+      successUrl: 'https://example.com/success',
+      cancelUrl: 'https://example.com/cancel'
+    });
+
+    expect(stripeClient.coupons.create).toHaveBeenCalledWith(expect.objectContaining({
+      amount_off: result.credit,
+      duration: 'once',
+      max_redemptions: 1,
+      redeem_by: expect.any(Number)
+    }));
+    expect(stripeClient.checkout.sessions.create).toHaveBeenCalledWith(expect.objectContaining({
+      mode: 'payment',
+      discounts: [{ coupon: 'coupon_credit' }],
+      metadata: { uid: 'user_1', price_id: 'price_lifetime', replaces_subscription_id: 'sub_123' }
+    }));
+  });
+
+  test('prices a lifetime upgrade in the currency the subscription is billed in', async () => {
+    const eurSubscription = buildStripeSubscription({
+      items: { data: [{ id: 'si_123', price: { id: 'price_monthly_eur', unit_amount: 900, currency: 'eur' } }] }
+    });
+    const eurLifetime = new StripePlan({ stripe_price_id: 'price_lifetime_eur', plan_key: 'pro_lifetime', amount: 27999, currency: 'eur' });
+    const getAll = jest.spyOn(StripePlan, 'getAll').mockResolvedValue([
+      new StripePlan({ stripe_price_id: 'price_lifetime', plan_key: 'pro_lifetime', amount: 29999, currency: 'usd' }),
+      eurLifetime
+    ]);
+
+    expect(await planChange.getLifetimePriceFor(buildStripeSubscription(), lifetimePlan)).toBe(lifetimePlan);
+    expect(getAll).not.toHaveBeenCalled();
+    expect(await planChange.getLifetimePriceFor(eurSubscription, lifetimePlan)).toBe(eurLifetime);
+    expect(getAll).toHaveBeenCalledWith({ planKey: 'pro_lifetime', active: true });
+
+    getAll.mockResolvedValue([new StripePlan({ stripe_price_id: 'price_lifetime', plan_key: 'pro_lifetime', currency: 'usd' })]);
+    expect(await planChange.getLifetimePriceFor(eurSubscription, lifetimePlan)).toBeNull();
+
+    getAll.mockRestore();
+  });
+
+  test('schedules a period-end change as a second schedule phase', async () => {
+    const stripeClient = {
+      subscriptionSchedules: {
+        create: jest.fn().mockResolvedValue({ id: 'sub_sched_123', current_phase: { start_date: now - 10 * DAY } }),
+        update: jest.fn().mockResolvedValue({ id: 'sub_sched_123' })
+      }
+    };
+    const stripeSubscription = buildStripeSubscription();
+
+    await planChange.schedulePeriodEndChange(stripeSubscription, yearlyPlan, { stripeClient });
+
+    expect(stripeClient.subscriptionSchedules.create).toHaveBeenCalledWith({ from_subscription: 'sub_123' });
+    const [, params] = stripeClient.subscriptionSchedules.update.mock.calls[0];
+    expect(params.phases[0]).toEqual(expect.objectContaining({
+      items: [{ price: 'price_monthly', quantity: 1 }],
+      end_date: stripeSubscription.current_period_end
+    }));
+    expect(params.phases[1].items).toEqual([{ price: 'price_yearly', quantity: 1 }]);
+  });
+
+  test('does not cancel a replaced subscription twice', async () => {
+    const stripeClient = {
+      subscriptions: {
+        retrieve: jest.fn().mockResolvedValue(buildStripeSubscription({ status: 'canceled' })),
+        cancel: jest.fn()
+      }
+    };
+
+    await planChange.cancelReplacedSubscription('sub_123', { stripeClient });
+
+    expect(stripeClient.subscriptions.cancel).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,42 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+
+const PlanFeature = require('../models/PlanFeature');
+
+const feature = (planKey, featureKey, value) => new PlanFeature({ plan_key: planKey, feature_key: featureKey, value });
+
+const features = [
+  feature('pro_monthly', 'max_vms', 100),
+  feature('pro_monthly', 'snapshots', true),
+  feature('license_pro_monthly', 'max_vms', 10),
+  feature('trial', 'snapshots', true)
+];
+
+describe('PlanFeature', () => {
+  test('applies plan features on top of the defaults', () => {
+    expect(PlanFeature.buildFeatureSet(features, 'pro_monthly')).toEqual({
+      max_vms: 100,
+      snapshots: true,
+      usb_passthrough: false
+    });
+    expect(PlanFeature.buildFeatureSet(features, null)).toEqual({
+      max_vms: 2,
+      snapshots: false,
+      usb_passthrough: false
+    });
+  });
+
+  test('lets a license plan override the features of its plan', () => {
+    expect(PlanFeature.getPlanKeyChain('license_pro_monthly')).toEqual(['pro_monthly', 'license_pro_monthly']);
+    expect(PlanFeature.buildFeatureSet(features, 'license_pro_monthly')).toEqual(expect.objectContaining({
+      max_vms: 10,
+      snapshots: true
+    }));
+  });
+
+  test('picks the plan whose features an access level gets', () => {
+    expect(PlanFeature.getPlanKeyForAccess('lifetime', 'pro_lifetime')).toBe('pro_lifetime');
+    expect(PlanFeature.getPlanKeyForAccess('active', 'license_pro_monthly')).toBe('license_pro_monthly');
+    expect(PlanFeature.getPlanKeyForAccess('trial', null)).toBe('trial');
+    expect(PlanFeature.getPlanKeyForAccess('none', 'pro_yearly')).toBe('free');
+  });
+});
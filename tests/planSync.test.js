@@ -0,0 +1,143 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+jest.mock('../config/stripe', () => ({ stripe: {} }));
+jest.mock('../models/StripePlan');
+
+const StripePlan = require('../models/StripePlan');
+const { syncStripePlans } = require('../services/planSync');
+
+const product = {
+  id: 'prod_pro',
+  name: 'UTM Pro',
+  active: true,
+  metadata: {}
+};
+
+const buildPrice = (id, overrides = {}) => ({
+  id,
+  type: 'recurring',
+  recurring: { interval: 'month', interval_count: 1 },
+  unit_amount: 999,
+  currency: 'usd',
+  nickname: null,
+  product,
+  metadata: { plan_key: 'pro_monthly' },
+  ...overrides
+});
+
+const buildPlan = (overrides = {}) => ({
+  stripePriceId: 'price_monthly',
+  planKey: 'pro_monthly',
+  name: 'UTM Pro',
+  period: 'monthly',
+  amount: 999,
+  currency: 'usd',
+  stripeProductId: 'prod_pro',
+  productName: 'UTM Pro',
+  metadata: { plan_key: 'pro_monthly' },
+  active: true,
+  version: 1,
+  update: jest.fn().mockResolvedValue(undefined),
+  ...overrides
+});
+
+const buildStripeClient = (prices) => ({
+  prices: {
+    list: jest.fn().mockResolvedValue({ data: prices, has_more: false })
+  }
+});
+
+describe('syncStripePlans', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('creates, updates, deactivates and skips plans and reports the changes', async () => {
+    const monthly = buildPlan();
+    const yearly = buildPlan({
+      stripePriceId: 'price_yearly',
+      planKey: 'pro_yearly',
+      period: 'yearly',
+      amount: 8999,
+      metadata: { plan_key: 'pro_yearly' }
+    });
+    const removed = buildPlan({ stripePriceId: 'price_monthly_pro', planKey: 'pro_monthly' });
+
+    const plans = { price_monthly: monthly, price_yearly: yearly };
+    StripePlan.getByStripePriceId.mockImplementation(async (priceId) => plans[priceId] || null);
+    StripePlan.getAll.mockImplementation(async (options) => options.planKey ? [] : [monthly, yearly, removed]);
+
+    const stripeClient = buildStripeClient([
+      buildPrice('price_monthly'),
+      buildPrice('price_yearly', {
+        recurring: { interval: 'year', interval_count: 1 },
+        unit_amount: 9999,
+        metadata: { plan_key: 'pro_yearly' }
+      }),
+      buildPrice('price_lifetime', { type: 'one_time', recurring: null, unit_amount: 29999, metadata: { plan_key: 'pro_lifetime' } }),
+      buildPrice('price_untagged', { metadata: {} })
+    ]);
+
+    const report = await syncStripePlans({ stripeClient });
+
+    expect(stripeClient.prices.list).toHaveBeenCalledWith(expect.objectContaining({ active: true, expand: ['data.product'] }));
+    expect(StripePlan.create).toHaveBeenCalledWith(expect.objectContaining({
+      stripe_price_id: 'price_lifetime',
+      plan_key: 'pro_lifetime',
+      period: 'lifetime',
+      amount: 29999,
+      product_name: 'UTM Pro',
+      version: 1,
+      active: true
+    }));
+    expect(report.unchanged).toBe(1);
+    expect(report.updated).toEqual([{
+      stripe_price_id: 'price_yearly',
+      plan_key: 'pro_yearly',
+      changes: { amount: { from: 8999, to: 9999 } }
+    }]);
+    expect(yearly.update).toHaveBeenCalledWith({ amount: 9999 });
+    expect(removed.update).toHaveBeenCalledWith({ active: false, archived_at: expect.any(String) });
+    expect(report.deactivated).toEqual([{ stripe_price_id: 'price_monthly_pro', plan_key: 'pro_monthly' }]);
+    expect(report.skipped).toEqual([expect.objectContaining({ stripe_price_id: 'price_untagged' })]);
+  });
+
+  test('adds a new price as the next version and archives the one it replaces', async () => {
+    const current = buildPlan();
+    StripePlan.getByStripePriceId.mockImplementation(async (priceId) => priceId === 'price_monthly' ? current : null);
+    StripePlan.getAll.mockImplementation(async (options) => options.planKey ? [current] : []);
+
+    const report = await syncStripePlans({
+      stripeClient: buildStripeClient([
+        buildPrice('price_monthly_v2', { unit_amount: 1299, created: 2000 }),
+        buildPrice('price_monthly', { created: 1000 })
+      ])
+    });
+
+    expect(StripePlan.create).toHaveBeenCalledWith(expect.objectContaining({
+      stripe_price_id: 'price_monthly_v2',
+      amount: 1299,
+      version: 2,
+      active: true,
+      archived_at: null
+    }));
+    expect(current.update).toHaveBeenCalledWith({ active: false, archived_at: expect.any(String) });
+    expect(report.updated).toEqual([{
+      stripe_price_id: 'price_monthly',
+      plan_key: 'pro_monthly',
+      changes: { active: { from: true, to: false } }
+    }]);
+  });
+
+  test('does not write anything on a dry run', async () => {
+    const removed = buildPlan({ stripePriceId: 'price_old' });
+    StripePlan.getByStripePriceId.mockResolvedValue(null);
+    StripePlan.getAll.mockImplementation(async (options) => options.planKey ? [] : [removed]);
+
+    const report = await syncStripePlans({ stripeClient: buildStripeClient([buildPrice('price_monthly')]), dryRun: true });
+
+    expect(report.created).toHaveLength(1);
+    expect(report.deactivated).toHaveLength(1);
+    expect(StripePlan.create).not.toHaveBeenCalled();
+    expect(removed.update).not.toHaveBeenCalled();
+  });
+});
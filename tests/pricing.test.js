@@ -0,0 +1,57 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+
+const StripePlan = require('../models/StripePlan');
+const pricing = require('../services/pricing');
+
+const buildPlan = (stripePriceId, planKey, amount, currency) => new StripePlan({
+  stripe_price_id: stripePriceId,
+  plan_key: planKey,
+  name: 'UTM Pro',
+  period: planKey.endsWith('yearly') ? 'yearly' : 'monthly',
+  amount,
+  currency
+});
+
+const buildRequest = (headers = {}) => ({
+  get: (name) => headers[name.toLowerCase()]
+});
+
+const plans = [
+  buildPlan('price_monthly_usd', 'pro_monthly', 999, 'usd'),
+  buildPlan('price_monthly_eur', 'pro_monthly', 899, 'eur'),
+  buildPlan('price_monthly_jpy', 'pro_monthly', 1500, 'jpy'),
+  buildPlan('price_yearly_usd', 'pro_yearly', 9999, 'usd')
+];
+
+describe('pricing', () => {
+  test('prefers an explicit currency over the country hint', () => {
+    const req = buildRequest({ 'x-country-code': 'de' });
+
+    expect(pricing.resolveRequestCurrency(req, 'GBP')).toEqual({ currency: 'gbp', country: 'DE', explicit: true });
+    expect(pricing.resolveRequestCurrency(req)).toEqual({ currency: 'eur', country: 'DE', explicit: false });
+    expect(pricing.resolveRequestCurrency(buildRequest({ 'cf-ipcountry': 'JP' }))).toEqual(expect.objectContaining({ currency: 'jpy' }));
+    expect(pricing.resolveRequestCurrency(buildRequest({ 'cf-ipcountry': 'XX' }))).toEqual(expect.objectContaining({ currency: null }));
+  });
+
+  test('falls back to the default currency when a plan has no price in the requested one', () => {
+    const monthly = plans.filter(plan => plan.planKey === 'pro_monthly');
+
+    expect(pricing.selectPlanPrice(monthly, 'eur').stripePriceId).toBe('price_monthly_eur');
+    expect(pricing.selectPlanPrice(monthly, 'gbp').stripePriceId).toBe('price_monthly_usd');
+    expect(pricing.selectPlanPrice([], 'usd')).toBeNull();
+  });
+
+  test('groups prices by plan key', () => {
+    const grouped = pricing.groupPlans(plans, 'jpy');
+
+    expect(grouped).toHaveLength(2);
+    expect(grouped[0]).toEqual(expect.objectContaining({
+      id: 'price_monthly_jpy',
+      plan_key: 'pro_monthly',
+      currency: 'jpy',
+      formatted_price: '¥1,500'
+    }));
+    expect(grouped[0].prices.map(price => price.currency)).toEqual(['usd', 'eur', 'jpy']);
+    expect(grouped[1]).toEqual(expect.objectContaining({ id: 'price_yearly_usd', currency: 'usd' }));
+  });
+});
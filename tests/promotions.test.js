@@ -0,0 +1,93 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+jest.mock('../config/stripe', () => ({ stripe: {} }));
+
+const promotions = require('../services/promotions');
+
+const now = Math.floor(Date.now() / 1000);
+
+const plan = {
+  stripePriceId: 'price_monthly',
+  stripeProductId: 'prod_pro',
+  amount: 999,
+  currency: 'usd'
+};
+
+const buildPromotionCode = (overrides = {}) => ({
+  id: 'promo_123',
+  code: 'LAUNCH20',
+  active: true,
+  customer: null,
+  times_redeemed: 3,
+  max_redemptions: 100,
+  expires_at: now + 24 * 60 * 60,
+  restrictions: {},
+  coupon: { id: 'coupon_123', valid: true, percent_off: 20, currency: null, applies_to: { products: ['prod_pro'] } },
+  ...overrides
+});
+
+const buildStripeClient = (promotionCodes, { invoices = [], charges = [] } = {}) => ({
+  promotionCodes: { list: jest.fn().mockResolvedValue({ data: promotionCodes, has_more: false }) },
+  invoices: { list: jest.fn().mockResolvedValue({ data: invoices, has_more: false }) },
+  charges: { list: jest.fn().mockResolvedValue({ data: charges, has_more: false }) }
+});
+
+describe('promotions', () => {
+  test('resolves a valid promotion code for a plan', async () => {
+    const stripeClient = buildStripeClient([buildPromotionCode()]);
+
+    const result = await promotions.resolvePromotionCode('launch20', plan, { stripeClient, customerId: 'cus_123' });
+
+    expect(stripeClient.promotionCodes.list).toHaveBeenCalledWith(expect.objectContaining({ code: 'launch20', active: true }));
+    expect(result.promotionCode.id).toBe('promo_123');
+  });
+
+  test('rejects first-time codes for customers who have paid before', async () => {
+    const firstTimeCode = buildPromotionCode({ restrictions: { first_time_transaction: true } });
+
+    const returning = await promotions.resolvePromotionCode('launch20', plan, {
+      stripeClient: buildStripeClient([firstTimeCode], { charges: [{ id: 'ch_123', status: 'succeeded' }] }),
+      customerId: 'cus_123'
+    });
+    const firstTime = await promotions.resolvePromotionCode('launch20', plan, {
+      stripeClient: buildStripeClient([firstTimeCode], { charges: [{ id: 'ch_123', status: 'failed' }] }),
+      customerId: 'cus_123'
+    });
+
+    expect(returning).toEqual({ reason: 'Promotion code is only valid for a first purchase' });
+    expect(firstTime.promotionCode.id).toBe('promo_123');
+  });
+
+  test('rejects unknown codes', async () => {
+    const result = await promotions.resolvePromotionCode('NOPE', plan, { stripeClient: buildStripeClient([]) });
+
+    expect(result).toEqual({ reason: 'Invalid promotion code' });
+  });
+
+  test('explains why a code cannot be used', () => {
+    const issue = (overrides, customerId = 'cus_123') =>
+      promotions.getPromotionCodeIssue(buildPromotionCode(overrides), plan, customerId, now);
+
+    expect(issue({})).toBeNull();
+    expect(issue({ expires_at: now - 1 })).toBe('Promotion code has expired');
+    expect(issue({ times_redeemed: 100 })).toBe('Promotion code has been fully redeemed');
+    expect(issue({ customer: 'cus_other' })).toBe('Invalid promotion code');
+    expect(issue({ coupon: { valid: true, applies_to: { products: ['prod_other'] } } }))
+      .toBe('Promotion code does not apply to this plan');
+    expect(issue({ restrictions: { minimum_amount: 5000, minimum_amount_currency: 'usd' } }))
+      .toBe('Promotion code does not apply to this plan');
+  });
+
+  test('reports usage counts when listing promotion codes', async () => {
+    const stripeClient = buildStripeClient([buildPromotionCode()]);
+
+    const result = await promotions.listPromotionCodes({ stripeClient, coupon: 'coupon_123', active: true });
+
+    expect(stripeClient.promotionCodes.list).toHaveBeenCalledWith({ limit: 50, coupon: 'coupon_123', active: true });
+    expect(result.promotion_codes[0]).toEqual(expect.objectContaining({
+      code: 'LAUNCH20',
+      times_redeemed: 3,
+      max_redemptions: 100,
+      coupon: expect.objectContaining({ id: 'coupon_123', percent_off: 20 })
+    }));
+  });
+});
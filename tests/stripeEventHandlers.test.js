@@ -0,0 +1,216 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+jest.mock('../config/stripe', () => ({ getCustomer: jest.fn(), getCharge: jest.fn() }));
+jest.mock('../models/StripePlan');
+jest.mock('../services/webhookStores', () => ({ applyToStores: jest.fn() }));
+
+const StripePlan = require('../models/StripePlan');
+const { getCharge } = require('../config/stripe');
+const { applyToStores } = require('../services/webhookStores');
+const WebhookDispatcher = require('../services/webhookDispatcher');
+const { registerStripeEventHandlers } = require('../services/stripeEventHandlers');
+
+const buildEvent = (type, object) => ({
+  id: 'evt_test_' + Date.now(),
+  type,
+  created: Math.floor(Date.now() / 1000),
+  data: { object }
+});
+
+const lifetimePlan = {
+  planKey: 'pro_lifetime',
+  isLifetime: () => true
+};
+
+describe('Stripe event handlers', () => {
+  let dispatcher;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    dispatcher = registerStripeEventHandlers(new WebhookDispatcher());
+  });
+
+  test('grants a lifetime entitlement for a paid payment-mode checkout', async () => {
+    StripePlan.getByStripePriceId.mockResolvedValue(lifetimePlan);
+
+    await dispatcher.dispatch(buildEvent('checkout.session.completed', {
+      id: 'cs_lifetime',
+      mode: 'payment',
+      payment_status: 'paid',
+      customer: 'cus_123',
+      payment_intent: 'pi_123',
+      metadata: { uid: 'user_1', price_id: 'price_lifetime' }
+    }));
+
+    expect(applyToStores).toHaveBeenCalledTimes(1);
+    const [method, change] = applyToStores.mock.calls[0];
+    expect(method).toBe('lifetimePurchased');
+    expect(change).toEqual(expect.objectContaining({
+      customerId: 'cus_123',
+      paymentIntentId: 'pi_123',
+      plan: lifetimePlan,
+      status: 'active'
+    }));
+  });
+
+  test('waits for delayed payments before granting the entitlement', async () => {
+    await dispatcher.dispatch(buildEvent('checkout.session.completed', {
+      id: 'cs_pending',
+      mode: 'payment',
+      payment_status: 'unpaid',
+      metadata: { uid: 'user_1', price_id: 'price_lifetime' }
+    }));
+
+    expect(applyToStores).not.toHaveBeenCalled();
+  });
+
+  test('activates the subscription for a subscription-mode checkout', async () => {
+    await dispatcher.dispatch(buildEvent('checkout.session.completed', {
+      id: 'cs_monthly',
+      mode: 'subscription',
+      customer: 'cus_123',
+      subscription: 'sub_123',
+      metadata: { guest_id: 'guest_1' }
+    }));
+
+    expect(applyToStores).toHaveBeenCalledWith('checkoutCompleted', expect.objectContaining({
+      subscriptionId: 'sub_123',
+      status: 'active'
+    }));
+  });
+
+  test('keeps a failed renewal past_due while Stripe retries and expires it after the last attempt', async () => {
+    const nextAttempt = Math.floor(Date.now() / 1000) + 3 * 24 * 60 * 60;
+
+    await dispatcher.dispatch(buildEvent('invoice.payment_failed', {
+      id: 'in_retry',
+      customer: 'cus_123',
+      subscription: 'sub_123',
+      attempt_count: 2,
+      next_payment_attempt: nextAttempt
+    }));
+    await dispatcher.dispatch(buildEvent('invoice.payment_failed', {
+      id: 'in_final',
+      customer: 'cus_123',
+      subscription: 'sub_123',
+      attempt_count: 4,
+      next_payment_attempt: null
+    }));
+
+    expect(applyToStores.mock.calls[0][1]).toEqual(expect.objectContaining({
+      status: 'past_due',
+      paymentFailure: { attemptCount: 2, nextPaymentAttemptAt: new Date(nextAttempt * 1000).toISOString() }
+    }));
+    expect(applyToStores.mock.calls[1][1]).toEqual(expect.objectContaining({
+      status: 'expired',
+      paymentFailure: { attemptCount: 4, nextPaymentAttemptAt: null }
+    }));
+  });
+
+  test('reports a subscription with paused collection as paused', async () => {
+    const resumesAt = Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60;
+
+    await dispatcher.dispatch(buildEvent('customer.subscription.updated', {
+      id: 'sub_123',
+      customer: 'cus_123',
+      status: 'active',
+      pause_collection: { behavior: 'void', resumes_at: resumesAt },
+      items: { data: [] }
+    }));
+
+    expect(applyToStores).toHaveBeenCalledWith('subscriptionChanged', expect.objectContaining({
+      subscriptionId: 'sub_123',
+      status: 'paused',
+      pauseResumesAt: new Date(resumesAt * 1000).toISOString()
+    }));
+  });
+
+  test('syncs the email when a customer changes it in the billing portal', async () => {
+    const event = buildEvent('customer.updated', { id: 'cus_123', email: 'new@example.com' });
+    event.data.previous_attributes = { email: 'old@example.com' };
+
+    await dispatcher.dispatch(event);
+
+    expect(applyToStores).toHaveBeenCalledWith('customerUpdated', expect.objectContaining({
+      customerId: 'cus_123',
+      email: 'new@example.com'
+    }));
+  });
+
+  test('ignores customer updates that do not change the email', async () => {
+    const event = buildEvent('customer.updated', { id: 'cus_123', email: 'same@example.com' });
+    event.data.previous_attributes = { name: 'Old Name' };
+
+    await dispatcher.dispatch(event);
+
+    expect(applyToStores).not.toHaveBeenCalled();
+  });
+
+  test('revokes a lifetime purchase on a full refund only', async () => {
+    const charge = {
+      id: 'ch_123',
+      customer: 'cus_123',
+      payment_intent: 'pi_123',
+      amount_refunded: 29999,
+      currency: 'usd'
+    };
+
+    await dispatcher.dispatch(buildEvent('charge.refunded', { ...charge, refunded: false, amount_refunded: 1000 }));
+    await dispatcher.dispatch(buildEvent('charge.refunded', { ...charge, refunded: true }));
+
+    expect(applyToStores).toHaveBeenCalledTimes(1);
+    expect(applyToStores).toHaveBeenCalledWith('entitlementChanged', expect.objectContaining({
+      paymentIntentId: 'pi_123',
+      entitlement: expect.objectContaining({ action: 'revoked', reason: 'refund', chargeId: 'ch_123' })
+    }));
+  });
+
+  test('restores access when a dispute is won', async () => {
+    getCharge.mockResolvedValue({ id: 'ch_123', customer: 'cus_123', payment_intent: 'pi_123' });
+
+    await dispatcher.dispatch(buildEvent('charge.dispute.closed', {
+      id: 'dp_123',
+      charge: 'ch_123',
+      payment_intent: 'pi_123',
+      status: 'won',
+      amount: 999,
+      currency: 'usd'
+    }));
+
+    expect(applyToStores).toHaveBeenCalledWith('entitlementChanged', expect.objectContaining({
+      customerId: 'cus_123',
+      matchByCustomer: true,
+      entitlement: expect.objectContaining({ action: 'restored', reason: 'dispute_won', disputeId: 'dp_123' })
+    }));
+  });
+
+  test('revokes access when a dispute is lost, not when it is opened', async () => {
+    getCharge.mockResolvedValue({ id: 'ch_123', customer: 'cus_123', payment_intent: 'pi_123' });
+    const dispute = { id: 'dp_123', charge: 'ch_123', amount: 999, currency: 'usd' };
+
+    await dispatcher.dispatch(buildEvent('charge.dispute.created', { ...dispute, status: 'needs_response' }));
+    expect(applyToStores).not.toHaveBeenCalled();
+
+    await dispatcher.dispatch(buildEvent('charge.dispute.closed', { ...dispute, status: 'lost' }));
+    expect(applyToStores).toHaveBeenCalledWith('entitlementChanged', expect.objectContaining({
+      entitlement: expect.objectContaining({ action: 'revoked', reason: 'dispute_lost', disputeId: 'dp_123' })
+    }));
+  });
+
+  test('revokes access on an opened dispute when configured to', async () => {
+    process.env.REVOKE_ON_DISPUTE_OPENED = 'true';
+    getCharge.mockResolvedValue({ id: 'ch_123', customer: 'cus_123', payment_intent: 'pi_123' });
+
+    await dispatcher.dispatch(buildEvent('charge.dispute.created', {
+      id: 'dp_123',
+      charge: 'ch_123',
+      status: 'needs_response',
+      amount: 999,
+      currency: 'usd'
+    }));
+    delete process.env.REVOKE_ON_DISPUTE_OPENED;
+
+    expect(applyToStores).toHaveBeenCalledWith('entitlementChanged', expect.objectContaining({
+      entitlement: expect.objectContaining({ action: 'revoked', reason: 'dispute_opened' })
+    }));
+  });
+});
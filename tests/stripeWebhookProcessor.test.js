@@ -0,0 +1,120 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+jest.mock('../config/stripe', () => ({ getCustomer: jest.fn(), getCharge: jest.fn() }));
+jest.mock('../models/StripePlan');
+jest.mock('../models/WebhookDeadLetter');
+
+const UserSubscription = require('../models/UserSubscription');
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+const { processEvent } = require('../services/stripeWebhookProcessor');
+
+const LAST_EVENT_CREATED = 1700000000;
+
+const buildEvent = (type, created, object = {}) => ({
+  id: `evt_${type}_${created}`,
+  type,
+  created,
+  data: {
+    object: { id: 'sub_123', customer: 'cus_123', status: 'active', items: { data: [] }, ...object }
+  }
+});
+
+// Ledger entry whose status follows the mark* calls
+const ledgerEntry = () => {
+  const webhookEvent = { status: 'processing' };
+  ['processed', 'ignored', 'stale', 'failed'].forEach((status) => {
+    const method = `mark${status[0].toUpperCase()}${status.slice(1)}`;
+    webhookEvent[method] = jest.fn(async () => {
+      webhookEvent.status = status;
+      return webhookEvent;
+    });
+  });
+  return webhookEvent;
+};
+
+const storedSubscription = (data = {}) => {
+  const subscription = new UserSubscription({
+    id: 'subscription_1',
+    stripe_subscription_id: 'sub_123',
+    status: 'active',
+    last_stripe_event_created: LAST_EVENT_CREATED,
+    last_stripe_event_id: 'evt_last',
+    ...data
+  });
+  subscription.update = jest.fn(async () => subscription);
+  return subscription;
+};
+
+describe('Stripe webhook processing', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records an event older than the last applied one as stale without applying it', async () => {
+    const subscription = storedSubscription({ status: 'canceled' });
+    jest.spyOn(UserSubscription, 'getByStripeSubscriptionId').mockResolvedValue(subscription);
+    const webhookEvent = ledgerEntry();
+
+    const status = await processEvent(buildEvent('customer.subscription.updated', LAST_EVENT_CREATED - 5), webhookEvent);
+
+    expect(status).toBe('stale');
+    expect(webhookEvent.markStale).toHaveBeenCalledWith('Older than the last event applied to the subscription');
+    expect(subscription.update).not.toHaveBeenCalled();
+  });
+
+  test('does not revive a subscription canceled by an event of the same second', async () => {
+    const subscription = storedSubscription({ status: 'canceled' });
+    jest.spyOn(UserSubscription, 'getByStripeSubscriptionId').mockResolvedValue(subscription);
+    const webhookEvent = ledgerEntry();
+
+    const status = await processEvent(buildEvent('customer.subscription.updated', LAST_EVENT_CREATED), webhookEvent);
+
+    expect(status).toBe('stale');
+    expect(subscription.update).not.toHaveBeenCalled();
+  });
+
+  test('applies a newer event and records the event it came from', async () => {
+    const subscription = storedSubscription();
+    jest.spyOn(UserSubscription, 'getByStripeSubscriptionId').mockResolvedValue(subscription);
+    const webhookEvent = ledgerEntry();
+    const event = buildEvent('customer.subscription.deleted', LAST_EVENT_CREATED + 1, { status: 'canceled' });
+
+    const status = await processEvent(event, webhookEvent);
+
+    expect(status).toBe('processed');
+    expect(subscription.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'canceled',
+      last_stripe_event_created: LAST_EVENT_CREATED + 1,
+      last_stripe_event_id: event.id
+    }));
+    expect(WebhookDeadLetter.resolveByStripeEventId).toHaveBeenCalledWith(event.id);
+  });
+
+  test('marks a failed event and adds it to the dead-letter store', async () => {
+    const error = new Error('Database unavailable');
+    jest.spyOn(UserSubscription, 'getByStripeSubscriptionId').mockRejectedValue(error);
+    const webhookEvent = ledgerEntry();
+    const event = buildEvent('customer.subscription.updated', LAST_EVENT_CREATED + 1);
+
+    await expect(processEvent(event, webhookEvent)).rejects.toThrow('Database unavailable');
+
+    expect(webhookEvent.markFailed).toHaveBeenCalledWith(error);
+    expect(WebhookDeadLetter.recordFailure).toHaveBeenCalledWith(event, error, webhookEvent);
+    expect(WebhookDeadLetter.resolveByStripeEventId).not.toHaveBeenCalled();
+  });
+
+  test('keeps a handled event processed when its dead letter cannot be resolved', async () => {
+    jest.spyOn(UserSubscription, 'getByStripeSubscriptionId').mockResolvedValue(storedSubscription());
+    WebhookDeadLetter.resolveByStripeEventId.mockRejectedValue(new Error('Database unavailable'));
+    const webhookEvent = ledgerEntry();
+
+    const status = await processEvent(buildEvent('customer.subscription.updated', LAST_EVENT_CREATED + 1), webhookEvent);
+
+    expect(status).toBe('processed');
+    expect(webhookEvent.markFailed).not.toHaveBeenCalled();
+    expect(WebhookDeadLetter.recordFailure).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,124 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+jest.mock('../config/stripe', () => ({ stripe: {}, getCustomer: jest.fn() }));
+jest.mock('../models/UserSubscription');
+jest.mock('../models/StripePlan');
+
+const UserSubscription = require('../models/UserSubscription');
+const StripePlan = require('../models/StripePlan');
+const { reconcileSubscriptions } = require('../services/subscriptionReconciliation');
+
+const PERIOD_START = 1735689600; // 2025-01-01T00:00:00Z
+const PERIOD_END = 1738368000; // 2025-02-01T00:00:00Z
+
+const buildStripeSubscription = (id, overrides = {}) => ({
+  id,
+  customer: 'cus_' + id,
+  status: 'active',
+  current_period_start: PERIOD_START,
+  current_period_end: PERIOD_END,
+  items: { data: [{ price: { id: 'price_monthly' } }] },
+  ...overrides
+});
+
+const buildRow = (overrides = {}) => ({
+  id: 'row_' + (overrides.stripeSubscriptionId || 'sub'),
+  status: 'active',
+  planId: 'monthly',
+  stripePriceId: 'price_monthly',
+  currentPeriodEnd: '2025-02-01T00:00:00',
+  cancelAtPeriodEnd: false,
+  update: jest.fn().mockResolvedValue(undefined),
+  ...overrides
+});
+
+// Stand-in for the Stripe client that serves subscriptions one page at a time
+const buildStripeClient = (pages) => ({
+  subscriptions: {
+    list: jest.fn(async ({ starting_after: startingAfter }) => {
+      const index = startingAfter
+        ? pages.findIndex(page => page.some(sub => sub.id === startingAfter)) + 1
+        : 0;
+      return { data: pages[index], has_more: index < pages.length - 1 };
+    })
+  }
+});
+
+describe('reconcileSubscriptions', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    StripePlan.getByStripePriceId.mockImplementation(async (priceId) => ({
+      stripePriceId: priceId,
+      planKey: priceId.replace('price_', '')
+    }));
+    UserSubscription.getAllWithStripeSubscription.mockResolvedValue([]);
+  });
+
+  test('pages through Stripe and reports drift, missing rows and orphans', async () => {
+    const rows = {
+      sub_ok: buildRow({ stripeSubscriptionId: 'sub_ok' }),
+      sub_drift: buildRow({ stripeSubscriptionId: 'sub_drift', status: 'active', currentPeriodEnd: null })
+    };
+    UserSubscription.getByStripeSubscriptionId.mockImplementation(async (id) => rows[id] || null);
+    UserSubscription.getAllWithStripeSubscription.mockResolvedValue([
+      rows.sub_ok,
+      rows.sub_drift,
+      buildRow({ stripeSubscriptionId: 'sub_gone' })
+    ]);
+
+    const stripeClient = buildStripeClient([
+      [buildStripeSubscription('sub_ok'), buildStripeSubscription('sub_drift', { status: 'past_due' })],
+      [buildStripeSubscription('sub_new')]
+    ]);
+
+    const report = await reconcileSubscriptions({ stripeClient });
+
+    expect(stripeClient.subscriptions.list).toHaveBeenCalledTimes(2);
+    expect(stripeClient.subscriptions.list).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: 'all', starting_after: 'sub_drift' })
+    );
+    expect(report.checked).toBe(3);
+    expect(report.in_sync).toBe(1);
+    expect(report.drifted).toHaveLength(1);
+    expect(report.drifted[0].issues.map(issue => issue.field)).toEqual(['status', 'current_period_end']);
+    expect(report.drifted[0].repaired).toBe(false);
+    expect(report.missing_in_database).toEqual([
+      expect.objectContaining({ stripe_subscription_id: 'sub_new' })
+    ]);
+    expect(report.missing_in_stripe).toEqual([
+      expect.objectContaining({ stripe_subscription_id: 'sub_gone' })
+    ]);
+    expect(rows.sub_drift.update).not.toHaveBeenCalled();
+  });
+
+  test('repairs drifted rows to match Stripe when requested', async () => {
+    const row = buildRow({ stripeSubscriptionId: 'sub_plan', planId: 'monthly', stripePriceId: 'price_monthly' });
+    UserSubscription.getByStripeSubscriptionId.mockResolvedValue(row);
+
+    const stripeClient = buildStripeClient([[
+      buildStripeSubscription('sub_plan', { items: { data: [{ price: { id: 'price_yearly' } }] } })
+    ]]);
+
+    const report = await reconcileSubscriptions({ stripeClient, repair: true });
+
+    expect(report.drifted[0].repaired).toBe(true);
+    expect(row.update).toHaveBeenCalledWith(expect.objectContaining({
+      stripe_price_id: 'price_yearly',
+      plan_id: 'yearly',
+      last_stripe_event_created: expect.any(Number)
+    }));
+  });
+
+  test('leaves rows revoked after a refund or dispute alone', async () => {
+    const row = buildRow({ stripeSubscriptionId: 'sub_revoked', status: 'revoked' });
+    UserSubscription.getByStripeSubscriptionId.mockResolvedValue(row);
+
+    const report = await reconcileSubscriptions({
+      stripeClient: buildStripeClient([[buildStripeSubscription('sub_revoked')]]),
+      repair: true
+    });
+
+    expect(report.in_sync).toBe(1);
+    expect(report.drifted).toEqual([]);
+    expect(row.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+jest.mock('../src/middleware/auth', () => (req, res, next) => {
+  req.user = { firebaseUid: 'user_1', email: 'user@example.com', supabaseUserId: 'supabase_user_1' };
+  next();
+});
+jest.mock('../services/licenseActivation', () => ({ activateLicense: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+
+const LicenseKey = require('../models/LicenseKey');
+const { activateLicense } = require('../services/licenseActivation');
+const { generateLicenseKey } = require('../utils/licenseKeyFormat');
+const subscriptionRoutes = require('../src/routes/subscription');
+
+describe('POST /api/subscriptions/redeem-license', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/subscriptions', subscriptionRoutes);
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const redeem = (licenseKey) => request(app)
+    .post('/api/subscriptions/redeem-license')
+    .send({ licenseKey });
+
+  test('looks up a key typed in lowercase with spaces in its stored form', async () => {
+    const key = generateLicenseKey();
+    const licenseKey = new LicenseKey({ id: 'license_1', plan_id: 'pro_lifetime', expires_at: null });
+    jest.spyOn(LicenseKey, 'getByKey').mockResolvedValue(licenseKey);
+    activateLicense.mockResolvedValue({ activation: { id: 'activation_1' }, created: true });
+
+    const response = await redeem(key.toLowerCase().replace(/-/g, ' '));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ success: true, plan_id: 'pro_lifetime', expires_at: null });
+    expect(LicenseKey.getByKey).toHaveBeenCalledWith(key);
+    expect(activateLicense).toHaveBeenCalledWith(licenseKey, { uid: 'user_1' });
+  });
+
+  test('reports a mistyped key without looking it up', async () => {
+    jest.spyOn(LicenseKey, 'getByKey');
+
+    const response = await redeem('UTM2-AAAAA-BBBBB-CCCCC-DDDDD');
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, error: 'This license key is not valid. Did you mistype it?' });
+    expect(LicenseKey.getByKey).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+jest.mock('../config/stripe', () => ({
+  stripe: {},
+  createBillingPortalSession: jest.fn(),
+  cancelSubscription: jest.fn(),
+  pauseSubscription: jest.fn(),
+  resumeSubscription: jest.fn()
+}));
+jest.mock('../models/StripePlan');
+jest.mock('../middleware/firebaseAuth', () => ({
+  firebaseAuth: (req, res, next) => {
+    req.user = { uid: 'user_1' };
+    next();
+  },
+  optionalFirebaseAuth: (req, res, next) => {
+    req.user = { uid: 'user_1' };
+    next();
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+
+const { stripe, cancelSubscription, pauseSubscription, resumeSubscription } = require('../config/stripe');
+const StripePlan = require('../models/StripePlan');
+const UserSubscription = require('../models/UserSubscription');
+const paywallRoutes = require('../routes/paywall');
+
+const storedSubscription = (data = {}) => {
+  const subscription = new UserSubscription({
+    id: 'subscription_1',
+    uid: 'user_1',
+    stripe_customer_id: 'cus_123',
+    stripe_subscription_id: 'sub_123',
+    plan_id: 'pro_monthly',
+    status: 'active',
+    ...data
+  });
+  subscription.update = jest.fn(async () => subscription);
+  return subscription;
+};
+
+describe('subscription management routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api', paywallRoutes);
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['/api/cancel-subscription', cancelSubscription],
+    ['/api/pause-subscription', pauseSubscription],
+    ['/api/resume-subscription', resumeSubscription]
+  ])('%s does not touch a revoked subscription', async (path, stripeCall) => {
+    const subscription = storedSubscription({ status: 'revoked', cancel_at_period_end: true });
+    jest.spyOn(UserSubscription, 'getByUid').mockResolvedValue(subscription);
+
+    const response = await request(app).post(path).send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, error: 'Subscription access has been revoked' });
+    expect(stripeCall).not.toHaveBeenCalled();
+    expect(subscription.update).not.toHaveBeenCalled();
+  });
+
+  test('manages the Stripe subscription of a user who also redeemed a license', async () => {
+    const subscription = storedSubscription();
+    jest.spyOn(UserSubscription, 'getAllByUid').mockResolvedValue([
+      new UserSubscription({ id: 'subscription_2', uid: 'user_1', plan_id: 'license_pro_lifetime', status: 'active' }),
+      subscription
+    ]);
+    cancelSubscription.mockResolvedValue({ status: 'active', cancel_at_period_end: true });
+
+    const response = await request(app).post('/api/cancel-subscription').send({});
+
+    expect(response.status).toBe(200);
+    expect(cancelSubscription).toHaveBeenCalledWith('sub_123', false);
+    expect(subscription.update).toHaveBeenCalledWith(expect.objectContaining({ cancel_at_period_end: true }));
+  });
+
+  describe('POST /api/create-checkout-session', () => {
+    const lifetimePlan = {
+      stripePriceId: 'price_lifetime',
+      active: true,
+      allowPromotionCodes: false,
+      isLifetime: () => true
+    };
+
+    beforeEach(() => {
+      StripePlan.getByStripePriceId.mockResolvedValue(lifetimePlan);
+      stripe.checkout = { sessions: { create: jest.fn().mockResolvedValue({ id: 'cs_123', url: 'https://checkout.stripe.com/cs_123' }) } };
+    });
+
+    afterEach(() => {
+      delete stripe.checkout;
+    });
+
+    test('sends a lifetime purchase with a running subscription to /change-plan', async () => {
+      jest.spyOn(UserSubscription, 'getByUid').mockResolvedValue(storedSubscription());
+
+      const response = await request(app)
+        .post('/api/create-checkout-session')
+        .send({ uid: 'user_1', price_id: 'price_lifetime' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Upgrade the current subscription to lifetime through /api/change-plan');
+      expect(stripe.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+
+    test('sells lifetime once the recurring subscription has ended', async () => {
+      jest.spyOn(UserSubscription, 'getByUid').mockResolvedValue(storedSubscription({ status: 'canceled' }));
+
+      const response = await request(app)
+        .post('/api/create-checkout-session')
+        .send({ uid: 'user_1', price_id: 'price_lifetime' });
+
+      expect(response.status).toBe(200);
+      expect(stripe.checkout.sessions.create).toHaveBeenCalledWith(expect.objectContaining({
+        customer: 'cus_123',
+        mode: 'payment'
+      }));
+    });
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+
+const UserSubscription = require('../models/UserSubscription');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('UserSubscription grace period', () => {
+  const originalGracePeriod = process.env.GRACE_PERIOD_DAYS;
+
+  afterEach(() => {
+    if (originalGracePeriod === undefined) {
+      delete process.env.GRACE_PERIOD_DAYS;
+    } else {
+      process.env.GRACE_PERIOD_DAYS = originalGracePeriod;
+    }
+  });
+
+  test('keeps access for a past_due subscription within the grace period', () => {
+    process.env.GRACE_PERIOD_DAYS = '7';
+    const subscription = new UserSubscription({
+      status: 'past_due',
+      past_due_since: new Date(Date.now() - 2 * DAY).toISOString(),
+      payment_failed_attempts: 2,
+      next_payment_attempt_at: new Date(Date.now() + DAY).toISOString()
+    });
+
+    expect(subscription.isActive()).toBe(true);
+    expect(subscription.getSubscriptionStatus()).toBe('active');
+    expect(subscription.getPaymentIssue()).toEqual(expect.objectContaining({
+      inGracePeriod: true,
+      failedAttempts: 2
+    }));
+  });
+
+  test('locks out a past_due subscription once the grace period is over', () => {
+    process.env.GRACE_PERIOD_DAYS = '3';
+    const subscription = new UserSubscription({
+      status: 'past_due',
+      past_due_since: new Date(Date.now() - 4 * DAY).toISOString()
+    });
+
+    expect(subscription.isActive()).toBe(false);
+    expect(subscription.getSubscriptionStatus()).toBe('past_due');
+    expect(subscription.getPaymentIssue().inGracePeriod).toBe(false);
+  });
+
+  test('has no payment issue when the subscription is paid up', () => {
+    const subscription = new UserSubscription({ status: 'active' });
+
+    expect(subscription.getPaymentIssue()).toBeNull();
+  });
+});
+
+describe('UserSubscription event ordering', () => {
+  const subscription = (data = {}) => new UserSubscription({
+    status: 'active',
+    last_stripe_event_created: 1700000000,
+    last_stripe_event_id: 'evt_last',
+    ...data
+  });
+
+  test('treats events older than the last applied one as stale', () => {
+    expect(subscription().isStaleEvent({ id: 'evt_old', created: 1699999999 })).toBe(true);
+    expect(subscription().isStaleEvent({ id: 'evt_new', created: 1700000001 })).toBe(false);
+  });
+
+  test('ignores an event of the same second once the subscription is canceled', () => {
+    const canceled = subscription({ status: 'canceled' });
+
+    expect(canceled.isStaleEvent({ id: 'evt_updated', created: 1700000000 })).toBe(true);
+    expect(canceled.isStaleEvent({ id: 'evt_last', created: 1700000000 })).toBe(false);
+    expect(subscription().isStaleEvent({ id: 'evt_updated', created: 1700000000 })).toBe(false);
+  });
+});
+
+describe('UserSubscription recurring billing', () => {
+  const subscription = (data) => new UserSubscription({ stripe_subscription_id: 'sub_123', status: 'active', ...data });
+
+  test('counts subscriptions Stripe still bills or will bill once resumed', () => {
+    expect(subscription({}).hasRecurringBilling()).toBe(true);
+    expect(subscription({ status: 'trial' }).hasRecurringBilling()).toBe(true);
+    expect(subscription({ status: 'paused' }).hasRecurringBilling()).toBe(true);
+  });
+
+  test('does not count ended subscriptions, lifetime purchases or licenses', () => {
+    expect(subscription({ status: 'canceled' }).hasRecurringBilling()).toBe(false);
+    expect(subscription({ is_lifetime: true }).hasRecurringBilling()).toBe(false);
+    expect(subscription({ stripe_subscription_id: null, plan_id: 'license_pro' }).hasRecurringBilling()).toBe(false);
+  });
+});
+
+describe('UserSubscription lookup', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('finds the user\'s own subscription next to newer license subscriptions', async () => {
+    const own = new UserSubscription({ id: 'subscription_1', uid: 'user_1', plan_id: 'pro_monthly', status: 'active' });
+    jest.spyOn(UserSubscription, 'getAllByUid').mockResolvedValue([
+      new UserSubscription({ id: 'subscription_2', uid: 'user_1', plan_id: 'license_pro_lifetime', status: 'active' }),
+      own
+    ]);
+
+    expect(await UserSubscription.getByUid('user_1')).toBe(own);
+  });
+
+  test('has no own subscription when every subscription came from a license', async () => {
+    jest.spyOn(UserSubscription, 'getAllByDeviceId').mockResolvedValue([
+      new UserSubscription({ id: 'subscription_1', device_id: 'device_1', plan_id: 'license_pro_lifetime', status: 'active' })
+    ]);
+
+    expect(await UserSubscription.getByDeviceId('device_1')).toBeNull();
+  });
+});
@@ -0,0 +1,356 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+jest.mock('../config/stripe', () => ({ getCustomer: jest.fn() }));
+jest.mock('../models/EntitlementAction');
+jest.mock('../models/Device');
+
+const UserSubscription = require('../models/UserSubscription');
+const EntitlementAction = require('../models/EntitlementAction');
+const { buildSubscriptionChange } = require('../services/stripeResolvers');
+const { STALE_EVENT } = require('../services/webhookDispatcher');
+const userSubscriptionsStore = require('../services/webhookStores/userSubscriptionsStore');
+
+const EVENT_CREATED = 1700000000;
+
+const buildEvent = (type, created = EVENT_CREATED) => ({ id: `evt_${type}`, type, created, data: { object: {} } });
+
+// Stored subscription whose update() applies the change to its row, like the model does
+const storedSubscription = (data = {}) => {
+  let row = {
+    id: 'subscription_1',
+    uid: 'user_1',
+    stripe_customer_id: 'cus_123',
+    stripe_subscription_id: 'sub_123',
+    plan_id: 'pro_monthly',
+    status: 'active',
+    last_stripe_event_created: EVENT_CREATED - 60,
+    ...data
+  };
+  const subscription = new UserSubscription(row);
+  subscription.update = jest.fn(async (updateData) => {
+    row = { ...row, ...updateData };
+    Object.assign(subscription, new UserSubscription(row));
+    return subscription;
+  });
+  return subscription;
+};
+
+const subscriptionChange = (type, fields, created) => buildSubscriptionChange(buildEvent(type, created), {
+  customerId: 'cus_123',
+  subscriptionId: 'sub_123',
+  ...fields
+});
+
+const entitlementChange = (type, entitlement) => buildSubscriptionChange(buildEvent(type), {
+  customerId: 'cus_123',
+  paymentIntentId: 'pi_123',
+  matchByCustomer: true,
+  entitlement: {
+    chargeId: 'ch_123',
+    disputeId: 'dp_123',
+    amount: 900,
+    currency: 'usd',
+    ...entitlement
+  }
+});
+
+describe('user_subscriptions webhook store', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('subscriptionChanged', () => {
+    test('does not apply an event older than the last applied one', async () => {
+      const subscription = storedSubscription({ last_stripe_event_created: EVENT_CREATED + 60 });
+      jest.spyOn(UserSubscription, 'getByStripeSubscriptionId').mockResolvedValue(subscription);
+
+      const result = await userSubscriptionsStore.subscriptionChanged(
+        subscriptionChange('customer.subscription.updated', { status: 'active' })
+      );
+
+      expect(result).toBe(STALE_EVENT);
+      expect(subscription.update).not.toHaveBeenCalled();
+    });
+
+    test('keeps a revoked subscription revoked on a subscription update', async () => {
+      const subscription = storedSubscription({ status: 'revoked' });
+      jest.spyOn(UserSubscription, 'getByStripeSubscriptionId').mockResolvedValue(subscription);
+
+      await userSubscriptionsStore.subscriptionChanged(
+        subscriptionChange('customer.subscription.updated', { status: 'active', cancelAtPeriodEnd: false })
+      );
+
+      expect(subscription.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'revoked',
+        last_stripe_event_id: 'evt_customer.subscription.updated'
+      }));
+    });
+
+    test('leaves a lifetime purchase alone', async () => {
+      const subscription = storedSubscription({ is_lifetime: true, plan_id: 'pro_lifetime' });
+      jest.spyOn(UserSubscription, 'getByStripeSubscriptionId').mockResolvedValue(subscription);
+
+      await userSubscriptionsStore.subscriptionChanged(
+        subscriptionChange('customer.subscription.deleted', { status: 'canceled' })
+      );
+
+      expect(subscription.update).not.toHaveBeenCalled();
+    });
+
+    test('records a scheduled cancellation and clears it once the subscription ends', async () => {
+      const subscription = storedSubscription();
+      jest.spyOn(UserSubscription, 'getByStripeSubscriptionId').mockResolvedValue(subscription);
+
+      await userSubscriptionsStore.subscriptionChanged(
+        subscriptionChange('customer.subscription.updated', { status: 'active', cancelAtPeriodEnd: true })
+      );
+      expect(subscription.update).toHaveBeenLastCalledWith(expect.objectContaining({
+        status: 'active',
+        cancel_at_period_end: true
+      }));
+
+      await userSubscriptionsStore.subscriptionChanged(
+        subscriptionChange('customer.subscription.deleted', { status: 'canceled', cancelAtPeriodEnd: true })
+      );
+      expect(subscription.update).toHaveBeenLastCalledWith(expect.objectContaining({
+        status: 'canceled',
+        cancel_at_period_end: false,
+        canceled_at: expect.any(String)
+      }));
+    });
+
+    test('tracks pauses and clears them on resume', async () => {
+      const subscription = storedSubscription();
+      jest.spyOn(UserSubscription, 'getByStripeSubscriptionId').mockResolvedValue(subscription);
+
+      await userSubscriptionsStore.subscriptionChanged(subscriptionChange('customer.subscription.updated', {
+        status: 'paused',
+        pauseResumesAt: '2023-12-01T00:00:00.000Z'
+      }));
+      expect(subscription.update).toHaveBeenLastCalledWith(expect.objectContaining({
+        status: 'paused',
+        paused_at: expect.any(String),
+        pause_resumes_at: '2023-12-01T00:00:00.000Z'
+      }));
+
+      await userSubscriptionsStore.subscriptionChanged(
+        subscriptionChange('customer.subscription.updated', { status: 'active' })
+      );
+      expect(subscription.update).toHaveBeenLastCalledWith(expect.objectContaining({
+        status: 'active',
+        paused_at: null,
+        pause_resumes_at: null
+      }));
+    });
+
+    test('starts the grace period on the first failed payment and ends it when paid', async () => {
+      const subscription = storedSubscription();
+      jest.spyOn(UserSubscription, 'getByStripeSubscriptionId').mockResolvedValue(subscription);
+
+      await userSubscriptionsStore.subscriptionChanged(subscriptionChange('invoice.payment_failed', {
+        status: 'past_due',
+        paymentFailure: { attemptCount: 1, nextPaymentAttemptAt: '2023-11-17T22:13:20.000Z' }
+      }));
+      expect(subscription.update).toHaveBeenLastCalledWith(expect.objectContaining({
+        status: 'past_due',
+        past_due_since: '2023-11-14T22:13:20.000Z',
+        payment_failed_attempts: 1,
+        next_payment_attempt_at: '2023-11-17T22:13:20.000Z'
+      }));
+
+      await userSubscriptionsStore.subscriptionChanged(subscriptionChange('invoice.payment_succeeded', {
+        status: 'active',
+        paymentFailure: { attemptCount: 0, nextPaymentAttemptAt: null }
+      }));
+      expect(subscription.update).toHaveBeenLastCalledWith(expect.objectContaining({
+        status: 'active',
+        past_due_since: null,
+        payment_failed_attempts: 0
+      }));
+    });
+  });
+
+  describe('event ordering', () => {
+    test('applies the subscription created before a checkout that was delivered first', async () => {
+      const subscription = storedSubscription({
+        stripe_subscription_id: null,
+        plan_id: null,
+        status: 'canceled',
+        last_stripe_event_created: null
+      });
+      jest.spyOn(UserSubscription, 'getByUid').mockResolvedValue(subscription);
+      jest.spyOn(UserSubscription, 'getByStripeSubscriptionId').mockResolvedValue(subscription);
+
+      await userSubscriptionsStore.checkoutCompleted(buildSubscriptionChange(
+        buildEvent('checkout.session.completed', EVENT_CREATED + 1),
+        { customerId: 'cus_123', subscriptionId: 'sub_123', status: 'active', metadata: { uid: 'user_1' } }
+      ));
+      const result = await userSubscriptionsStore.subscriptionChanged(subscriptionChange('customer.subscription.created', {
+        status: 'trial',
+        priceId: 'price_monthly',
+        plan: { planKey: 'pro_monthly' },
+        trialEnd: '2023-11-21T22:13:20.000Z'
+      }, EVENT_CREATED));
+
+      expect(result).not.toBe(STALE_EVENT);
+      expect(subscription.status).toBe('trial');
+      expect(subscription.planId).toBe('pro_monthly');
+      expect(subscription.stripePriceId).toBe('price_monthly');
+      expect(subscription.lastStripeEventCreated).toBe(EVENT_CREATED);
+    });
+
+    test('keeps the trial status when the checkout is delivered after the subscription', async () => {
+      const subscription = storedSubscription({ status: 'trial', last_stripe_event_created: EVENT_CREATED });
+      jest.spyOn(UserSubscription, 'getByUid').mockResolvedValue(subscription);
+
+      await userSubscriptionsStore.checkoutCompleted(buildSubscriptionChange(
+        buildEvent('checkout.session.completed', EVENT_CREATED + 1),
+        { customerId: 'cus_123', subscriptionId: 'sub_123', status: 'active', metadata: { uid: 'user_1' } }
+      ));
+
+      expect(subscription.update).toHaveBeenCalledWith({ stripe_customer_id: 'cus_123', stripe_subscription_id: 'sub_123' });
+      expect(subscription.status).toBe('trial');
+    });
+
+    test('applies a plan change delivered after the payment of its invoice', async () => {
+      const subscription = storedSubscription();
+      jest.spyOn(UserSubscription, 'getByStripeSubscriptionId').mockResolvedValue(subscription);
+
+      await userSubscriptionsStore.subscriptionChanged(
+        subscriptionChange('invoice.payment_succeeded', { status: 'active' }, EVENT_CREATED + 1)
+      );
+      const result = await userSubscriptionsStore.subscriptionChanged(subscriptionChange('customer.subscription.updated', {
+        status: 'active',
+        priceId: 'price_yearly',
+        plan: { planKey: 'pro_yearly' }
+      }, EVENT_CREATED));
+
+      expect(result).not.toBe(STALE_EVENT);
+      expect(subscription.planId).toBe('pro_yearly');
+      expect(subscription.stripePriceId).toBe('price_yearly');
+    });
+  });
+
+  describe('lifetimePurchased', () => {
+    test('turns the buyer\'s subscription into a lifetime entitlement', async () => {
+      const subscription = storedSubscription({ status: 'canceled' });
+      jest.spyOn(UserSubscription, 'getByUid').mockResolvedValue(subscription);
+
+      await userSubscriptionsStore.lifetimePurchased(buildSubscriptionChange(buildEvent('checkout.session.completed'), {
+        customerId: 'cus_123',
+        paymentIntentId: 'pi_123',
+        priceId: 'price_lifetime',
+        plan: { planKey: 'pro_lifetime' },
+        metadata: { uid: 'user_1' }
+      }));
+
+      expect(subscription.update).toHaveBeenCalledWith(expect.objectContaining({
+        plan_id: 'pro_lifetime',
+        status: 'active',
+        is_lifetime: true,
+        stripe_payment_intent_id: 'pi_123',
+        current_period_end: null
+      }));
+      expect(subscription.isLifetime()).toBe(true);
+    });
+  });
+
+  describe('entitlementChanged', () => {
+    test('revokes access when a dispute is lost and records the previous status', async () => {
+      const subscription = storedSubscription({ status: 'active' });
+      jest.spyOn(UserSubscription, 'getByStripePaymentIntentId').mockResolvedValue(subscription);
+
+      await userSubscriptionsStore.entitlementChanged(
+        entitlementChange('charge.dispute.closed', { action: 'revoked', reason: 'dispute_lost' })
+      );
+
+      expect(subscription.update).toHaveBeenCalledWith({ status: 'revoked', revoked_at: expect.any(String) });
+      expect(EntitlementAction.create).toHaveBeenCalledWith(expect.objectContaining({
+        subscription_id: 'subscription_1',
+        action: 'revoked',
+        reason: 'dispute_lost',
+        previous_status: 'active',
+        stripe_charge_id: 'ch_123',
+        stripe_event_id: 'evt_charge.dispute.closed'
+      }));
+    });
+
+    test('restores the status from before the revocation when the dispute is won', async () => {
+      const subscription = storedSubscription({ status: 'revoked', revoked_at: '2023-11-01T00:00:00.000Z' });
+      jest.spyOn(UserSubscription, 'getByStripePaymentIntentId').mockResolvedValue(subscription);
+      EntitlementAction.getLatestRevocation.mockResolvedValue({ previousStatus: 'past_due' });
+
+      await userSubscriptionsStore.entitlementChanged(
+        entitlementChange('charge.dispute.closed', { action: 'restored', reason: 'dispute_won' })
+      );
+
+      expect(EntitlementAction.getLatestRevocation).toHaveBeenCalledWith('subscription_1', 'ch_123');
+      expect(subscription.update).toHaveBeenCalledWith({ status: 'past_due', revoked_at: null });
+      expect(EntitlementAction.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'restored',
+        previous_status: 'revoked'
+      }));
+    });
+
+    test('does not restore access revoked for another charge', async () => {
+      const subscription = storedSubscription({ status: 'revoked' });
+      jest.spyOn(UserSubscription, 'getByStripePaymentIntentId').mockResolvedValue(subscription);
+      EntitlementAction.getLatestRevocation.mockResolvedValue(null);
+
+      await userSubscriptionsStore.entitlementChanged(
+        entitlementChange('charge.dispute.closed', { action: 'restored', reason: 'dispute_won' })
+      );
+
+      expect(subscription.update).not.toHaveBeenCalled();
+      expect(EntitlementAction.create).not.toHaveBeenCalled();
+    });
+
+    test('ignores an opened dispute delivered after the dispute closed', async () => {
+      const subscription = storedSubscription({ status: 'active' });
+      jest.spyOn(UserSubscription, 'getByStripePaymentIntentId').mockResolvedValue(subscription);
+      EntitlementAction.getDisputeOutcome.mockResolvedValue({ action: 'restored', reason: 'dispute_won' });
+
+      const result = await userSubscriptionsStore.entitlementChanged(
+        entitlementChange('charge.dispute.created', { action: 'revoked', reason: 'dispute_opened' })
+      );
+
+      expect(result).toBe(STALE_EVENT);
+      expect(EntitlementAction.getDisputeOutcome).toHaveBeenCalledWith('dp_123');
+      expect(subscription.update).not.toHaveBeenCalled();
+      expect(EntitlementAction.create).not.toHaveBeenCalled();
+    });
+
+    test('records a won dispute that never revoked access', async () => {
+      const subscription = storedSubscription({ status: 'active' });
+      jest.spyOn(UserSubscription, 'getByStripePaymentIntentId').mockResolvedValue(subscription);
+
+      await userSubscriptionsStore.entitlementChanged(
+        entitlementChange('charge.dispute.closed', { action: 'restored', reason: 'dispute_won' })
+      );
+
+      expect(subscription.update).not.toHaveBeenCalled();
+      expect(EntitlementAction.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'restored',
+        reason: 'dispute_won',
+        previous_status: 'active',
+        stripe_dispute_id: 'dp_123'
+      }));
+    });
+
+    test('finds the subscription by customer when the payment intent is unknown', async () => {
+      const subscription = storedSubscription();
+      jest.spyOn(UserSubscription, 'getByStripePaymentIntentId').mockResolvedValue(null);
+      jest.spyOn(UserSubscription, 'getByStripeCustomerId').mockResolvedValue(subscription);
+
+      await userSubscriptionsStore.entitlementChanged(
+        entitlementChange('charge.dispute.created', { action: 'revoked', reason: 'dispute_opened' })
+      );
+
+      expect(UserSubscription.getByStripeCustomerId).toHaveBeenCalledWith('cus_123');
+      expect(subscription.status).toBe('revoked');
+    });
+  });
+});
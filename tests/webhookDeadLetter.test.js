@@ -0,0 +1,77 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../src/lib/supabase');
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+
+// Supabase query that resolves to a result and records the calls made on it
+const query = (result) => {
+  const builder = {};
+  ['insert', 'update', 'select', 'eq', 'single'].forEach((method) => {
+    builder[method] = jest.fn(() => builder);
+  });
+  builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return builder;
+};
+
+const event = { id: 'evt_123', type: 'invoice.payment_failed', data: { object: { id: 'in_123' } } };
+
+const row = (data = {}) => ({
+  id: 'dead_letter_1',
+  webhook_event_id: 'webhook_1',
+  stripe_event_id: 'evt_123',
+  type: event.type,
+  payload: event,
+  failure_count: 1,
+  replay_count: 0,
+  status: 'pending',
+  ...data
+});
+
+describe('WebhookDeadLetter', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+  });
+
+  test('stores the payload and error of a first failure', async () => {
+    const insert = query({ data: row(), error: null });
+    supabase.from
+      .mockReturnValueOnce(query({ data: null, error: { code: 'PGRST116' } }))
+      .mockReturnValueOnce(insert);
+
+    const deadLetter = await WebhookDeadLetter.recordFailure(event, new Error('Device not found'), { id: 'webhook_1' });
+
+    expect(deadLetter.id).toBe('dead_letter_1');
+    expect(insert.insert).toHaveBeenCalledWith(expect.objectContaining({
+      webhook_event_id: 'webhook_1',
+      stripe_event_id: 'evt_123',
+      payload: event,
+      error_message: 'Device not found',
+      status: 'pending'
+    }));
+  });
+
+  test('counts repeated failures of the same event on one dead letter', async () => {
+    const update = query({ data: row({ failure_count: 3 }), error: null });
+    supabase.from
+      .mockReturnValueOnce(query({ data: row({ failure_count: 2, status: 'resolved' }), error: null }))
+      .mockReturnValueOnce(update);
+
+    const deadLetter = await WebhookDeadLetter.recordFailure(event, new Error('Device not found'));
+
+    expect(deadLetter.failureCount).toBe(3);
+    expect(update.update).toHaveBeenCalledWith(expect.objectContaining({
+      failure_count: 3,
+      status: 'pending',
+      resolved_at: null
+    }));
+  });
+
+  test('resolves only pending dead letters of an event', async () => {
+    const update = query({ data: [row({ status: 'resolved' })], error: null });
+    supabase.from.mockReturnValueOnce(update);
+
+    expect(await WebhookDeadLetter.resolveByStripeEventId('evt_123')).toBe(true);
+    expect(update.eq).toHaveBeenCalledWith('stripe_event_id', 'evt_123');
+    expect(update.eq).toHaveBeenCalledWith('status', 'pending');
+  });
+});
@@ -0,0 +1,58 @@
+const WebhookDispatcher = require('../services/webhookDispatcher');
+
+const buildEvent = (type, object = {}) => ({
+  id: 'evt_test_' + Date.now(),
+  type,
+  created: Math.floor(Date.now() / 1000),
+  data: { object }
+});
+
+describe('WebhookDispatcher', () => {
+  test('dispatches an event to every handler registered for its type', async () => {
+    const dispatcher = new WebhookDispatcher();
+    const first = jest.fn();
+    const second = jest.fn();
+
+    dispatcher
+      .on('invoice.payment_succeeded', first)
+      .on(['invoice.payment_succeeded', 'invoice.payment_failed'], second);
+
+    const event = buildEvent('invoice.payment_succeeded', { id: 'in_123' });
+    const outcome = await dispatcher.dispatch(event);
+
+    expect(outcome.handled).toBe(true);
+    expect(first).toHaveBeenCalledWith(event.data.object, event);
+    expect(second).toHaveBeenCalledWith(event.data.object, event);
+  });
+
+  test('reports unregistered event types as unhandled', async () => {
+    const dispatcher = new WebhookDispatcher();
+
+    const outcome = await dispatcher.dispatch(buildEvent('charge.succeeded'));
+
+    expect(outcome).toEqual({ handled: false, result: undefined });
+  });
+
+  test('keeps a stale result from an earlier handler', async () => {
+    const dispatcher = new WebhookDispatcher();
+
+    dispatcher
+      .on('customer.subscription.updated', async () => WebhookDispatcher.STALE_EVENT)
+      .on('customer.subscription.updated', async () => undefined);
+
+    const outcome = await dispatcher.dispatch(buildEvent('customer.subscription.updated'));
+
+    expect(outcome.result).toBe(WebhookDispatcher.STALE_EVENT);
+  });
+
+  test('propagates handler errors', async () => {
+    const dispatcher = new WebhookDispatcher();
+
+    dispatcher.on('checkout.session.completed', async () => {
+      throw new Error('Device not found');
+    });
+
+    await expect(dispatcher.dispatch(buildEvent('checkout.session.completed')))
+      .rejects.toThrow('Device not found');
+  });
+});
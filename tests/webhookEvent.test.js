@@ -0,0 +1,113 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: { from: jest.fn() } }));
+
+const { supabase } = require('../src/lib/supabase');
+const WebhookEvent = require('../models/WebhookEvent');
+
+// Supabase query that resolves to a result and records the calls made on it
+const query = (result) => {
+  const builder = {};
+  ['insert', 'update', 'select', 'eq', 'single'].forEach((method) => {
+    builder[method] = jest.fn(() => builder);
+  });
+  builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return builder;
+};
+
+const event = {
+  id: 'evt_123',
+  type: 'customer.subscription.updated',
+  created: 1700000000,
+  livemode: false,
+  data: { object: { id: 'sub_123' } }
+};
+
+const row = (data = {}) => ({
+  id: 'webhook_1',
+  stripe_event_id: 'evt_123',
+  type: event.type,
+  payload_hash: WebhookEvent.hashPayload(event),
+  status: 'processing',
+  attempts: 1,
+  updated_at: new Date().toISOString(),
+  ...data
+});
+
+const uniqueViolation = { data: null, error: { code: '23505', message: 'duplicate key value' } };
+
+describe('WebhookEvent ledger', () => {
+  beforeEach(() => {
+    supabase.from.mockReset();
+  });
+
+  test('claims a new event for processing', async () => {
+    const insert = query({ data: row(), error: null });
+    supabase.from.mockReturnValueOnce(insert);
+
+    const { webhookEvent, duplicate } = await WebhookEvent.record(event, event);
+
+    expect(duplicate).toBe(false);
+    expect(webhookEvent.status).toBe('processing');
+    expect(insert.insert).toHaveBeenCalledWith(expect.objectContaining({
+      stripe_event_id: 'evt_123',
+      object_id: 'sub_123',
+      status: 'processing',
+      attempts: 1,
+      stripe_created_at: '2023-11-14T22:13:20.000Z'
+    }));
+  });
+
+  test('skips a redelivery of an event that was already processed', async () => {
+    supabase.from
+      .mockReturnValueOnce(query(uniqueViolation))
+      .mockReturnValueOnce(query({ data: row({ status: 'processed' }), error: null }));
+
+    const { webhookEvent, duplicate } = await WebhookEvent.record(event, event);
+
+    expect(duplicate).toBe(true);
+    expect(webhookEvent.status).toBe('processed');
+    expect(supabase.from).toHaveBeenCalledTimes(2);
+  });
+
+  test('claims a redelivery of a failed event again', async () => {
+    const claim = query({ data: row({ attempts: 2 }), error: null });
+    supabase.from
+      .mockReturnValueOnce(query(uniqueViolation))
+      .mockReturnValueOnce(query({ data: row({ status: 'failed', error: 'boom' }), error: null }))
+      .mockReturnValueOnce(claim);
+
+    const { webhookEvent, duplicate } = await WebhookEvent.record(event, event);
+
+    expect(duplicate).toBe(false);
+    expect(webhookEvent.attempts).toBe(2);
+    expect(claim.update).toHaveBeenCalledWith({ status: 'processing', error: null, attempts: 2 });
+    expect(claim.eq).toHaveBeenCalledWith('status', 'failed');
+    expect(claim.eq).toHaveBeenCalledWith('attempts', 1);
+  });
+
+  test('treats a failed event claimed by a concurrent delivery as a duplicate', async () => {
+    supabase.from
+      .mockReturnValueOnce(query(uniqueViolation))
+      .mockReturnValueOnce(query({ data: row({ status: 'failed' }), error: null }))
+      .mockReturnValueOnce(query({ data: null, error: { code: 'PGRST116' } }));
+
+    const { webhookEvent, duplicate } = await WebhookEvent.record(event, event);
+
+    expect(duplicate).toBe(true);
+    expect(webhookEvent.status).toBe('failed');
+  });
+
+  test('only reclaims a processing event once it has stalled', () => {
+    const recent = new WebhookEvent(row());
+    const stalled = new WebhookEvent(row({ updated_at: new Date(Date.now() - 10 * 60 * 1000).toISOString() }));
+
+    expect(recent.canBeClaimed()).toBe(false);
+    expect(stalled.canBeClaimed()).toBe(true);
+    expect(new WebhookEvent(row({ status: 'stale' })).canBeClaimed()).toBe(false);
+  });
+
+  test('rethrows database errors other than a duplicate event', async () => {
+    supabase.from.mockReturnValueOnce(query({ data: null, error: { code: '42P01', message: 'missing table' } }));
+
+    await expect(WebhookEvent.record(event, event)).rejects.toEqual(expect.objectContaining({ code: '42P01' }));
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock('../src/lib/supabase', () => ({ supabase: {} }));
+jest.mock('../config/stripe', () => ({ stripe: {} }));
+jest.mock('../models/WebhookEvent');
+jest.mock('../models/WebhookDeadLetter');
+jest.mock('../services/stripeWebhookProcessor', () => ({ processEvent: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+
+const WebhookEvent = require('../models/WebhookEvent');
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+const { processEvent } = require('../services/stripeWebhookProcessor');
+const adminRoutes = require('../routes/admin');
+
+const event = { id: 'evt_123', type: 'invoice.payment_failed', data: { object: { id: 'in_123' } } };
+
+const deadLetter = (data = {}) => ({
+  id: 'dead_letter_1',
+  stripeEventId: 'evt_123',
+  payload: event,
+  isResolved: () => false,
+  markReplayed: jest.fn(),
+  toAdminJSON: () => ({ id: 'dead_letter_1', status: 'resolved' }),
+  ...data
+});
+
+const ledgerEntry = (data = {}) => ({
+  id: 'webhook_1',
+  status: 'failed',
+  canBeClaimed: () => true,
+  claim: jest.fn(),
+  ...data
+});
+
+describe('POST /admin/webhooks/:id/replay', () => {
+  const originalAdminKey = process.env.ADMIN_API_KEY;
+  let app;
+
+  beforeAll(() => {
+    process.env.ADMIN_API_KEY = 'test-admin-key';
+    app = express();
+    app.use(express.json());
+    app.use('/admin', adminRoutes);
+  });
+
+  afterAll(() => {
+    if (originalAdminKey === undefined) {
+      delete process.env.ADMIN_API_KEY;
+    } else {
+      process.env.ADMIN_API_KEY = originalAdminKey;
+    }
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  const replay = () => request(app)
+    .post('/admin/webhooks/dead_letter_1/replay')
+    .set('x-admin-key', 'test-admin-key');
+
+  test('claims the failed ledger entry and processes the stored payload again', async () => {
+    const failed = deadLetter();
+    const webhookEvent = ledgerEntry();
+    webhookEvent.claim.mockResolvedValue(webhookEvent);
+    WebhookDeadLetter.getById.mockResolvedValue(failed);
+    WebhookEvent.getByStripeEventId.mockResolvedValue(webhookEvent);
+    processEvent.mockResolvedValue('processed');
+
+    const response = await replay();
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual(expect.objectContaining({ success: true, status: 'processed' }));
+    expect(webhookEvent.claim).toHaveBeenCalled();
+    expect(failed.markReplayed).toHaveBeenCalled();
+    expect(processEvent).toHaveBeenCalledWith(event, webhookEvent);
+  });
+
+  test('does not process an event another delivery is processing', async () => {
+    WebhookDeadLetter.getById.mockResolvedValue(deadLetter());
+    WebhookEvent.getByStripeEventId.mockResolvedValue(ledgerEntry({ status: 'processing', canBeClaimed: () => false }));
+
+    const response = await replay();
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('Webhook event is currently being processed');
+    expect(processEvent).not.toHaveBeenCalled();
+  });
+
+  test('resolves the dead letter when a later delivery already handled the event', async () => {
+    WebhookDeadLetter.getById.mockResolvedValue(deadLetter());
+    WebhookEvent.getByStripeEventId.mockResolvedValue(ledgerEntry({ status: 'processed', canBeClaimed: () => false }));
+
+    const response = await replay();
+
+    expect(response.status).toBe(409);
+    expect(WebhookDeadLetter.resolveByStripeEventId).toHaveBeenCalledWith('evt_123');
+    expect(processEvent).not.toHaveBeenCalled();
+  });
+
+  test('rejects dead letters that are already resolved', async () => {
+    WebhookDeadLetter.getById.mockResolvedValue(deadLetter({ isResolved: () => true }));
+
+    const response = await replay();
+
+    expect(response.status).toBe(409);
+    expect(processEvent).not.toHaveBeenCalled();
+  });
+
+  test('reports a replay that fails again', async () => {
+    const webhookEvent = ledgerEntry();
+    webhookEvent.claim.mockResolvedValue(webhookEvent);
+    WebhookDeadLetter.getById.mockResolvedValue(deadLetter());
+    WebhookEvent.getByStripeEventId.mockResolvedValue(webhookEvent);
+    processEvent.mockRejectedValue(new Error('Device not found'));
+
+    const response = await replay();
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ success: false, error: 'Webhook replay failed', details: 'Device not found' });
+  });
+});
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+// License key format, version 2: UTM2-XXXXX-XXXXX-XXXXX-XXXXC
+// 19 random Crockford base32 symbols (95 bits) and a Luhn mod 32 check symbol, in groups of 5.
+// Crockford base32 leaves out I, L, O and U, so keys can be read out and typed without ambiguity.
+const KEY_VERSION_PREFIX = 'UTM2';
+const KEY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const KEY_RANDOM_LENGTH = 19;
+const KEY_GROUP_LENGTH = 5;
+
+// Keys generated before version 2: UTM-XXXX-XXXX-XXXX in hex, without a check symbol
+const LEGACY_KEY_PATTERN = /^UTM([0-9A-F]{4})([0-9A-F]{4})([0-9A-F]{4})$/;
+
+// Input meant as a version 2 key: the prefix followed by a separator, or a key typed without any
+const VERSION_2_INPUT_PATTERN = new RegExp(`^${KEY_VERSION_PREFIX}(?:[\\s-]|[0-9A-Z]{${KEY_RANDOM_LENGTH + 1}}$)`);
+
+// Letters people type for the Crockford symbols they look like
+const KEY_ALIASES = { I: '1', L: '1', O: '0' };
+
+const MISTYPED_KEY_MESSAGE = 'This license key is not valid. Did you mistype it?';
+
+// Luhn mod 32 check symbol for a run of key symbols.
+// Catches every single mistyped symbol and nearly every swap of neighbouring symbols.
+function getCheckSymbol(symbols) {
+  const base = KEY_ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = symbols.length - 1; i >= 0; i--) {
+    const addend = factor * KEY_ALPHABET.indexOf(symbols[i]);
+    sum += Math.floor(addend / base) + (addend % base);
+    factor = factor === 2 ? 1 : 2;
+  }
+
+  return KEY_ALPHABET[(base - (sum % base)) % base];
+}
+
+// Split key symbols into dash-separated groups behind the version prefix
+function formatKey(symbols) {
+  const groups = symbols.match(new RegExp(`.{1,${KEY_GROUP_LENGTH}}`, 'g'));
+  return [KEY_VERSION_PREFIX, ...groups].join('-');
+}
+
+// Generate a new version 2 license key
+function generateLicenseKey() {
+  const bytes = crypto.randomBytes(KEY_RANDOM_LENGTH);
+  const symbols = Array.from(bytes, byte => KEY_ALPHABET[byte % KEY_ALPHABET.length]).join('');
+
+  return formatKey(symbols + getCheckSymbol(symbols));
+}
+
+// Parse a license key as typed by a user: dashes, spaces and lowercase are accepted.
+// Returns { key, version } with the key in its stored form, or { error } without touching the database.
+// Only version 2 keys carry a checksum; keys in other formats are returned as typed, with version null,
+// and left to the database lookup.
+function parseLicenseKey(input) {
+  const typed = String(input).trim();
+  const compact = typed.toUpperCase().replace(/[\s-]+/g, '');
+
+  if (!compact) {
+    return { error: MISTYPED_KEY_MESSAGE };
+  }
+
+  const legacy = compact.match(LEGACY_KEY_PATTERN);
+  if (legacy) {
+    return { key: `UTM-${legacy.slice(1).join('-')}`, version: 1 };
+  }
+
+  if (!VERSION_2_INPUT_PATTERN.test(typed.toUpperCase())) {
+    return { key: typed, version: null };
+  }
+
+  const symbols = compact
+    .slice(KEY_VERSION_PREFIX.length)
+    .replace(/[ILO]/g, letter => KEY_ALIASES[letter]);
+
+  const valid = symbols.length === KEY_RANDOM_LENGTH + 1 &&
+    [...symbols].every(symbol => KEY_ALPHABET.includes(symbol)) &&
+    getCheckSymbol(symbols.slice(0, -1)) === symbols.slice(-1);
+
+  if (!valid) {
+    return { error: MISTYPED_KEY_MESSAGE };
+  }
+
+  return { key: formatKey(symbols), version: 2 };
+}
+
+// Check whether a string can be a license key: version 2 keys must pass their checksum
+function isValidLicenseKey(input) {
+  return !parseLicenseKey(input).error;
+}
+
+module.exports = {
+  KEY_VERSION_PREFIX,
+  KEY_ALPHABET,
+  getCheckSymbol,
+  generateLicenseKey,
+  parseLicenseKey,
+  isValidLicenseKey
+};